@@ -6,6 +6,11 @@
 // @author       ExactDoug
 // @match        *://*/*
 // @grant        GM_registerMenuCommand
+// @grant        GM_getValue
+// @grant        GM_setValue
+// @grant        GM_xmlhttpRequest
+// @grant        GM_setClipboard
+// @connect      *
 // ==/UserScript==
 
 (function () {
@@ -59,1350 +64,7168 @@
         }
     };
 
+    /**
+     * Settings Module
+     * Persists user options in userscript storage, with optional per-site overrides
+     */
+    const Settings = {
+        /**
+         * Storage key holding all settings
+         */
+        storageKey: 'settings',
+
+        /**
+         * Default values for every option
+         */
+        defaults: {
+            highlightColor: '#007bff',     // Hover overlay and hierarchy indicator
+            selectionColor: '#28a745',     // Selection indicators and badges
+            scrollThreshold: 2,            // Wheel movements needed to move one hierarchy level
+            notificationDuration: 2000,    // How long short notifications stay visible (ms)
+            hintDuration: 5000,            // How long usage hints stay visible (ms)
+            defaultFormat: 'basic',        // Format preselected when downloading (the last one used)
+            includeSourceHeader: true,     // Write source URL and capture date into exports
+            stripScripts: false,           // Remove scripts and inline event handlers from Basic exports
+            pngPixelRatio: 'auto',         // Pixel ratio of PNG exports ('auto' follows the screen)
+            pngLayout: 'stitch',           // PNG exports of several elements: 'stitch' into one image or 'zip'
+            fileNameTemplate: '{title}',   // How default file names are built (see FileNameTemplate)
+            areaGranularity: 'blocks',     // Elements taken from an Alt+drag area (see AreaSelector)
+            keymap: {}                     // Custom shortcut bindings by action id (see Keymap)
+        },
+
+        /**
+         * Values saved for all sites
+         */
+        global: {},
+
+        /**
+         * Values saved for individual sites, keyed by hostname
+         */
+        sites: {},
+
+        /**
+         * Loads settings from storage
+         */
+        load() {
+            const stored = GM_getValue(this.storageKey, {}) || {};
+            this.global = stored.global || {};
+            this.sites = stored.sites || {};
+        },
+
+        /**
+         * Writes settings to storage
+         */
+        persist() {
+            GM_setValue(this.storageKey, {
+                global: this.global,
+                sites: this.sites
+            });
+        },
+
+        /**
+         * Gets the effective value of an option for the current site
+         * @param {string} key - The option name
+         * @returns {*} - The site override, else the global value, else the default
+         */
+        get(key) {
+            const site = this.sites[window.location.hostname] || {};
+            if (key in site) return site[key];
+            if (key in this.global) return this.global[key];
+            return this.defaults[key];
+        },
+
+        /**
+         * Gets the effective values of all options for a scope
+         * @param {string} scope - 'site' for the current site, 'global' for all sites
+         * @returns {Object} - Map of option names to values
+         */
+        getAll(scope = 'site') {
+            const values = { ...this.defaults, ...this.global };
+            if (scope === 'site') {
+                Object.assign(values, this.sites[window.location.hostname] || {});
+            }
+            return values;
+        },
+
+        /**
+         * Checks whether the current site has its own overrides
+         * @returns {boolean} - Whether any override exists for this hostname
+         */
+        hasSiteOverrides() {
+            return Object.keys(this.sites[window.location.hostname] || {}).length > 0;
+        },
+
+        /**
+         * Saves option values
+         * @param {Object} values - Map of option names to values
+         * @param {string} scope - 'site' to save for the current site only, 'global' for all sites
+         */
+        save(values, scope = 'global') {
+            if (scope === 'site') {
+                // Only keep values that differ from the global setting
+                const globalValues = this.getAll('global');
+                const overrides = {};
+                Object.keys(values).forEach(key => {
+                    // Compare serialized values so object options such as the keymap work too
+                    if (JSON.stringify(values[key]) !== JSON.stringify(globalValues[key])) overrides[key] = values[key];
+                });
+
+                if (Object.keys(overrides).length > 0) {
+                    this.sites[window.location.hostname] = overrides;
+                } else {
+                    delete this.sites[window.location.hostname];
+                }
+            } else {
+                this.global = { ...this.global, ...values };
+            }
+
+            this.persist();
+        },
+
+        /**
+         * Changes a single option where it is currently defined
+         * Sites that override the option keep their own value, otherwise the global value changes
+         * @param {string} key - The option name
+         * @param {*} value - The new value
+         */
+        set(key, value) {
+            const site = this.sites[window.location.hostname];
+            if (site && key in site) {
+                site[key] = value;
+            } else {
+                this.global[key] = value;
+            }
+            this.persist();
+        },
+
+        /**
+         * Resets options to their defaults
+         * @param {string} scope - 'site' to drop this site's overrides, 'global' to reset all sites
+         */
+        reset(scope = 'global') {
+            if (scope === 'site') {
+                delete this.sites[window.location.hostname];
+            } else {
+                this.global = {};
+            }
+            this.persist();
+        }
+    };
+
+    /**
+     * File Name Template Module
+     * Builds download file names from a template with tokens such as {title} or {date}
+     */
+    const FileNameTemplate = {
+        /**
+         * Storage key of the running capture number used by {n}
+         */
+        counterStorageKey: 'captureCounter',
+
+        /**
+         * Supported tokens with a short description, in the order they are listed to the user
+         */
+        tokens: [
+            { token: 'title', description: 'Page title' },
+            { token: 'host', description: 'Host name' },
+            { token: 'path', description: 'URL path' },
+            { token: 'date', description: 'Date (YYYY-MM-DD)' },
+            { token: 'time', description: 'Time (HH-MM-SS)' },
+            { token: 'tag', description: 'Tag name of the first element' },
+            { token: 'id', description: 'Id of the first element' },
+            { token: 'count', description: 'Number of elements' },
+            { token: 'n', description: 'Running capture number' }
+        ],
+
+        /**
+         * Maximum length of a file name in characters, without extension
+         */
+        maxLength: 150,
+
+        /**
+         * Name used when a template expands to nothing
+         */
+        fallbackName: 'element',
+
+        /**
+         * Turns text into a file name part, keeping letters and digits of every script
+         * @param {string} text - The text to slug
+         * @returns {string} - Lowercase text with other characters collapsed into underscores
+         */
+        slugify(text) {
+            return String(text || '')
+                .normalize('NFC')
+                .toLowerCase()
+                .replace(/[^\p{L}\p{M}\p{N}.-]+/gu, '_')
+                .replace(/^[_.-]+|[_.-]+$/g, '');
+        },
+
+        /**
+         * Removes characters that are not allowed in file names on common systems
+         * @param {string} name - The expanded file name
+         * @returns {string} - The safe file name
+         */
+        sanitize(name) {
+            const cleaned = String(name)
+                .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_')
+                .replace(/\s+/g, ' ')
+                .replace(/_{2,}/g, '_')
+                .replace(/^[\s_.-]+|[\s_.-]+$/g, '');
+            // Count code points so surrogate pairs are never cut in half
+            const truncated = Array.from(cleaned).slice(0, this.maxLength).join('').replace(/[\s_.-]+$/, '');
+            return truncated || this.fallbackName;
+        },
+
+        /**
+         * Pads a number to two digits
+         * @param {number} value - The number
+         * @returns {string} - The padded number
+         */
+        pad(value) {
+            return String(value).padStart(2, '0');
+        },
+
+        /**
+         * Gets the capture number the next download will use
+         * @returns {number} - The next capture number, starting at 1
+         */
+        peekCounter() {
+            return (parseInt(GM_getValue(this.counterStorageKey, 0), 10) || 0) + 1;
+        },
+
+        /**
+         * Advances the capture number after a file was saved
+         */
+        advanceCounter() {
+            GM_setValue(this.counterStorageKey, this.peekCounter());
+        },
+
+        /**
+         * Gets the values of all tokens for a download
+         * @param {Array} elements - The elements being downloaded
+         * @returns {Object} - Map of token names to values
+         */
+        getTokenValues(elements = []) {
+            const now = new Date();
+            const first = elements[0];
+
+            return {
+                title: this.slugify(document.title),
+                host: this.slugify(window.location.hostname),
+                path: this.slugify(window.location.pathname.replace(/\//g, ' ')),
+                date: `${now.getFullYear()}-${this.pad(now.getMonth() + 1)}-${this.pad(now.getDate())}`,
+                time: `${this.pad(now.getHours())}-${this.pad(now.getMinutes())}-${this.pad(now.getSeconds())}`,
+                tag: first ? first.tagName.toLowerCase() : '',
+                id: first ? this.slugify(first.id) : '',
+                count: String(elements.length),
+                n: String(this.peekCounter())
+            };
+        },
+
+        /**
+         * Expands a file name template
+         * Unknown tokens are kept as written
+         * @param {Array} elements - The elements being downloaded
+         * @param {string} template - The template (defaults to the configured one)
+         * @returns {string} - The file name without extension
+         */
+        build(elements = [], template = Settings.get('fileNameTemplate')) {
+            const values = this.getTokenValues(elements);
+            const name = String(template || '').replace(/\{(\w+)\}/g, (match, token) => (
+                token in values ? values[token] : match
+            ));
+            return this.sanitize(name);
+        }
+    };
+
+    /**
+     * Keymap Module
+     * Maps keyboard shortcuts to highlighter actions and detects conflicts with page shortcuts
+     */
+    const Keymap = {
+        /**
+         * Rebindable actions with their default bindings
+         * Actions marked global also work while the highlighter is inactive
+         */
+        actions: [
+            { id: 'toggle', label: 'Toggle highlighter', defaultBinding: 'Alt+Shift+H', global: true },
+            { id: 'exit', label: 'Exit highlighter', defaultBinding: 'Escape' },
+            { id: 'clear', label: 'Clear selection', defaultBinding: 'C' },
+            { id: 'download', label: 'Download selection', defaultBinding: 'D' },
+            { id: 'copy', label: 'Copy selection to clipboard', defaultBinding: 'Y' },
+            { id: 'parent', label: 'Move to parent element', defaultBinding: 'ArrowUp' },
+            { id: 'child', label: 'Move to child element', defaultBinding: 'ArrowDown' },
+            { id: 'previousSibling', label: 'Move to previous sibling', defaultBinding: 'ArrowLeft' },
+            { id: 'nextSibling', label: 'Move to next sibling', defaultBinding: 'ArrowRight' },
+            { id: 'select', label: 'Download highlighted element', defaultBinding: 'Enter' },
+            { id: 'addToSelection', label: 'Add highlighted element to selection', defaultBinding: 'Shift+Enter' },
+            { id: 'selectSimilar', label: 'Select elements similar to the highlighted one', defaultBinding: 'S' }
+        ],
+
+        /**
+         * Shortcuts that well-known sites use themselves, keyed by hostname
+         */
+        knownSiteShortcuts: {
+            'mail.google.com': ['C', 'D', 'E', 'J', 'K', 'R', 'A', 'F', '/', 'Shift+#'],
+            'github.com': ['C', 'D', 'S', 'T', 'W', 'Y', 'L', 'E', '/', 'Shift+?'],
+            'atlassian.net': ['C', 'D', 'A', 'E', 'I', 'J', 'K', 'M', '/', '.']
+        },
+
+        /**
+         * Keys the page was seen handling itself, persisted per hostname
+         */
+        observedPageKeys: new Set(),
+
+        /**
+         * Storage key for observed page keys
+         */
+        observedStorageKey: 'observedPageKeys',
+
+        /**
+         * Modifier names in the order they appear in binding strings
+         */
+        modifierOrder: ['Ctrl', 'Alt', 'Shift', 'Meta'],
+
+        /**
+         * Normalizes a binding string (e.g. "shift+ctrl+k" becomes "Ctrl+Shift+K")
+         * @param {string} binding - The binding to normalize
+         * @returns {string} - The normalized binding, or an empty string if unbound
+         */
+        normalize(binding) {
+            if (!binding) return '';
+
+            const parts = binding.split('+').map(part => part.trim());
+            // A trailing empty part means the key itself is '+'
+            let key = parts.pop() || '+';
+            if (parts.length && parts[parts.length - 1] === '') {
+                parts.pop();
+                key = '+';
+            }
+
+            const modifiers = parts.map(part => {
+                const lower = part.toLowerCase();
+                if (lower === 'control' || lower === 'ctrl') return 'Ctrl';
+                if (lower === 'option' || lower === 'alt') return 'Alt';
+                if (lower === 'cmd' || lower === 'command' || lower === 'meta') return 'Meta';
+                if (lower === 'shift') return 'Shift';
+                return part;
+            });
+
+            if (key.length === 1) key = key.toUpperCase();
+            if (key === ' ') key = 'Space';
+
+            const ordered = this.modifierOrder.filter(modifier => modifiers.includes(modifier));
+            return [...ordered, key].join('+');
+        },
+
+        /**
+         * Builds the binding string for a keyboard event
+         * @param {KeyboardEvent} e - The keyboard event
+         * @returns {string} - The binding, or an empty string for lone modifier keys
+         */
+        eventToBinding(e) {
+            if (['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'].includes(e.key)) return '';
+
+            // Alt and Alt+Shift change e.key on many layouts, so use the physical key for letters and digits
+            let key = e.key;
+            if ((e.altKey || e.ctrlKey || e.metaKey) && /^(Key[A-Z]|Digit\d)$/.test(e.code || '')) {
+                key = e.code.slice(-1);
+            }
+
+            const modifiers = [];
+            if (e.ctrlKey) modifiers.push('Ctrl');
+            if (e.altKey) modifiers.push('Alt');
+            if (e.shiftKey) modifiers.push('Shift');
+            if (e.metaKey) modifiers.push('Meta');
+
+            return this.normalize([...modifiers, key].join('+'));
+        },
+
+        /**
+         * Gets the current binding of an action
+         * @param {string} actionId - The action id
+         * @returns {string} - The normalized binding, or an empty string if unbound
+         */
+        getBinding(actionId) {
+            const custom = Settings.get('keymap') || {};
+            if (actionId in custom) return this.normalize(custom[actionId]);
+            const action = this.actions.find(item => item.id === actionId);
+            return action ? action.defaultBinding : '';
+        },
+
+        /**
+         * Gets the current bindings of all actions
+         * @returns {Object} - Map of action ids to bindings
+         */
+        getBindings() {
+            const bindings = {};
+            this.actions.forEach(action => {
+                bindings[action.id] = this.getBinding(action.id);
+            });
+            return bindings;
+        },
+
+        /**
+         * Finds the action bound to a keyboard event
+         * @param {KeyboardEvent} e - The keyboard event
+         * @returns {string|null} - The action id, or null if the key is not bound
+         */
+        findAction(e) {
+            const binding = this.eventToBinding(e);
+            if (!binding) return null;
+            const find = value => this.actions.find(item => this.getBinding(item.id) === value);
+
+            // Letter shortcuts also work with Shift held, unless Shift and the letter are bound themselves
+            let action = find(binding);
+            if (!action && /(^|\+)Shift\+[A-Z]$/.test(binding)) {
+                action = find(binding.replace('Shift+', ''));
+            }
+            return action ? action.id : null;
+        },
+
+        /**
+         * Checks whether a binding uses a modifier that prevents typing conflicts
+         * @param {string} binding - The binding
+         * @returns {boolean} - Whether Ctrl, Alt or Meta is part of the binding
+         */
+        hasCommandModifier(binding) {
+            return /(^|\+)(Ctrl|Alt|Meta)\+/.test(binding);
+        },
+
+        /**
+         * Checks whether an event target is a text field or editable content
+         * @param {EventTarget} target - The event target
+         * @returns {boolean} - Whether typing into the target is likely
+         */
+        isEditableTarget(target) {
+            if (!target || target.nodeType !== 1) return false;
+            return target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+        },
+
+        /**
+         * Finds actions that share the same binding
+         * @param {Object} bindings - Map of action ids to bindings
+         * @returns {Array} - Array of { binding, actionIds } entries for duplicated bindings
+         */
+        findDuplicates(bindings) {
+            const byBinding = new Map();
+            Object.keys(bindings).forEach(actionId => {
+                const binding = bindings[actionId];
+                if (!binding) return;
+                if (!byBinding.has(binding)) byBinding.set(binding, []);
+                byBinding.get(binding).push(actionId);
+            });
+            return Array.from(byBinding.entries())
+                .filter(([, actionIds]) => actionIds.length > 1)
+                .map(([binding, actionIds]) => ({ binding, actionIds }));
+        },
+
+        /**
+         * Lists reasons why a binding may collide with shortcuts of the current page
+         * @param {string} binding - The binding to check
+         * @returns {Array} - Human-readable conflict descriptions (empty if none found)
+         */
+        detectPageConflicts(binding) {
+            if (!binding) return [];
+            const conflicts = [];
+            const hostname = window.location.hostname;
+
+            // Known shortcuts of popular sites
+            Object.keys(this.knownSiteShortcuts).forEach(site => {
+                if ((hostname === site || hostname.endsWith(`.${site}`)) && this.knownSiteShortcuts[site].includes(binding)) {
+                    conflicts.push(`${site} uses ${binding}`);
+                }
+            });
+
+            // Access keys are triggered with Alt (or Alt+Shift) plus the key
+            const accessKeyMatch = binding.match(/^Alt\+(?:Shift\+)?(.)$/);
+            if (accessKeyMatch) {
+                const accessKeyElement = Array.from(document.querySelectorAll('[accesskey]')).find(el => (
+                    el.getAttribute('accesskey').toUpperCase() === accessKeyMatch[1]
+                ));
+                if (accessKeyElement) {
+                    conflicts.push(`the page defines accesskey "${accessKeyMatch[1].toLowerCase()}"`);
+                }
+            }
+
+            // Keys the page was seen handling
+            if (this.observedPageKeys.has(binding)) {
+                conflicts.push(`the page handled ${binding} itself`);
+            }
+
+            return conflicts;
+        },
+
+        /**
+         * Starts watching for keys the page handles itself, so later conflicts can be reported
+         */
+        observePageShortcuts() {
+            const stored = GM_getValue(this.observedStorageKey, {}) || {};
+            this.observedPageKeys = new Set(stored[window.location.hostname] || []);
+
+            window.addEventListener('keydown', e => {
+                if (Highlighter.isActive || this.isEditableTarget(e.target)) return;
+
+                // Checked once the event is fully dispatched, so handlers on window and ones the page
+                // added after this listener have run too
+                setTimeout(() => {
+                    // The highlighter's own toggle key turns it on
+                    if (Highlighter.isActive || !e.defaultPrevented) return;
+
+                    const binding = this.eventToBinding(e);
+                    if (!binding || this.observedPageKeys.has(binding)) return;
+
+                    this.observedPageKeys.add(binding);
+                    const current = GM_getValue(this.observedStorageKey, {}) || {};
+                    // Keep the list short; only recent keys matter
+                    current[window.location.hostname] = Array.from(this.observedPageKeys).slice(-50);
+                    GM_setValue(this.observedStorageKey, current);
+                }, 0);
+            });
+        },
+
+        /**
+         * Collects conflict warnings for the current bindings
+         * @param {Object} bindings - Map of action ids to bindings (defaults to the current ones)
+         * @returns {Array} - Human-readable warnings
+         */
+        getConflictWarnings(bindings = this.getBindings()) {
+            const label = actionId => this.actions.find(action => action.id === actionId).label;
+            const warnings = [];
+
+            this.findDuplicates(bindings).forEach(({ binding, actionIds }) => {
+                warnings.push(`${binding} is bound to several actions: ${actionIds.map(label).join(', ')}`);
+            });
+
+            Object.keys(bindings).forEach(actionId => {
+                const conflicts = this.detectPageConflicts(bindings[actionId]);
+                if (conflicts.length > 0) {
+                    warnings.push(`${bindings[actionId]} (${label(actionId)}) may clash: ${conflicts.join('; ')}`);
+                }
+            });
+
+            return warnings;
+        }
+    };
+
+    /**
+     * Shadow DOM Module
+     * Walks the flattened tree, so elements inside open shadow roots can be highlighted and captured
+     */
+    const ShadowDOM = {
+        /**
+         * Gets the innermost element an event happened on, looking into open shadow roots
+         * @param {Event} e - The event
+         * @returns {Element} - The element (e.target stops at the outermost shadow host)
+         */
+        getEventTarget(e) {
+            const path = typeof e.composedPath === 'function' ? e.composedPath() : [];
+            return path.find(node => node.nodeType === 1) || e.target;
+        },
+
+        /**
+         * Checks whether a node belongs to a shadow tree
+         * @param {Node} node - The node
+         * @returns {boolean} - Whether the node's root is a shadow root
+         */
+        isInShadowTree(node) {
+            const root = node.getRootNode ? node.getRootNode() : null;
+            return !!(root && root !== node && root.host);
+        },
+
+        /**
+         * Checks whether an element is still part of the page body, including elements in shadow roots
+         * and same-origin frames
+         * @param {Element} element - The element
+         * @returns {boolean} - Whether the element is attached
+         */
+        isInDocument(element) {
+            let node = element;
+            while (node && node.getRootNode) {
+                const root = node.getRootNode();
+                if (root === document) return document.body.contains(node);
+                // Frame documents count while their frame is shown
+                if (root.nodeType === 9) return !!(root.defaultView && root.body && root.body.contains(node));
+                node = root.host;
+            }
+            return false;
+        },
+
+        /**
+         * Gets the shadow hosts around an element, outermost first
+         * @param {Element} element - The element
+         * @returns {Array} - The hosts (empty for elements of the main document)
+         */
+        getHostChain(element) {
+            const hosts = [];
+            let root = element.getRootNode();
+            while (root && root.host) {
+                hosts.unshift(root.host);
+                root = root.host.getRootNode();
+            }
+            return hosts;
+        },
+
+        /**
+         * Gets the parent of an element in the flattened tree
+         * Slotted elements belong to their slot's parent, and shadow root children to the host
+         * @param {Element} element - The element
+         * @returns {Element|null} - The parent, or null at the top of the document
+         */
+        getParent(element) {
+            if (element.assignedSlot) return this.getParent(element.assignedSlot);
+            if (element.parentElement) return element.parentElement;
+
+            const root = element.parentNode;
+            return root && root.host ? root.host : null;
+        },
+
+        /**
+         * Replaces a node of a shadow tree by what it renders
+         * Slots become their assigned (or fallback) nodes; shadow styles are left out, since
+         * captures carry their own styles
+         * @param {Node} node - The node
+         * @returns {Array} - The nodes to use in its place
+         */
+        flattenNode(node) {
+            if (node.nodeType !== 1 || !this.isInShadowTree(node)) return [node];
+
+            if (node.tagName === 'STYLE' || (node.tagName === 'LINK' && /stylesheet/i.test(node.rel))) return [];
+            if (node.tagName === 'SLOT') return node.assignedNodes({ flatten: true });
+            return [node];
+        },
+
+        /**
+         * Gets the child nodes of an element in the flattened tree
+         * @param {Element} element - The element
+         * @returns {Array} - Text and element nodes as they are rendered
+         */
+        getChildNodes(element) {
+            if (element.tagName === 'SLOT' && this.isInShadowTree(element)) {
+                return element.assignedNodes({ flatten: true });
+            }
+
+            const source = element.shadowRoot || element;
+            const nodes = [];
+            Array.from(source.childNodes).forEach(child => {
+                nodes.push(...this.flattenNode(child));
+            });
+            return nodes;
+        },
+
+        /**
+         * Gets the child elements of an element in the flattened tree
+         * @param {Element} element - The element
+         * @returns {Array} - The child elements
+         */
+        getChildren(element) {
+            return this.getChildNodes(element).filter(node => node.nodeType === 1);
+        },
+
+        /**
+         * Gets all descendant elements in the flattened tree, in document order
+         * @param {Element} element - The element
+         * @returns {Array} - The descendants
+         */
+        getDescendants(element) {
+            const descendants = [];
+            this.getChildren(element).forEach(child => {
+                descendants.push(child, ...this.getDescendants(child));
+            });
+            return descendants;
+        },
+
+        /**
+         * Deep-clones an element with the content of open shadow roots written out as light DOM
+         * cloneNode(true) drops shadow roots, which leaves web components empty
+         * @param {Node} node - The node to clone
+         * @returns {Node} - The flattened clone
+         */
+        cloneFlattened(node) {
+            // Template content lives in a separate fragment that only a deep clone copies
+            if (node.nodeType === 1 && node.tagName === 'TEMPLATE') return node.cloneNode(true);
+
+            const clone = node.cloneNode(false);
+            if (node.nodeType === 1) {
+                this.getChildNodes(node).forEach(child => {
+                    clone.appendChild(this.cloneFlattened(child));
+                });
+            }
+            return clone;
+        }
+    };
+
+    /**
+     * Frames Module
+     * Reaches into same-origin frames, so their content can be highlighted and selected from the top page
+     */
+    const Frames = {
+        /**
+         * Elements that embed another document
+         */
+        frameSelector: 'iframe, frame',
+
+        /**
+         * Documents that already received the highlighter's listeners
+         */
+        attachedDocuments: new WeakSet(),
+
+        /**
+         * Frame elements whose load event is watched
+         */
+        watchedFrames: new WeakSet(),
+
+        /**
+         * Called with every same-origin frame document that becomes available
+         */
+        onDocument: null,
+
+        /**
+         * Checks whether this script runs in a frame whose parent can be reached
+         * The instance of the parent page handles such frames, so this one must stay idle
+         * @returns {boolean} - Whether a parent instance takes care of this frame
+         */
+        isManagedByParent() {
+            if (window === window.top) return false;
+            try {
+                return !!window.parent.document;
+            } catch (e) {
+                // Cross-origin parent: this frame acts as a page of its own
+                return false;
+            }
+        },
+
+        /**
+         * Gets the document of a frame element if it is same-origin and loaded
+         * @param {Element} frame - The iframe or frame element
+         * @returns {Document|null} - The frame's document, or null if it cannot be accessed
+         */
+        getFrameDocument(frame) {
+            if (!frame || !frame.matches || !frame.matches(this.frameSelector)) return null;
+            try {
+                const doc = frame.contentDocument;
+                return doc && doc.body ? doc : null;
+            } catch (e) {
+                return null;
+            }
+        },
+
+        /**
+         * Gets the frame element that embeds the document of an element
+         * Only the root element of a frame document leads out of the frame
+         * @param {Element} element - The element
+         * @returns {Element|null} - The frame element, or null for the top document
+         */
+        getFrameElement(element) {
+            const doc = element.ownerDocument;
+            if (doc === document || element !== doc.documentElement || !doc.defaultView) return null;
+            return doc.defaultView.frameElement;
+        },
+
+        /**
+         * Gets the frame elements around an element, outermost first
+         * @param {Element} element - The element
+         * @returns {Array} - The frame elements (empty for elements of the top document)
+         */
+        getFrameChain(element) {
+            const frames = [];
+            let view = element.ownerDocument.defaultView;
+            while (view && view !== window && view.frameElement) {
+                frames.unshift(view.frameElement);
+                view = view.frameElement.ownerDocument.defaultView;
+            }
+            return frames;
+        },
+
+        /**
+         * Gets the bounding rectangle of an element in the viewport of the top page
+         * Rectangles of framed elements are relative to their frame, so the frames' content
+         * boxes are added on the way up
+         * @param {Element} element - The element
+         * @returns {Object} - Rectangle with top, left, right, bottom, width and height
+         */
+        getRect(element) {
+            const rect = element.getBoundingClientRect();
+            let top = rect.top;
+            let left = rect.left;
+
+            this.getFrameChain(element).forEach(frame => {
+                const frameRect = frame.getBoundingClientRect();
+                const style = window.getComputedStyle(frame);
+                top += frameRect.top + frame.clientTop + (parseFloat(style.paddingTop) || 0);
+                left += frameRect.left + frame.clientLeft + (parseFloat(style.paddingLeft) || 0);
+            });
+
+            return {
+                top: top,
+                left: left,
+                right: left + rect.width,
+                bottom: top + rect.height,
+                width: rect.width,
+                height: rect.height
+            };
+        },
+
+        /**
+         * Gets the top document and all reachable frame documents
+         * @param {Document} doc - The document to start from
+         * @returns {Array} - The documents, top first
+         */
+        getDocuments(doc = document) {
+            const documents = [doc];
+            doc.querySelectorAll(this.frameSelector).forEach(frame => {
+                const frameDocument = this.getFrameDocument(frame);
+                if (frameDocument) documents.push(...this.getDocuments(frameDocument));
+            });
+            return documents;
+        },
+
+        /**
+         * Starts handing frame documents to a callback, now and whenever frames load
+         * @param {Function} callback - Called once per frame document
+         */
+        watch(callback) {
+            this.onDocument = callback;
+            this.attachedDocuments.add(document);
+            this.watchFrames(document);
+        },
+
+        /**
+         * Watches the frames of a document, including frames added later
+         * @param {Document} doc - The document
+         */
+        watchFrames(doc) {
+            const scan = () => {
+                doc.querySelectorAll(this.frameSelector).forEach(frame => {
+                    if (!this.watchedFrames.has(frame)) {
+                        this.watchedFrames.add(frame);
+                        // Navigating a frame replaces its document
+                        frame.addEventListener('load', () => this.attachFrame(frame));
+                    }
+                    this.attachFrame(frame);
+                });
+            };
+
+            scan();
+            new MutationObserver(scan).observe(doc.body || doc.documentElement, { childList: true, subtree: true });
+        },
+
+        /**
+         * Hands the document of a frame to the callback if it was not seen before
+         * @param {Element} frame - The frame element
+         */
+        attachFrame(frame) {
+            const doc = this.getFrameDocument(frame);
+            if (!doc || this.attachedDocuments.has(doc)) return;
+
+            this.attachedDocuments.add(doc);
+            try {
+                if (this.onDocument) this.onDocument(doc);
+                this.watchFrames(doc);
+            } catch (e) {
+                console.error('Error attaching to frame:', frame, e);
+            }
+        },
+
+        /**
+         * Creates the placeholder that stands in for a frame in exports
+         * Frame content is not part of the element's clone; same-origin frame content can be
+         * selected directly instead
+         * @param {Element} frame - The live frame element
+         * @param {Document} ownerDocument - The document to create the placeholder in
+         * @returns {Element} - The placeholder
+         */
+        createPlaceholder(frame, ownerDocument) {
+            const frameDocument = this.getFrameDocument(frame);
+            const src = frameDocument && !/^about:/.test(frameDocument.URL) ?
+                frameDocument.URL :
+                (frame.getAttribute('src') ? URLUtils.toAbsoluteUrl(frame.getAttribute('src'), frame.ownerDocument.baseURI) : '');
+            const label = frame.title || frame.name || (frameDocument && frameDocument.title) || src || 'untitled';
+
+            const placeholder = ownerDocument.createElement('div');
+            placeholder.className = 'element-highlighter-frame';
+            placeholder.style.border = '1px dashed #999';
+            placeholder.style.padding = '10px';
+            placeholder.style.width = `${frame.offsetWidth || frame.width || 300}px`;
+            placeholder.style.maxWidth = '100%';
+
+            if (src) {
+                const link = ownerDocument.createElement('a');
+                link.href = src;
+                link.textContent = `Embedded frame: ${label}`;
+                placeholder.appendChild(link);
+            } else {
+                placeholder.textContent = `Embedded frame: ${label}`;
+            }
+
+            return placeholder;
+        },
+
+        /**
+         * Replaces the frames in a clone by placeholders
+         * @param {Element} original - The live element the clone was made from
+         * @param {Element} clone - The clone
+         * @returns {Element} - The clone, or a placeholder if the element itself is a frame
+         */
+        replaceFrames(original, clone) {
+            let result = clone;
+            ElementProcessor.pairElements(original, clone).forEach(([liveElement, cloneElement]) => {
+                if (!liveElement.matches(this.frameSelector)) return;
+
+                const placeholder = this.createPlaceholder(liveElement, clone.ownerDocument);
+                if (cloneElement === clone) {
+                    result = placeholder;
+                } else {
+                    cloneElement.replaceWith(placeholder);
+                }
+            });
+            return result;
+        }
+    };
+
+    /**
+     * Locator Module
+     * Describes elements in ways that survive a page reload, and finds them again
+     */
+    const Locator = {
+        /**
+         * Number of text characters kept in a fingerprint
+         */
+        textSampleLength: 120,
+
+        /**
+         * Attributes that identify an element among similar ones, such as the rows of a virtualized list
+         */
+        identifyingAttributes: ['data-key', 'data-id', 'data-index', 'data-item-index', 'data-testid', 'aria-rowindex', 'aria-posinset', 'href', 'name'],
+
+        /**
+         * Creates a locator for an element
+         * Elements inside shadow roots also record the CSS paths of their shadow hosts, outermost first;
+         * their cssPath is relative to the shadow root and they have no XPath.
+         * Elements of frames record the CSS paths of their frame elements the same way
+         * @param {Element} element - The element to describe
+         * @returns {Object} - Locator with cssPath, xpath, fingerprint and optional frames and shadowHosts
+         */
+        create(element) {
+            const hosts = ShadowDOM.getHostChain(element);
+            const frames = Frames.getFrameChain(element);
+            const locator = {
+                cssPath: this.getCssPath(element),
+                xpath: hosts.length > 0 ? '' : this.getXPath(element),
+                fingerprint: this.getFingerprint(element)
+            };
+            if (hosts.length > 0) {
+                locator.shadowHosts = hosts.map(host => this.getCssPath(host));
+            }
+            if (frames.length > 0) {
+                locator.frames = frames.map(frame => this.getCssPath(frame));
+            }
+            return locator;
+        },
+
+        /**
+         * Builds a CSS selector path for an element, anchored at the nearest unique ID
+         * @param {Element} element - The element
+         * @returns {string} - The CSS selector
+         */
+        getCssPath(element) {
+            const parts = [];
+            const root = element.getRootNode();
+            let current = element;
+
+            // Paths of elements in a shadow root start at the shadow root
+            while (current && current.nodeType === 1 && current !== document.documentElement) {
+                if (current.id && root.querySelectorAll(`#${CSS.escape(current.id)}`).length === 1) {
+                    parts.unshift(`#${CSS.escape(current.id)}`);
+                    break;
+                }
+
+                let part = current.tagName.toLowerCase();
+                // The parent node, since top-level children of a shadow root have no parent element
+                const parent = current.parentNode;
+                if (parent) {
+                    const sameTag = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+                    if (sameTag.length > 1) {
+                        part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+                    }
+                }
+                parts.unshift(part);
+                current = parent;
+            }
+
+            return parts.join(' > ');
+        },
+
+        /**
+         * Builds an absolute XPath for an element
+         * @param {Element} element - The element
+         * @returns {string} - The XPath expression
+         */
+        getXPath(element) {
+            const parts = [];
+            let current = element;
+
+            while (current && current.nodeType === 1) {
+                // Elements in foreign namespaces (e.g. SVG) need a namespace-agnostic step
+                const name = current.namespaceURI === 'http://www.w3.org/1999/xhtml' ?
+                    current.tagName.toLowerCase() :
+                    `*[local-name()="${current.localName}"]`;
+
+                let index = 1;
+                for (let sibling = current.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+                    if (sibling.tagName === current.tagName) index++;
+                }
+
+                parts.unshift(`${name}[${index}]`);
+                current = current.parentElement;
+            }
+
+            return '/' + parts.join('/');
+        },
+
+        /**
+         * Collapses whitespace so text can be compared across reloads
+         * @param {string} text - The text
+         * @returns {string} - The normalized text
+         */
+        normalizeText(text) {
+            return (text || '').replace(/\s+/g, ' ').trim();
+        },
+
+        /**
+         * Hashes a text into a short string (32-bit FNV-1a)
+         * @param {string} text - The text
+         * @returns {string} - The hash as 8 hex digits
+         */
+        hashText(text) {
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return (hash >>> 0).toString(16).padStart(8, '0');
+        },
+
+        /**
+         * Records identifying features of an element
+         * @param {Element} element - The element
+         * @returns {Object} - Fingerprint with tag name, id, classes, identifying attributes, a text sample and a hash of the full text
+         */
+        getFingerprint(element) {
+            const text = this.normalizeText(element.textContent);
+            const attributes = {};
+            this.identifyingAttributes.forEach(name => {
+                if (element.hasAttribute(name)) attributes[name] = element.getAttribute(name);
+            });
+            return {
+                tagName: element.tagName.toLowerCase(),
+                id: element.id || '',
+                classes: Array.from(element.classList),
+                attributes: attributes,
+                text: text.slice(0, this.textSampleLength),
+                textLength: text.length,
+                textHash: this.hashText(text)
+            };
+        },
+
+        /**
+         * Checks whether an element still matches a fingerprint
+         * @param {Element} element - The candidate element
+         * @param {Object} fingerprint - The recorded fingerprint
+         * @returns {boolean} - Whether the element is likely the recorded one
+         */
+        matchesFingerprint(element, fingerprint) {
+            if (!element || !fingerprint) return false;
+            if (element.tagName.toLowerCase() !== fingerprint.tagName) return false;
+            if (fingerprint.id && element.id === fingerprint.id) return true;
+
+            // Rows of virtualized lists often differ only in their key or index attributes
+            const attributes = fingerprint.attributes || {};
+            if (Object.keys(attributes).some(name => element.getAttribute(name) !== attributes[name])) return false;
+
+            const text = this.normalizeText(element.textContent);
+            if (fingerprint.text) {
+                return text.slice(0, this.textSampleLength) === fingerprint.text;
+            }
+
+            // Elements without text (images, embeds) are compared by class names
+            return !text && fingerprint.classes.every(className => element.classList.contains(className));
+        },
+
+        /**
+         * Finds the document and shadow root a locator's frame and shadow host paths lead to
+         * @param {Array} shadowHosts - CSS paths of the shadow hosts, outermost first
+         * @param {Array} frames - CSS paths of the frame elements, outermost first
+         * @returns {Document|ShadowRoot|null} - The root to search in, or null if a host or frame is missing
+         */
+        resolveRoot(shadowHosts = [], frames = []) {
+            let root = document;
+            for (const framePath of frames) {
+                try {
+                    root = Frames.getFrameDocument(root.querySelector(framePath));
+                } catch (e) {
+                    console.warn('Invalid saved frame path:', framePath, e);
+                    root = null;
+                }
+                if (!root) return null;
+            }
+            for (const hostPath of shadowHosts) {
+                try {
+                    const host = root.querySelector(hostPath);
+                    root = host ? host.shadowRoot : null;
+                } catch (e) {
+                    console.warn('Invalid saved shadow host path:', hostPath, e);
+                    root = null;
+                }
+                if (!root) return null;
+            }
+            return root;
+        },
+
+        /**
+         * Finds the element a locator points to
+         * Tries the CSS path, then the XPath, then a search by fingerprint
+         * @param {Object} locator - The locator created by create()
+         * @returns {Element|null} - The element, or null if it could not be found
+         */
+        resolve(locator) {
+            if (!locator) return null;
+            const { cssPath, xpath, fingerprint } = locator;
+
+            // Shadow hosts may not be upgraded and frames not loaded yet; a later retry will find them
+            const root = this.resolveRoot(locator.shadowHosts, locator.frames);
+            if (!root) return null;
+
+            try {
+                const element = cssPath ? root.querySelector(cssPath) : null;
+                if (this.matchesFingerprint(element, fingerprint)) return element;
+            } catch (e) {
+                console.warn('Invalid saved CSS path:', cssPath, e);
+            }
+
+            try {
+                const element = xpath && root.nodeType === 9 ?
+                    root.evaluate(xpath, root, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue :
+                    null;
+                if (this.matchesFingerprint(element, fingerprint)) return element;
+            } catch (e) {
+                console.warn('Invalid saved XPath:', xpath, e);
+            }
+
+            // The page structure changed; look for an element with the same content
+            if (!fingerprint || (!fingerprint.id && !fingerprint.text)) return null;
+            const scope = root.nodeType === 9 ? root.body : root;
+            const candidates = Array.from(scope.querySelectorAll(fingerprint.tagName))
+                .filter(element => this.matchesFingerprint(element, fingerprint));
+
+            // Prefer a candidate with the same full text, then one whose full text has the recorded length
+            const texts = new Map(candidates.map(candidate => [candidate, this.normalizeText(candidate.textContent)]));
+            return (fingerprint.textHash && candidates.find(candidate => this.hashText(texts.get(candidate)) === fingerprint.textHash)) ||
+                candidates.find(candidate => texts.get(candidate).length === fingerprint.textLength) ||
+                candidates[0] || null;
+        }
+    };
+
     /**
      * Element Processor Module
      * Handles processing of HTML elements for download
      */
-    const ElementProcessor = {
+    const ElementProcessor = {
+        /**
+         * Processes links in an element to make them absolute
+         * @param {Element} element - The element to process
+         * @param {string} baseUrl - The base URL for conversion
+         */
+        processLinks(element, baseUrl = window.location.href) {
+            // Convert href attributes
+            element.querySelectorAll('a[href]').forEach(link => {
+                try {
+                    const href = link.getAttribute('href');
+                    if (href) {
+                        link.setAttribute('href', URLUtils.toAbsoluteUrl(href, baseUrl));
+                    }
+                } catch (e) {
+                    console.error('Error processing link:', link, e);
+                }
+            });
+
+            // Convert form actions
+            element.querySelectorAll('form[action]').forEach(form => {
+                try {
+                    const action = form.getAttribute('action');
+                    if (action) {
+                        form.setAttribute('action', URLUtils.toAbsoluteUrl(action, baseUrl));
+                    }
+                } catch (e) {
+                    console.error('Error processing form action:', form, e);
+                }
+            });
+        },
+
+        /**
+         * Extracts background images from external CSS
+         * @param {Document} doc - The document whose stylesheets are read (a frame's for framed elements)
+         * @returns {Map} - Map of selectors to image URLs
+         */
+        processExternalCSS(doc = document) {
+            const styleSheets = Array.from(doc.styleSheets);
+            const backgroundImages = new Map();
+
+            styleSheets.forEach(sheet => {
+                try {
+                    const rules = Array.from(sheet.cssRules || []);
+                    rules.forEach(rule => {
+                        if (rule.style && rule.style.backgroundImage) {
+                            const urlMatch = rule.style.backgroundImage.match(/url\(['"]?([^'")]+)['"]?\)/);
+                            if (urlMatch) {
+                                // URLs in stylesheets are relative to the stylesheet
+                                backgroundImages.set(rule.selectorText, URLUtils.toAbsoluteUrl(urlMatch[1], sheet.href || doc.baseURI));
+                            }
+                        }
+                    });
+                } catch (e) {
+                    // Skip cross-origin stylesheets
+                }
+            });
+
+            return backgroundImages;
+        },
+
+        /**
+         * Processes SVG elements to ensure correct rendering
+         * @param {SVGElement} svg - The SVG element to process
+         * @param {string} baseUrl - The base URL to resolve image references against (defaults to current page)
+         * @returns {SVGElement} - The processed SVG element
+         */
+        processSVG(svg, baseUrl = window.location.href) {
+            try {
+                // Helper function to determine if SVG is a header/masthead logo
+                function isHeaderLogo(svg) {
+                    const parent = svg.parentElement;
+                    return (
+                        // Check common header/masthead indicators
+                        (parent.closest('header') ||
+                            parent.closest('[role="banner"]') ||
+                            parent.closest('.navbar') ||
+                            parent.closest('#navbar') ||
+                            parent.closest('[class*="header"]') ||
+                            parent.closest('[class*="nav"]')) &&
+                        // Additional logo indicators
+                        (svg.classList.toString().toLowerCase().includes('logo') ||
+                            parent.classList.toString().toLowerCase().includes('logo') ||
+                            (parent.tagName === 'A' && parent.href && parent.href.includes('/home')) ||
+                            parent.getAttribute('aria-label')?.toLowerCase().includes('logo') ||
+                            parent.getAttribute('alt')?.toLowerCase().includes('logo'))
+                    );
+                }
+
+                // Early handling for header logos
+                if (isHeaderLogo(svg)) {
+                    // Get parent header/container dimensions
+                    const headerHeight = svg.closest('header, [role="banner"], .navbar, #navbar')?.getBoundingClientRect().height || 64;
+
+                    // Calculate logo dimensions (typically 50-75% of header height)
+                    const targetHeight = Math.min(headerHeight * 0.6, 40); // Cap at 40px
+                    const currentRect = svg.getBoundingClientRect();
+                    const aspectRatio = currentRect.width / currentRect.height;
+                    const targetWidth = targetHeight * aspectRatio;
+
+                    // Apply dimensions
+                    svg.style.height = `${targetHeight}px`;
+                    svg.style.width = `${targetWidth}px`;
+                    svg.style.minHeight = `${targetHeight}px`; // Prevent collapse
+                    svg.style.minWidth = `${targetWidth}px`;
+
+                    // Ensure viewBox
+                    if (!svg.getAttribute('viewBox') && currentRect.width && currentRect.height) {
+                        svg.setAttribute('viewBox', `0 0 ${currentRect.width} ${currentRect.height}`);
+                    }
+
+                    return svg;
+                }
+
+                // Helper function to convert various units to pixels
+                function toPixels(value, parentDimension = 0) {
+                    if (!value) return null;
+                    // Remove all spaces
+                    value = value.trim();
+
+                    // Handle percentages
+                    if (value.endsWith('%')) {
+                        return (parseFloat(value) / 100) * parentDimension;
+                    }
+
+                    // Handle px
+                    if (value.endsWith('px')) {
+                        return parseFloat(value);
+                    }
+
+                    // Handle rem/em
+                    if (value.endsWith('rem')) {
+                        return parseFloat(value) * parseFloat(getComputedStyle(document.documentElement).fontSize);
+                    }
+                    if (value.endsWith('em')) {
+                        return parseFloat(value) * parseFloat(getComputedStyle(svg.parentElement).fontSize);
+                    }
+
+                    // Handle raw numbers
+                    if (!isNaN(value)) {
+                        return parseFloat(value);
+                    }
+
+                    return null;
+                }
+
+                // Get parent dimensions
+                const parentRect = svg.parentElement.getBoundingClientRect();
+                const parentStyle = window.getComputedStyle(svg.parentElement);
+                const computedStyle = window.getComputedStyle(svg);
+                const svgRect = svg.getBoundingClientRect();
+
+                // Gather all possible dimension sources
+                const dimensions = {
+                    // Direct attributes
+                    attribute: {
+                        width: svg.getAttribute('width'),
+                        height: svg.getAttribute('height')
+                    },
+                    // Inline styles
+                    style: {
+                        width: svg.style.width,
+                        height: svg.style.height
+                    },
+                    // Computed styles
+                    computed: {
+                        width: computedStyle.width,
+                        height: computedStyle.height
+                    },
+                    // Bounding client rect
+                    rect: {
+                        width: svgRect.width,
+                        height: svgRect.height
+                    },
+                    // Parent dimensions
+                    parent: {
+                        width: parentRect.width,
+                        height: parentRect.height
+                    },
+                    // ViewBox if present
+                    viewBox: svg.getAttribute('viewBox')?.split(' ').map(Number)
+                };
+
+                // Determine if SVG is meant to be responsive
+                const isResponsive = computedStyle.width.includes('%') ||
+                    parentStyle.display === 'flex' ||
+                    parentStyle.display === 'grid' ||
+                    svg.style.width === '100%' ||
+                    svg.classList.contains('w-auto') ||
+                    svg.classList.contains('h-auto');
+
+                // Get actual dimensions
+                let finalWidth = null;
+                let finalHeight = null;
+
+                if (isResponsive) {
+                    // Calculate responsive dimensions based on parent
+                    if (dimensions.rect.width && dimensions.rect.height) {
+                        const aspectRatio = dimensions.rect.width / dimensions.rect.height;
+                        // Set width as percentage of parent
+                        const widthPercent = (dimensions.rect.width / dimensions.parent.width) * 100;
+                        finalWidth = `${widthPercent}%`;
+                        // Set height using aspect ratio
+                        finalHeight = dimensions.rect.height;
+                    }
+                } else {
+                    // Try to get explicit dimensions in this priority order
+                    finalWidth = toPixels(dimensions.attribute.width, dimensions.parent.width) ||
+                        toPixels(dimensions.style.width, dimensions.parent.width) ||
+                        toPixels(dimensions.computed.width, dimensions.parent.width) ||
+                        dimensions.rect.width ||
+                        (dimensions.viewBox && dimensions.viewBox[2]);
+
+                    finalHeight = toPixels(dimensions.attribute.height, dimensions.parent.height) ||
+                        toPixels(dimensions.style.height, dimensions.parent.height) ||
+                        toPixels(dimensions.computed.height, dimensions.parent.height) ||
+                        dimensions.rect.height ||
+                        (dimensions.viewBox && dimensions.viewBox[3]);
+                }
+
+                // Ensure we have valid dimensions
+                if (!finalWidth || !finalHeight) {
+                    // Fall back to actual rendered dimensions
+                    finalWidth = dimensions.rect.width || 100;
+                    finalHeight = dimensions.rect.height || 100;
+                }
+
+                // Apply dimensions
+                if (isResponsive) {
+                    if (typeof finalWidth === 'string' && finalWidth.endsWith('%')) {
+                        svg.style.width = finalWidth;
+                        svg.style.height = 'auto';
+                    } else {
+                        // If we couldn't calculate percentage, maintain aspect ratio
+                        svg.style.width = '100%';
+                        svg.style.height = 'auto';
+                    }
+                } else {
+                    svg.style.width = `${finalWidth}px`;
+                    svg.style.height = `${finalHeight}px`;
+                }
+
+                // Ensure viewBox exists
+                if (!dimensions.viewBox && finalWidth && finalHeight) {
+                    svg.setAttribute('viewBox', `0 0 ${finalWidth} ${finalHeight}`);
+                }
+
+                // Ensure preserveAspectRatio is set appropriately
+                if (!svg.hasAttribute('preserveAspectRatio')) {
+                    svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+                }
+
+                // Process any nested SVG elements
+                svg.querySelectorAll('svg').forEach(nestedSvg => {
+                    this.processSVG(nestedSvg, baseUrl);
+                });
+
+                // Process any image elements
+                svg.querySelectorAll('image').forEach(image => {
+                    const href = image.getAttribute('href') || image.getAttribute('xlink:href');
+                    if (href) {
+                        image.setAttribute('href', URLUtils.toAbsoluteUrl(href, baseUrl));
+                    }
+                });
+
+                // For debugging
+                console.debug('SVG processed:', {
+                    isResponsive,
+                    dimensions,
+                    finalWidth,
+                    finalHeight
+                });
+
+                // Enforce maximum dimensions of 40x40 pixels for all SVGs
+                const maxSize = 40;
+
+                // Get the current dimensions (either calculated or from the element)
+                let currentWidth = parseFloat(svg.style.width) || finalWidth || dimensions.rect.width || 40;
+                let currentHeight = parseFloat(svg.style.height) || finalHeight || dimensions.rect.height || 40;
+
+                // Remove any units if present
+                if (typeof currentWidth === 'string') {
+                    currentWidth = parseFloat(currentWidth);
+                }
+                if (typeof currentHeight === 'string') {
+                    currentHeight = parseFloat(currentHeight);
+                }
+
+                // Calculate new dimensions while preserving aspect ratio
+                let newWidth, newHeight;
+                const aspectRatio = currentWidth / currentHeight;
+
+                if (currentWidth > maxSize || currentHeight > maxSize) {
+                    if (aspectRatio > 1) {
+                        // Wider than tall
+                        newWidth = maxSize;
+                        newHeight = maxSize / aspectRatio;
+                    } else {
+                        // Taller than wide or square
+                        newHeight = maxSize;
+                        newWidth = maxSize * aspectRatio;
+                    }
+
+                    // Apply the size restriction
+                    svg.style.width = `${newWidth}px`;
+                    svg.style.height = `${newHeight}px`;
+                    svg.style.maxWidth = `${maxSize}px`;
+                    svg.style.maxHeight = `${maxSize}px`;
+                }
+
+            } catch (e) {
+                console.error('SVG processing failed:', e);
+            }
+
+            return svg;
+        },
+
+        /**
+         * Processes images in an element to make them absolute
+         * @param {Element} element - The element to process
+         * @param {string} baseUrl - The base URL to resolve against (defaults to current page)
+         * @returns {Element} - The processed element
+         */
+        processImages(element, baseUrl = window.location.href) {
+            const clone = element.cloneNode(true);
+            const backgroundImages = this.processExternalCSS(element.ownerDocument);
+
+            // Process picture elements
+            clone.querySelectorAll('picture').forEach(picture => {
+                picture.querySelectorAll('source').forEach(source => {
+                    if (source.srcset) {
+                        const absoluteSrcset = source.srcset.split(',').map(src => {
+                            const [url, size] = src.trim().split(/\s+/);
+                            return `${URLUtils.toAbsoluteUrl(url, baseUrl)} ${size || ''}`.trim();
+                        }).join(', ');
+                        source.setAttribute('srcset', absoluteSrcset);
+                    }
+                });
+            });
+
+            // Process standard images
+            clone.querySelectorAll('img').forEach(img => {
+                // Preserve dimensions
+                if (img.width) img.setAttribute('width', img.width);
+                if (img.height) img.setAttribute('height', img.height);
+
+                // Convert src/srcset
+                if (img.src) img.src = URLUtils.toAbsoluteUrl(img.src, baseUrl);
+                if (img.srcset) {
+                    img.srcset = img.srcset.split(',').map(src => {
+                        const [url, size] = src.trim().split(/\s+/);
+                        return `${URLUtils.toAbsoluteUrl(url, baseUrl)} ${size || ''}`.trim();
+                    }).join(', ');
+                }
+
+                // Add decoding attribute for performance
+                img.setAttribute('decoding', 'async');
+            });
+
+            // Process SVGs
+            clone.querySelectorAll('svg').forEach(svg => {
+                this.processSVG(svg, baseUrl);
+            });
+
+            // Apply background images from external CSS
+            backgroundImages.forEach((imageUrl, selector) => {
+                try {
+                    const elements = clone.querySelectorAll(selector);
+                    elements.forEach(el => {
+                        el.style.backgroundImage = `url('${imageUrl}')`;
+                    });
+                } catch (e) {
+                    // Skip invalid selectors
+                }
+            });
+
+            return clone;
+        },
+
+        /**
+         * Gets essential styles from an element
+         * @param {Element} element - The element to process
+         * @param {string} pseudoElement - Optional '::before' or '::after' to read that pseudo-element instead
+         * @returns {string} - CSS string of essential styles
+         */
+        getEssentialStyles(element, pseudoElement = null) {
+            const computedStyle = window.getComputedStyle(element, pseudoElement);
+            const essentialProperties = [
+                // Layout
+                'display', 'position', 'width', 'height', 'margin', 'padding',
+                // Text formatting
+                'font-family', 'font-size', 'font-weight', 'font-style', 'text-align', 'color',
+                // Backgrounds
+                'background-color',
+                // Borders
+                'border', 'border-radius',
+                // Tables
+                'border-collapse', 'border-spacing',
+                // Flexbox essentials
+                'flex-direction', 'justify-content', 'align-items',
+                // Icons and decorations drawn by ::before and ::after
+                ...(pseudoElement ? this.pseudoElementProperties : [])
+            ];
+
+            let styles = '';
+            essentialProperties.forEach(prop => {
+                const value = computedStyle.getPropertyValue(prop);
+                if (value && value !== 'none' && value !== 'normal' && value !== 'auto') {
+                    styles += `${prop}: ${value}; `;
+                }
+            });
+
+            return styles.trim();
+        },
+
+        /**
+         * Pairs every element of a live subtree with its counterpart in a clone of it
+         * @param {Element} original - The root of the live subtree
+         * @param {Element} clone - The root of the cloned subtree
+         * @returns {Array} - Array of [originalElement, cloneElement] pairs in document order, root first
+         */
+        pairElements(original, clone) {
+            const pairs = [];
+            // Clones are made from the flattened tree, so shadow content pairs up as well
+            // Materialized pseudo-elements have no live counterpart (the original may be a snapshot that has them),
+            // and scripts, which exports may strip before pairing, have nothing to pair
+            const isSkipped = child => child.hasAttribute(this.pseudoAttribute) || child.localName === 'script';
+            let mismatches = 0;
+
+            // Walked with a stack instead of recursion, which deep subtrees would overflow
+            const stack = [[original, clone]];
+            while (stack.length > 0) {
+                const [originalElement, cloneElement] = stack.pop();
+                pairs.push([originalElement, cloneElement]);
+
+                // Elements replaced on purpose (frame placeholders, video frames) have nothing to pair below them
+                if (originalElement.tagName !== cloneElement.tagName) continue;
+
+                const originalChildren = ShadowDOM.getChildren(originalElement).filter(child => !isSkipped(child));
+                const cloneChildren = Array.from(cloneElement.children).filter(child => !isSkipped(child));
+
+                // Pairing by position would put styles on the wrong nodes
+                if (originalChildren.length !== cloneChildren.length) {
+                    mismatches++;
+                    continue;
+                }
+
+                // Pushed in reverse, so pairs come out in document order
+                for (let i = originalChildren.length - 1; i >= 0; i--) {
+                    stack.push([originalChildren[i], cloneChildren[i]]);
+                }
+            }
+
+            if (mismatches > 0) {
+                console.warn(`Clone differs from the live element in ${mismatches} place${mismatches === 1 ? '' : 's'}; the elements below were left unpaired:`, original);
+            }
+            return pairs;
+        },
+
+        /**
+         * Writes what the user currently sees into a fresh clone: canvas pixels, video frames
+         * and form state are not part of the markup that cloneNode copies
+         * @param {Element} original - The live element the clone was made from
+         * @param {Element} clone - The clone (modified in place)
+         * @returns {Element} - The clone, or its replacement if the element itself was snapshotted
+         */
+        snapshotState(original, clone) {
+            let result = clone;
+
+            this.pairElements(original, clone).forEach(([liveElement, cloneElement]) => {
+                let replacement = null;
+
+                switch (liveElement.tagName) {
+                    case 'CANVAS':
+                        replacement = this.snapshotCanvas(liveElement, cloneElement);
+                        break;
+                    case 'VIDEO':
+                        replacement = this.snapshotVideo(liveElement, cloneElement);
+                        break;
+                    case 'INPUT':
+                        this.snapshotInput(liveElement, cloneElement);
+                        break;
+                    case 'TEXTAREA':
+                        cloneElement.textContent = liveElement.value;
+                        break;
+                    case 'OPTION':
+                        if (liveElement.selected) {
+                            cloneElement.setAttribute('selected', '');
+                        } else {
+                            cloneElement.removeAttribute('selected');
+                        }
+                        break;
+                    default:
+                        break;
+                }
+
+                if (replacement) {
+                    if (cloneElement === clone) {
+                        result = replacement;
+                    } else {
+                        cloneElement.replaceWith(replacement);
+                    }
+                }
+            });
+
+            return result;
+        },
+
+        /**
+         * Creates an image that stands in for a canvas or video in exports
+         * @param {Element} liveElement - The live canvas or video
+         * @param {Element} cloneElement - Its clone, whose id, class and style are kept
+         * @param {string} dataUrl - The rendered pixels
+         * @returns {Element} - The image
+         */
+        createSnapshotImage(liveElement, cloneElement, dataUrl) {
+            const img = cloneElement.ownerDocument.createElement('img');
+            ['id', 'class', 'style', 'title'].forEach(name => {
+                if (cloneElement.hasAttribute(name)) img.setAttribute(name, cloneElement.getAttribute(name));
+            });
+            img.src = dataUrl;
+            img.alt = liveElement.getAttribute('aria-label') || liveElement.getAttribute('title') || `${liveElement.tagName.toLowerCase()} snapshot`;
+
+            // Keep the displayed size, not the size of the drawing buffer
+            const width = liveElement.clientWidth || liveElement.width;
+            const height = liveElement.clientHeight || liveElement.height;
+            if (width) img.setAttribute('width', width);
+            if (height) img.setAttribute('height', height);
+            return img;
+        },
+
+        /**
+         * Renders a canvas into an image
+         * @param {HTMLCanvasElement} canvas - The live canvas
+         * @param {Element} cloneElement - Its clone
+         * @returns {Element|null} - The image, or null if the canvas cannot be read
+         */
+        snapshotCanvas(canvas, cloneElement) {
+            try {
+                const dataUrl = canvas.toDataURL('image/png');
+                if (!/^data:image\/png/.test(dataUrl || '')) return null;
+                return this.createSnapshotImage(canvas, cloneElement, dataUrl);
+            } catch (e) {
+                // Canvases that drew cross-origin images cannot be read
+                console.warn('Could not snapshot canvas:', canvas, e);
+                return null;
+            }
+        },
+
+        /**
+         * Renders the current frame of a video
+         * Paused videos become an image; playing videos keep playing in the export and get
+         * the frame as their poster
+         * @param {HTMLVideoElement} video - The live video
+         * @param {Element} cloneElement - Its clone
+         * @returns {Element|null} - The image for paused videos, otherwise null
+         */
+        snapshotVideo(video, cloneElement) {
+            // HAVE_CURRENT_DATA: a frame is available to draw
+            if (video.readyState < 2 || !video.videoWidth || !video.videoHeight) return null;
+
+            try {
+                const canvas = video.ownerDocument.createElement('canvas');
+                canvas.width = video.videoWidth;
+                canvas.height = video.videoHeight;
+                const context = canvas.getContext('2d');
+                if (!context) return null;
+
+                context.drawImage(video, 0, 0, canvas.width, canvas.height);
+                const dataUrl = canvas.toDataURL('image/jpeg', 0.9);
+
+                if (video.paused || video.ended) {
+                    return this.createSnapshotImage(video, cloneElement, dataUrl);
+                }
+                cloneElement.setAttribute('poster', dataUrl);
+                return null;
+            } catch (e) {
+                // Cross-origin videos without CORS cannot be read
+                console.warn('Could not snapshot video:', video, e);
+                return null;
+            }
+        },
+
+        /**
+         * Writes the current value or checked state of an input into its clone's attributes
+         * @param {HTMLInputElement} input - The live input
+         * @param {Element} cloneElement - Its clone
+         */
+        snapshotInput(input, cloneElement) {
+            const type = (input.type || 'text').toLowerCase();
+
+            if (type === 'checkbox' || type === 'radio') {
+                if (input.checked) {
+                    cloneElement.setAttribute('checked', '');
+                } else {
+                    cloneElement.removeAttribute('checked');
+                }
+                return;
+            }
+
+            // Typed passwords never end up in a file; file inputs have no value to show
+            if (type === 'password') {
+                cloneElement.removeAttribute('value');
+                return;
+            }
+            if (type === 'file') return;
+
+            cloneElement.setAttribute('value', input.value);
+        },
+
+        /**
+         * Attribute marking the spans that stand in for ::before and ::after content
+         */
+        pseudoAttribute: 'data-element-highlighter-pseudo',
+
+        /**
+         * Properties read from pseudo-elements in addition to the essential ones
+         */
+        pseudoElementProperties: [
+            'top', 'right', 'bottom', 'left', 'vertical-align', 'line-height',
+            'background-image', 'background-size', 'background-position', 'background-repeat',
+            'transform', 'opacity'
+        ],
+
+        /**
+         * Elements whose pseudo-elements are not rendered, or whose content model has no room for a span
+         */
+        pseudoHostExclusions: [
+            'IMG', 'INPUT', 'TEXTAREA', 'SELECT', 'OPTION', 'BR', 'HR', 'WBR', 'IFRAME', 'VIDEO', 'AUDIO', 'CANVAS',
+            'TABLE', 'THEAD', 'TBODY', 'TFOOT', 'TR', 'COLGROUP', 'COL', 'svg'
+        ],
+
+        /**
+         * Gets the content a pseudo-element renders, if any
+         * @param {Element} element - The live element
+         * @param {string} pseudoElement - '::before' or '::after'
+         * @returns {string|null} - The computed content value, or null if nothing is generated
+         */
+        getPseudoContent(element, pseudoElement) {
+            const content = window.getComputedStyle(element, pseudoElement).getPropertyValue('content');
+            if (!content || content === 'none' || content === 'normal') return null;
+            return content;
+        },
+
+        /**
+         * Splits a computed content value into its strings, counters, attributes, images and quotes
+         * @param {string} content - The computed content value, e.g. '"\201C" attr(title) counter(item, upper-roman) ". "'
+         * @returns {Array} - Array of { type, value, ... } tokens in rendering order
+         */
+        parseContentValue(content) {
+            const tokens = [];
+            const pattern = /\s*(?:"((?:[^"\\]|\\[\s\S])*)"|'((?:[^'\\]|\\[\s\S])*)'|(counters?)\(([^)]*)\)|attr\(\s*([^\s),]+)[^)]*\)|url\(\s*(['"]?)(.*?)\6\s*\)|(open-quote|close-quote|no-open-quote|no-close-quote)|(\/))/y;
+            const unescape = text => text
+                .replace(/\\([0-9a-fA-F]{1,6})\s?/g, (full, hex) => String.fromCodePoint(parseInt(hex, 16)))
+                .replace(/\\([\s\S])/g, '$1');
+
+            let match;
+            while (pattern.lastIndex < content.length && (match = pattern.exec(content)) !== null) {
+                // Anything after a slash is alternative text for screen readers
+                if (match[9]) break;
+
+                if (match[1] !== undefined || match[2] !== undefined) {
+                    tokens.push({ type: 'string', value: unescape(match[1] !== undefined ? match[1] : match[2]) });
+                } else if (match[3]) {
+                    // counter(name, style) or counters(name, "separator", style)
+                    const args = match[4].match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|[^,\s]+/g) || [];
+                    const nested = match[3] === 'counters';
+                    tokens.push({
+                        type: 'counter',
+                        value: args[0],
+                        separator: nested && args[1] ? unescape(args[1].slice(1, -1)) : null,
+                        style: args[nested ? 2 : 1] || 'decimal'
+                    });
+                } else if (match[5]) {
+                    tokens.push({ type: 'attr', value: match[5] });
+                } else if (match[7] !== undefined) {
+                    tokens.push({ type: 'url', value: match[7] });
+                } else if (match[8]) {
+                    tokens.push({ type: 'quote', value: match[8] });
+                }
+            }
+
+            return tokens;
+        },
+
+        /**
+         * Formats a counter value in a list style
+         * @param {number} value - The counter value
+         * @param {string} style - The counter style, e.g. 'decimal', 'lower-alpha' or 'upper-roman'
+         * @returns {string} - The formatted value (styles that cannot be written out fall back to decimal)
+         */
+        formatCounter(value, style) {
+            const alphabetic = (number, letters) => {
+                let text = '';
+                for (let n = number; n > 0; n = Math.floor((n - 1) / 26)) {
+                    text = letters[(n - 1) % 26] + text;
+                }
+                return text;
+            };
+            const roman = number => {
+                const numerals = [[1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+                    [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']];
+                let text = '';
+                let rest = number;
+                numerals.forEach(([amount, numeral]) => {
+                    while (rest >= amount) {
+                        text += numeral;
+                        rest -= amount;
+                    }
+                });
+                return text;
+            };
+
+            switch (style) {
+                case 'none':
+                    return '';
+                case 'disc':
+                    return '\u2022';
+                case 'circle':
+                    return '\u25E6';
+                case 'square':
+                    return '\u25AA';
+                case 'decimal-leading-zero':
+                    return value >= 0 && value < 10 ? `0${value}` : String(value);
+                case 'lower-alpha':
+                case 'lower-latin':
+                    return value > 0 ? alphabetic(value, 'abcdefghijklmnopqrstuvwxyz') : String(value);
+                case 'upper-alpha':
+                case 'upper-latin':
+                    return value > 0 ? alphabetic(value, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ') : String(value);
+                case 'lower-roman':
+                    return value > 0 && value < 4000 ? roman(value) : String(value);
+                case 'upper-roman':
+                    return value > 0 && value < 4000 ? roman(value).toUpperCase() : String(value);
+                default:
+                    return String(value);
+            }
+        },
+
+        /**
+         * Parses a computed counter-reset, counter-set or counter-increment value
+         * @param {string} value - The computed value, e.g. 'section 0 item'
+         * @param {number} defaultAmount - Amount used for names without a number
+         * @returns {Array} - Array of [name, amount] pairs
+         */
+        parseCounterList(value, defaultAmount) {
+            if (!value || value === 'none') return [];
+
+            const parts = value.trim().split(/\s+/);
+            const entries = [];
+            for (let i = 0; i < parts.length; i++) {
+                if (/^-?\d+$/.test(parts[i + 1] || '')) {
+                    entries.push([parts[i], parseInt(parts[i + 1], 10)]);
+                    i++;
+                } else {
+                    entries.push([parts[i], defaultAmount]);
+                }
+            }
+            return entries;
+        },
+
+        /**
+         * Live elements of the export in progress, whose counters are resolved together (see beginExport)
+         */
+        exportRoots: null,
+
+        /**
+         * Counter values resolved during the export in progress, by document
+         */
+        exportCounters: null,
+
+        /**
+         * Starts an export: until endExport(), counters are resolved once per document for all exported elements
+         * @param {Array} elements - The elements being exported (snapshots of removed elements are ignored)
+         */
+        beginExport(elements) {
+            this.exportRoots = elements.filter(element => ShadowDOM.isInDocument(element));
+            this.exportCounters = new Map();
+        },
+
+        /**
+         * Ends the export started by beginExport() and drops its resolved counters
+         */
+        endExport() {
+            this.exportRoots = null;
+            this.exportCounters = null;
+        },
+
+        /**
+         * Works out the counter values seen by pseudo-elements
+         * During an export, each document is walked once for all exported elements
+         * @param {Array} targets - Array of { element, pseudoElement } to resolve counters for
+         * @returns {Map} - Map of live elements to { '::before': Map, '::after': Map } of counter names to value stacks
+         */
+        resolveCounters(targets) {
+            const results = new Map();
+
+            // Framed elements count within their own document
+            new Set(targets.map(({ element }) => element.ownerDocument)).forEach(doc => {
+                const docTargets = targets.filter(({ element }) => element.ownerDocument === doc);
+                let docResults;
+
+                if (this.exportCounters) {
+                    if (!this.exportCounters.has(doc)) {
+                        const roots = this.exportRoots.filter(root => root.ownerDocument === doc);
+                        // Every shown counter up to the last exported element, so later elements reuse the walk
+                        this.exportCounters.set(doc, this.walkCounters(
+                            doc,
+                            (element, content) => /\bcounters?\(/.test(content),
+                            roots.length > 0 ? roots : docTargets.map(({ element }) => element)
+                        ));
+                    }
+                    docResults = this.exportCounters.get(doc);
+                } else {
+                    const wanted = new Map();
+                    docTargets.forEach(({ element, pseudoElement }) => {
+                        if (!wanted.has(element)) wanted.set(element, new Set());
+                        wanted.get(element).add(pseudoElement);
+                    });
+                    docResults = this.walkCounters(
+                        doc,
+                        (element, content, pseudoElement) => wanted.has(element) && wanted.get(element).has(pseudoElement),
+                        Array.from(wanted.keys())
+                    );
+                }
+
+                docTargets.forEach(({ element }) => {
+                    if (docResults.has(element)) results.set(element, docResults.get(element));
+                });
+            });
+
+            return results;
+        },
+
+        /**
+         * Replays counter-reset, counter-increment and counter-set over a document in tree order
+         * The walk stops once the last of the given elements is done, since later elements cannot change their counters
+         * @param {Document} doc - The document
+         * @param {Function} shouldRecord - Called with (element, content, pseudoElement); whether to record the pseudo-element's counters
+         * @param {Array} stopAfter - Elements after which the walk may stop
+         * @returns {Map} - Map of live elements to { '::before': Map, '::after': Map } of counter names to value stacks
+         */
+        walkCounters(doc, shouldRecord, stopAfter) {
+            const results = new Map();
+            const pending = new Set(stopAfter);
+
+            // Counter instances by name; the innermost one is last
+            const stacks = new Map();
+            const create = (name, value, scope) => {
+                if (!stacks.has(name)) stacks.set(name, []);
+                const stack = stacks.get(name);
+                // A counter of the same name created by an earlier sibling is replaced, not nested
+                if (scope.includes(name)) {
+                    stack[stack.length - 1].value = value;
+                    return;
+                }
+                stack.push({ value });
+                scope.push(name);
+            };
+            const apply = (style, scope, element) => {
+                const resets = this.parseCounterList(style.getPropertyValue('counter-reset'), 0);
+                // Lists start a new list-item counter, list items step it
+                if (element && /^(OL|UL|MENU)$/.test(element.tagName) && !resets.some(([name]) => name === 'list-item')) {
+                    const start = parseInt(element.getAttribute('start'), 10);
+                    resets.push(['list-item', Number.isNaN(start) ? 0 : start - 1]);
+                }
+                resets.forEach(([name, amount]) => create(name, amount, scope));
+
+                const increments = this.parseCounterList(style.getPropertyValue('counter-increment'), 1);
+                if (element && style.getPropertyValue('display') === 'list-item' && !increments.some(([name]) => name === 'list-item')) {
+                    increments.push(['list-item', 1]);
+                }
+                increments.forEach(([name, amount]) => {
+                    if (!stacks.has(name) || stacks.get(name).length === 0) create(name, 0, scope);
+                    const stack = stacks.get(name);
+                    stack[stack.length - 1].value += amount;
+                });
+
+                this.parseCounterList(style.getPropertyValue('counter-set'), 0).forEach(([name, amount]) => {
+                    if (!stacks.has(name) || stacks.get(name).length === 0) create(name, 0, scope);
+                    const stack = stacks.get(name);
+                    stack[stack.length - 1].value = amount;
+                });
+            };
+            const record = (element, pseudoElement, content) => {
+                if (!shouldRecord(element, content, pseudoElement)) return;
+                if (!results.has(element)) results.set(element, {});
+                results.get(element)[pseudoElement] = new Map(Array.from(stacks).map(([name, stack]) => (
+                    [name, stack.map(instance => instance.value)]
+                )));
+            };
+
+            // Counters created by an element stay in scope for its following siblings, so they are
+            // dropped once the parent is done
+            const walk = (element, siblingScope) => {
+                if (pending.size === 0) return;
+
+                const style = window.getComputedStyle(element);
+                // Elements that are not rendered do not touch counters
+                if (style.getPropertyValue('display') === 'none') {
+                    pending.delete(element);
+                    return;
+                }
+
+                apply(style, siblingScope, element);
+                const childScope = [];
+
+                ['::before', null, '::after'].forEach(pseudoElement => {
+                    if (!pseudoElement) {
+                        ShadowDOM.getChildren(element).forEach(child => walk(child, childScope));
+                        return;
+                    }
+                    const content = this.getPseudoContent(element, pseudoElement);
+                    if (!content) return;
+                    apply(window.getComputedStyle(element, pseudoElement), childScope, null);
+                    record(element, pseudoElement, content);
+                });
+
+                childScope.forEach(name => stacks.get(name).pop());
+                pending.delete(element);
+            };
+
+            walk(doc.documentElement, []);
+            return results;
+        },
+
+        /**
+         * Turns a pseudo-element's content into nodes
+         * @param {Array} tokens - Tokens from parseContentValue
+         * @param {Element} element - The live element the pseudo-element belongs to
+         * @param {CSSStyleDeclaration} style - The pseudo-element's computed style
+         * @param {Map} counters - Counter names mapped to value stacks, from resolveCounters
+         * @param {Document} doc - The document to create the nodes in
+         * @returns {Array} - Text and image nodes
+         */
+        createPseudoContentNodes(tokens, element, style, counters, doc) {
+            const nodes = [];
+            let text = '';
+            const flushText = () => {
+                if (text) nodes.push(doc.createTextNode(text));
+                text = '';
+            };
+
+            // Quote marks come from the quotes property; 'auto' means typographic double quotes
+            const quotes = (style.getPropertyValue('quotes').match(/"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'/g) || [])
+                .map(quote => quote.slice(1, -1));
+            const openQuote = quotes[0] !== undefined ? quotes[0] : '\u201C';
+            const closeQuote = quotes[1] !== undefined ? quotes[1] : '\u201D';
+
+            tokens.forEach(token => {
+                switch (token.type) {
+                    case 'string':
+                        text += token.value;
+                        break;
+                    case 'attr':
+                        text += element.getAttribute(token.value) || '';
+                        break;
+                    case 'quote':
+                        if (token.value === 'open-quote') text += openQuote;
+                        if (token.value === 'close-quote') text += closeQuote;
+                        break;
+                    case 'counter': {
+                        const values = (counters && counters.get(token.value)) || [0];
+                        const shown = token.separator !== null ? values : values.slice(-1);
+                        text += shown.map(value => this.formatCounter(value, token.style)).join(token.separator || '');
+                        break;
+                    }
+                    case 'url': {
+                        flushText();
+                        const img = doc.createElement('img');
+                        img.setAttribute('src', URLUtils.toAbsoluteUrl(token.value, element.ownerDocument.baseURI));
+                        img.setAttribute('alt', '');
+                        nodes.push(img);
+                        break;
+                    }
+                    default:
+                        break;
+                }
+            });
+            flushText();
+
+            return nodes;
+        },
+
+        /**
+         * Writes ::before and ::after content into clones as real spans, so icons, bullets, quote marks,
+         * counters and asterisks survive the export
+         * @param {Array} pairs - Array of [liveElement, cloneElement] pairs from pairElements
+         */
+        materializePseudoElements(pairs) {
+            const pseudoElements = [];
+            pairs.forEach(([liveElement, cloneElement]) => {
+                if (this.pseudoHostExclusions.includes(liveElement.tagName)) return;
+                // Hidden elements keep their computed content, but nothing of it is on screen
+                if (window.getComputedStyle(liveElement).getPropertyValue('display') === 'none') return;
+                ['::before', '::after'].forEach(pseudoElement => {
+                    const content = this.getPseudoContent(liveElement, pseudoElement);
+                    if (content) pseudoElements.push({ element: liveElement, clone: cloneElement, pseudoElement, content });
+                });
+            });
+            if (pseudoElements.length === 0) return;
+
+            // Replaying counters walks the whole document, so only do it when a counter is shown
+            const counters = pseudoElements.some(({ content }) => /\bcounters?\(/.test(content)) ?
+                this.resolveCounters(pseudoElements) :
+                new Map();
+
+            pseudoElements.forEach(({ element, clone, pseudoElement, content }) => {
+                try {
+                    const style = window.getComputedStyle(element, pseudoElement);
+                    const nodes = this.createPseudoContentNodes(
+                        this.parseContentValue(content),
+                        element,
+                        style,
+                        (counters.get(element) || {})[pseudoElement],
+                        clone.ownerDocument
+                    );
+
+                    // Empty inline boxes draw nothing; empty blocks may still draw a background or border
+                    if (nodes.length === 0 && style.getPropertyValue('display') === 'inline') return;
+
+                    const span = clone.ownerDocument.createElement('span');
+                    span.setAttribute(this.pseudoAttribute, pseudoElement.slice(2));
+                    span.setAttribute('aria-hidden', 'true');
+                    const essentialStyles = this.getEssentialStyles(element, pseudoElement);
+                    if (essentialStyles) span.setAttribute('style', essentialStyles);
+                    nodes.forEach(node => span.appendChild(node));
+
+                    if (pseudoElement === '::before') {
+                        clone.insertBefore(span, clone.firstChild);
+                    } else {
+                        clone.appendChild(span);
+                    }
+                } catch (e) {
+                    console.error('Error materializing pseudo-element:', element, pseudoElement, e);
+                }
+            });
+        },
+
+        /**
+         * Processes styles in an element
+         * @param {Element} element - The element to process (usually an already processed clone)
+         * @param {Element} original - The live page element the clone was made from
+         * @param {Object} options - Processing options
+         * @param {boolean} options.pseudoElements - Whether to write out ::before/::after content (default: true)
+         * @returns {Object} - Object containing processed element and basic CSS
+         */
+        processStyles(element, original = element, { pseudoElements = true } = {}) {
+            const clone = element.cloneNode(true);
+            const pairs = this.pairElements(original, clone);
+
+            // Computed styles are only meaningful for rendered elements, so read them from the
+            // live subtree (root included) and write them onto the matching clone nodes
+            pairs.forEach(([liveElement, cloneElement]) => {
+                const essentialStyles = this.getEssentialStyles(liveElement);
+                if (essentialStyles) {
+                    // Existing inline styles go last so adjustments made during processing win
+                    const existingStyle = cloneElement.getAttribute('style') || '';
+                    cloneElement.setAttribute('style', `${essentialStyles} ${existingStyle}`.trim());
+                }
+            });
+
+            // Generated content is not part of the markup, so write it out as spans
+            if (pseudoElements) this.materializePseudoElements(pairs);
+
+            // Add basic CSS in <style> tag
+            const basicCSS = `
+                * { box-sizing: border-box; }
+                table { border-collapse: collapse; }
+                td, th { padding: 8px; }
+                img { max-width: 100%; height: auto; }
+            `;
+
+            return {
+                element: clone,
+                css: basicCSS
+            };
+        }
+    };
+
+    /**
+     * Asset Manager Module
+     * Fetches external assets (images, fonts, SVG sprites) and rewrites references to them
+     */
+    const AssetManager = {
+        /**
+         * Cache of pending and completed fetches, keyed by absolute URL
+         * Cleared after every export, so long-lived tabs do not keep the assets in memory
+         */
+        cache: new Map(),
+
+        /**
+         * Maximum time to wait for a single asset (ms)
+         */
+        requestTimeout: 30000,
+
+        /**
+         * Fetches an asset as a Blob via GM_xmlhttpRequest (bypasses CORS)
+         * @param {string} url - The absolute URL of the asset
+         * @returns {Promise<Blob>} - Resolves with the asset content
+         */
+        fetchAsset(url) {
+            if (this.cache.has(url)) return this.cache.get(url);
+
+            const request = new Promise((resolve, reject) => {
+                GM_xmlhttpRequest({
+                    method: 'GET',
+                    url: url,
+                    responseType: 'blob',
+                    timeout: this.requestTimeout,
+                    onload: response => {
+                        if (response.status < 200 || response.status >= 300) {
+                            reject(new Error(`HTTP ${response.status} for ${url}`));
+                            return;
+                        }
+
+                        // Some userscript managers drop the MIME type; recover it from the headers
+                        let blob = response.response;
+                        if (!blob.type) {
+                            const headerMatch = (response.responseHeaders || '').match(/^content-type:\s*([^;\r\n]+)/im);
+                            const mimeType = headerMatch ? headerMatch[1].trim() : this.guessMimeType(url);
+                            blob = new Blob([blob], { type: mimeType });
+                        }
+                        resolve(blob);
+                    },
+                    onerror: () => reject(new Error(`Network error for ${url}`)),
+                    ontimeout: () => reject(new Error(`Timed out fetching ${url}`))
+                });
+            });
+
+            this.cache.set(url, request);
+            // Failed requests should be retried next time
+            request.catch(() => this.cache.delete(url));
+            return request;
+        },
+
+        /**
+         * Drops all cached fetches
+         */
+        clearCache() {
+            this.cache.clear();
+        },
+
+        /**
+         * MIME types of common asset file extensions
+         */
+        mimeTypes: {
+            png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp',
+            avif: 'image/avif', svg: 'image/svg+xml', ico: 'image/x-icon', bmp: 'image/bmp',
+            woff: 'font/woff', woff2: 'font/woff2', ttf: 'font/ttf', otf: 'font/otf', eot: 'application/vnd.ms-fontobject',
+            css: 'text/css'
+        },
+
+        /**
+         * Guesses a MIME type from a URL's file extension
+         * @param {string} url - The asset URL
+         * @returns {string} - The guessed MIME type
+         */
+        guessMimeType(url) {
+            const extension = (url.split(/[?#]/)[0].match(/\.(\w+)$/) || [])[1] || '';
+            return this.mimeTypes[extension.toLowerCase()] || 'application/octet-stream';
+        },
+
+        /**
+         * Picks a file extension for a MIME type
+         * @param {string} mimeType - The MIME type
+         * @returns {string} - The extension without dot ('bin' for unknown types)
+         */
+        getExtension(mimeType) {
+            const type = (mimeType || '').split(';')[0].trim().toLowerCase();
+            return Object.keys(this.mimeTypes).find(extension => this.mimeTypes[extension] === type) || 'bin';
+        },
+
+        /**
+         * Reads a Blob as a data URI
+         * @param {Blob} blob - The Blob to read
+         * @returns {Promise<string>} - Resolves with the data URI
+         */
+        blobToDataUri(blob) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(blob);
+            });
+        },
+
+        /**
+         * Reads a Blob as text
+         * @param {Blob} blob - The Blob to read
+         * @returns {Promise<string>} - Resolves with the text content
+         */
+        blobToText(blob) {
+            return new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsText(blob);
+            });
+        },
+
+        /**
+         * Converts an asset URL into a data URI, keeping the original URL if it cannot be fetched
+         * @param {string} url - The asset URL
+         * @returns {Promise<string>} - Resolves with the data URI (or the original URL)
+         */
+        async toDataUri(url) {
+            if (!url || url.startsWith('data:') || url.startsWith('blob:')) return url;
+
+            try {
+                const blob = await this.fetchAsset(URLUtils.toAbsoluteUrl(url));
+                return await this.blobToDataUri(blob);
+            } catch (e) {
+                console.warn('Could not embed asset:', url, e);
+                return url;
+            }
+        },
+
+        /**
+         * Rewrites every url(...) reference in a CSS string
+         * @param {string} cssText - The CSS to rewrite
+         * @param {Function} resolveUrl - Async function mapping an absolute URL to its replacement
+         * @param {string} baseUrl - The URL relative references are resolved against
+         * @returns {Promise<string>} - Resolves with the rewritten CSS
+         */
+        async rewriteCssUrls(cssText, resolveUrl, baseUrl = window.location.href) {
+            const pattern = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+            const urls = new Set();
+            let match;
+            while ((match = pattern.exec(cssText)) !== null) {
+                if (!match[2].startsWith('data:') && !match[2].startsWith('#')) urls.add(match[2]);
+            }
+
+            const replacements = new Map();
+            await Promise.all(Array.from(urls).map(async url => {
+                replacements.set(url, await resolveUrl(URLUtils.toAbsoluteUrl(url, baseUrl)));
+            }));
+
+            return cssText.replace(pattern, (full, quote, url) => (
+                replacements.has(url) ? `url("${replacements.get(url)}")` : full
+            ));
+        },
+
+        /**
+         * Rewrites the images, inline CSS urls and SVG references of a processed clone
+         * @param {Element} root - The processed clone to rewrite in place
+         * @param {Element} original - The live element the clone was made from (for currentSrc)
+         * @param {Function} resolveUrl - Async function mapping an absolute URL to its replacement
+         * @returns {Promise<void>}
+         */
+        async rewriteAssets(root, original, resolveUrl) {
+            const tasks = [];
+            const originals = new Map(original ? ElementProcessor.pairElements(original, root).map(([live, copy]) => [copy, live]) : []);
+            const withRoot = selector => (root.matches(selector) ? [root] : []).concat(Array.from(root.querySelectorAll(selector)));
+
+            // Images: embed the candidate the browser actually picked, so srcset is no longer needed
+            withRoot('img').forEach(img => {
+                const live = originals.get(img);
+                const source = (live && live.currentSrc) || img.getAttribute('src');
+                if (!source) return;
+                tasks.push(resolveUrl(URLUtils.toAbsoluteUrl(source)).then(replacement => {
+                    img.setAttribute('src', replacement);
+                    img.removeAttribute('srcset');
+                    img.removeAttribute('sizes');
+                    img.removeAttribute('loading');
+                }));
+            });
+
+            // Picture sources would override the embedded fallback image
+            withRoot('picture source').forEach(source => source.remove());
+
+            // Video posters, image inputs and SVG images
+            withRoot('video[poster]').forEach(video => {
+                tasks.push(resolveUrl(URLUtils.toAbsoluteUrl(video.getAttribute('poster'))).then(replacement => {
+                    video.setAttribute('poster', replacement);
+                }));
+            });
+            withRoot('input[type="image"][src]').forEach(input => {
+                tasks.push(resolveUrl(URLUtils.toAbsoluteUrl(input.getAttribute('src'))).then(replacement => {
+                    input.setAttribute('src', replacement);
+                }));
+            });
+            withRoot('image').forEach(image => {
+                const href = image.getAttribute('href') || image.getAttribute('xlink:href');
+                if (!href) return;
+                tasks.push(resolveUrl(URLUtils.toAbsoluteUrl(href)).then(replacement => {
+                    image.setAttribute('href', replacement);
+                    image.removeAttribute('xlink:href');
+                }));
+            });
+
+            // Inline styles, including background images applied from external CSS
+            withRoot('[style*="url("]').forEach(el => {
+                tasks.push(this.rewriteCssUrls(el.getAttribute('style'), resolveUrl).then(style => {
+                    el.setAttribute('style', style);
+                }));
+            });
+
+            // Embedded style elements
+            withRoot('style').forEach(style => {
+                tasks.push(this.rewriteCssUrls(style.textContent, resolveUrl).then(css => {
+                    style.textContent = css;
+                }));
+            });
+
+            tasks.push(this.inlineSvgUses(root));
+
+            await Promise.all(tasks);
+        },
+
+        /**
+         * Copies the targets of SVG <use> references into the clone so they no longer point elsewhere
+         * @param {Element} root - The processed clone to rewrite in place
+         * @returns {Promise<void>}
+         */
+        async inlineSvgUses(root) {
+            const uses = Array.from(root.querySelectorAll('use'));
+            if (uses.length === 0) return;
+
+            const definitions = new Map();
+            const spriteFiles = [];
+            const svgNamespace = 'http://www.w3.org/2000/svg';
+
+            await Promise.all(uses.map(async use => {
+                const href = use.getAttribute('href') || use.getAttribute('xlink:href');
+                if (!href || !href.includes('#')) return;
+
+                const [resource, id] = href.split('#');
+
+                // Targets already inside the capture need no copy
+                if (!resource && root.querySelector(`[id="${CSS.escape(id)}"]`)) return;
+
+                try {
+                    let target;
+                    if (!resource) {
+                        target = document.getElementById(id);
+                    } else {
+                        // External sprite sheet: fetch it and pick the referenced symbol
+                        const blob = await this.fetchAsset(URLUtils.toAbsoluteUrl(resource));
+                        const sprite = new DOMParser().parseFromString(await this.blobToText(blob), 'image/svg+xml');
+                        target = sprite.getElementById(id);
+                    }
+
+                    if (!target) return;
+
+                    // Symbols from different sprite files may share an id, so prefix them per file
+                    if (resource && !spriteFiles.includes(resource)) spriteFiles.push(resource);
+                    const localId = resource ? `element-highlighter-sprite-${spriteFiles.indexOf(resource)}-${id}` : id;
+                    if (!definitions.has(localId)) {
+                        const copy = document.importNode(target, true);
+                        copy.setAttribute('id', localId);
+                        definitions.set(localId, copy);
+                    }
+
+                    use.setAttribute('href', `#${localId}`);
+                    use.removeAttribute('xlink:href');
+                } catch (e) {
+                    console.warn('Could not inline SVG reference:', href, e);
+                }
+            }));
+
+            if (definitions.size === 0) return;
+
+            // Hidden sprite container holding the referenced symbols
+            const sprite = document.createElementNS(svgNamespace, 'svg');
+            sprite.setAttribute('aria-hidden', 'true');
+            sprite.setAttribute('style', 'position: absolute; width: 0; height: 0; overflow: hidden;');
+            const defs = document.createElementNS(svgNamespace, 'defs');
+            definitions.forEach(definition => defs.appendChild(definition));
+            sprite.appendChild(defs);
+            root.appendChild(sprite);
+        },
+
+        /**
+         * Collects the page's @font-face rules for the font families used in the given clones
+         * @param {Array} roots - Processed clones whose inline styles name the used font families
+         * @param {Function} resolveUrl - Async function mapping an absolute font URL to its replacement
+         * @returns {Promise<string>} - Resolves with the rewritten @font-face CSS
+         */
+        async buildFontFaceCss(roots, resolveUrl) {
+            // Font families referenced by the captured content
+            const usedFamilies = new Set();
+            roots.forEach(root => {
+                [root, ...root.querySelectorAll('[style*="font-family"]')].forEach(el => {
+                    const match = (el.getAttribute('style') || '').match(/font-family:\s*([^;]+)/i);
+                    if (!match) return;
+                    match[1].split(',').forEach(family => {
+                        usedFamilies.add(family.trim().replace(/^['"]|['"]$/g, '').toLowerCase());
+                    });
+                });
+            });
+
+            if (usedFamilies.size === 0) return '';
+
+            // Gather @font-face rules together with the URL their references are relative to
+            const fontFaces = [];
+            const collectRules = (rules, baseUrl) => {
+                Array.from(rules).forEach(rule => {
+                    if (rule.type === CSSRule.FONT_FACE_RULE) {
+                        fontFaces.push({ cssText: rule.cssText, baseUrl });
+                    } else if (rule.cssRules) {
+                        // @media, @supports and similar grouping rules
+                        collectRules(rule.cssRules, baseUrl);
+                    }
+                });
+            };
+
+            await Promise.all(Array.from(document.styleSheets).map(async sheet => {
+                const baseUrl = sheet.href || window.location.href;
+                try {
+                    collectRules(sheet.cssRules || [], baseUrl);
+                } catch (e) {
+                    // Cross-origin stylesheet: read its source directly instead
+                    if (!sheet.href) return;
+                    try {
+                        const cssText = await this.blobToText(await this.fetchAsset(sheet.href));
+                        (cssText.match(/@font-face\s*\{[^}]*\}/gi) || []).forEach(block => {
+                            fontFaces.push({ cssText: block, baseUrl });
+                        });
+                    } catch (fetchError) {
+                        console.warn('Could not read stylesheet for fonts:', sheet.href, fetchError);
+                    }
+                }
+            }));
+
+            const usedFaces = fontFaces.filter(face => {
+                const match = face.cssText.match(/font-family:\s*(['"]?)([^;'"}]+)\1/i);
+                return match && usedFamilies.has(match[2].trim().toLowerCase());
+            });
+
+            const rewritten = await Promise.all(usedFaces.map(face => (
+                this.rewriteCssUrls(face.cssText, resolveUrl, face.baseUrl)
+            )));
+
+            return rewritten.join('\n');
+        },
+
+        /**
+         * Embeds the assets of a processed clone as data URIs so it renders without network access
+         * @param {Element} root - The processed clone to rewrite in place
+         * @param {Element} original - The live element the clone was made from
+         * @returns {Promise<void>}
+         */
+        embedAssets(root, original) {
+            return this.rewriteAssets(root, original, url => this.toDataUri(url));
+        },
+
+        /**
+         * Builds @font-face CSS with fonts embedded as data URIs
+         * @param {Array} roots - Processed clones whose fonts should be embedded
+         * @returns {Promise<string>} - Resolves with the @font-face CSS
+         */
+        embedFonts(roots) {
+            return this.buildFontFaceCss(roots, url => this.toDataUri(url));
+        },
+
+        /**
+         * Creates an empty bundle that collects fetched assets as separate files
+         * @returns {Object} - The bundle: fetched files, failed URLs and the file name of each URL
+         */
+        createBundle() {
+            return {
+                files: [],
+                failed: [],
+                names: new Map()
+            };
+        },
+
+        /**
+         * Derives a unique file name for a bundled asset from its URL
+         * @param {string} url - The absolute asset URL
+         * @param {string} mimeType - The MIME type the asset was served with
+         * @param {Array} files - Files already in the bundle
+         * @returns {string} - The file name, e.g. "logo.png" or "logo-2.png"
+         */
+        getBundleFileName(url, mimeType, files) {
+            let baseName = '';
+            try {
+                baseName = decodeURIComponent(new URL(url).pathname.split('/').pop());
+            } catch (e) {
+                // Malformed escapes; fall back to a generic name
+            }
+
+            const match = baseName.match(/^(.*?)(?:\.(\w+))?$/);
+            const stem = FileNameTemplate.slugify(match[1]) || 'asset';
+            const extension = match[2] ? match[2].toLowerCase() : this.getExtension(mimeType);
+
+            // Different URLs may end in the same file name (e.g. image.jpg?w=100 and ?w=200)
+            const taken = new Set(files.map(file => file.name));
+            let name = `${stem}.${extension}`;
+            for (let suffix = 2; taken.has(name); suffix++) {
+                name = `${stem}-${suffix}.${extension}`;
+            }
+            return name;
+        },
+
+        /**
+         * Fetches an asset into a bundle, once per URL
+         * @param {Object} bundle - The bundle from createBundle
+         * @param {string} url - The absolute asset URL
+         * @returns {Promise<string|null>} - Resolves with the asset's file name, or null if it could not be fetched
+         */
+        addToBundle(bundle, url) {
+            if (!url || url.startsWith('data:') || url.startsWith('blob:')) return Promise.resolve(null);
+
+            if (!bundle.names.has(url)) {
+                bundle.names.set(url, (async () => {
+                    try {
+                        const blob = await this.fetchAsset(url);
+                        const content = new Uint8Array(await blob.arrayBuffer());
+                        const name = this.getBundleFileName(url, blob.type, bundle.files);
+                        bundle.files.push({ name, url, type: blob.type, content });
+                        return name;
+                    } catch (e) {
+                        console.warn('Could not bundle asset:', url, e);
+                        bundle.failed.push(url);
+                        return null;
+                    }
+                })());
+            }
+            return bundle.names.get(url);
+        },
+
+        /**
+         * Moves the assets of a processed clone into a bundle and points the clone at the files
+         * @param {Element} root - The processed clone to rewrite in place
+         * @param {Element} original - The live element the clone was made from
+         * @param {Object} bundle - The bundle from createBundle
+         * @param {string} directory - Path of the asset folder relative to the HTML file
+         * @returns {Promise<void>}
+         */
+        bundleAssets(root, original, bundle, directory) {
+            return this.rewriteAssets(root, original, async url => {
+                const name = await this.addToBundle(bundle, url);
+                return name ? `${directory}/${name}` : url;
+            });
+        },
+
+        /**
+         * Builds @font-face CSS for a stylesheet stored next to the bundled fonts
+         * @param {Array} roots - Processed clones whose fonts should be bundled
+         * @param {Object} bundle - The bundle from createBundle
+         * @returns {Promise<string>} - Resolves with the @font-face CSS
+         */
+        bundleFonts(roots, bundle) {
+            return this.buildFontFaceCss(roots, async url => (await this.addToBundle(bundle, url)) || url);
+        }
+    };
+
+    /**
+     * Markdown Serializer Module
+     * Converts processed element clones into GitHub-flavored Markdown
+     */
+    const MarkdownSerializer = {
+        /**
+         * Elements whose content never appears in the Markdown output
+         */
+        ignoredTags: ['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'META', 'LINK', 'SVG', 'CANVAS',
+            'BUTTON', 'SELECT', 'TEXTAREA', 'INPUT'],
+
+        /**
+         * Elements rendered as standalone blocks separated by blank lines
+         */
+        blockTags: ['P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'MAIN', 'ASIDE', 'NAV', 'FIGURE',
+            'FIGCAPTION', 'ADDRESS', 'DETAILS', 'SUMMARY', 'FORM', 'FIELDSET', 'DL', 'DT', 'DD', 'LI', 'BODY', 'HTML',
+            'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'PRE', 'BLOCKQUOTE', 'TABLE', 'HR'],
+
+        /**
+         * Converts an element to a Markdown string
+         * @param {Element} element - The (already processed) element to convert
+         * @returns {string} - The Markdown representation
+         */
+        serialize(element) {
+            // Code blocks are kept out of whitespace cleanup and restored at the end
+            const context = { listDepth: 0, codeBlocks: [] };
+            const markdown = this.cleanup(this.convertNode(element, context));
+            return this.restoreCodeBlocks(markdown, context);
+        },
+
+        /**
+         * Converts the children of a node and joins the results
+         * @param {Node} node - The parent node
+         * @param {Object} context - Conversion context (list depth, code blocks)
+         * @returns {string} - The converted content
+         */
+        convertChildren(node, context) {
+            return Array.from(node.childNodes)
+                .map(child => this.convertNode(child, context))
+                .join('');
+        },
+
+        /**
+         * Converts a single DOM node to Markdown
+         * @param {Node} node - The node to convert
+         * @param {Object} context - Conversion context (list depth, code blocks)
+         * @returns {string} - The converted content
+         */
+        convertNode(node, context) {
+            // Text nodes
+            if (node.nodeType === 3) {
+                return this.convertText(node);
+            }
+
+            // Skip comments and anything else that is not an element
+            if (node.nodeType !== 1) return '';
+
+            const tag = node.tagName.toUpperCase();
+            if (this.ignoredTags.includes(tag)) return '';
+
+            // Headings
+            const headingMatch = tag.match(/^H([1-6])$/);
+            if (headingMatch) {
+                const text = this.convertChildren(node, context).replace(/\s+/g, ' ').trim();
+                if (!text) return '';
+                return `\n\n${'#'.repeat(Number(headingMatch[1]))} ${text}\n\n`;
+            }
+
+            switch (tag) {
+                case 'BR':
+                    return '  \n';
+                case 'HR':
+                    return '\n\n---\n\n';
+                case 'STRONG':
+                case 'B':
+                    return this.wrapInline(this.convertChildren(node, context), '**', '**');
+                case 'EM':
+                case 'I':
+                    return this.wrapInline(this.convertChildren(node, context), '_', '_');
+                case 'DEL':
+                case 'S':
+                case 'STRIKE':
+                    return this.wrapInline(this.convertChildren(node, context), '~~', '~~');
+                case 'CODE':
+                case 'KBD':
+                case 'SAMP':
+                    return this.convertInlineCode(node);
+                case 'PRE':
+                    return this.convertCodeBlock(node, context);
+                case 'A':
+                    return this.convertLink(node, context);
+                case 'IMG':
+                    return this.convertImage(node);
+                case 'UL':
+                case 'OL':
+                    return this.convertList(node, context);
+                case 'BLOCKQUOTE':
+                    return this.convertBlockquote(node, context);
+                case 'TABLE':
+                    return this.convertTable(node, context);
+                case 'IFRAME':
+                case 'VIDEO':
+                case 'AUDIO': {
+                    const src = node.getAttribute('src');
+                    return src ? `\n\n[${tag.toLowerCase()}: ${this.escapeText(src)}](${this.escapeUrl(src)})\n\n` : '';
+                }
+                case 'DT':
+                    return this.wrapBlock(this.wrapInline(this.convertChildren(node, context), '**', '**'));
+                default:
+                    break;
+            }
+
+            const content = this.convertChildren(node, context);
+            return this.blockTags.includes(tag) ? this.wrapBlock(content) : content;
+        },
+
+        /**
+         * Converts a text node, collapsing whitespace the way a browser renders it
+         * @param {Text} node - The text node
+         * @returns {string} - The escaped text
+         */
+        convertText(node) {
+            let text = node.textContent.replace(/\s+/g, ' ');
+
+            // Whitespace next to block boundaries or line breaks is not rendered
+            if (this.isBlockBoundary(node.previousSibling)) text = text.replace(/^ /, '');
+            if (this.isBlockBoundary(node.nextSibling)) text = text.replace(/ $/, '');
+
+            return this.escapeText(text);
+        },
+
+        /**
+         * Checks whether a sibling node ends or starts a line
+         * @param {Node} node - The sibling node (may be null)
+         * @returns {boolean} - Whether whitespace next to it should be dropped
+         */
+        isBlockBoundary(node) {
+            if (!node || node.nodeType !== 1) return false;
+            const tag = node.tagName.toUpperCase();
+            return tag === 'BR' || this.blockTags.includes(tag);
+        },
+
+        /**
+         * Wraps block content in blank lines
+         * @param {string} content - The block content
+         * @returns {string} - The block, or an empty string if it has no content
+         */
+        wrapBlock(content) {
+            const trimmed = content.trim();
+            return trimmed ? `\n\n${trimmed}\n\n` : '';
+        },
+
+        /**
+         * Wraps inline content with Markdown markers, keeping surrounding whitespace outside
+         * @param {string} content - The inline content
+         * @param {string} before - The opening marker (e.g. '**')
+         * @param {string} after - The closing marker
+         * @returns {string} - The wrapped content
+         */
+        wrapInline(content, before, after) {
+            const text = content.trim();
+            if (!text) return content;
+            const leading = content.match(/^\s*/)[0];
+            const trailing = content.match(/\s*$/)[0];
+            return `${leading}${before}${text}${after}${trailing}`;
+        },
+
+        /**
+         * Converts an inline code element, choosing a fence longer than any backtick run inside
+         * @param {Element} node - The code element
+         * @returns {string} - The inline code span
+         */
+        convertInlineCode(node) {
+            const text = node.textContent.replace(/\s+/g, ' ');
+            if (!text.trim()) return text;
+            const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(longestRun + 1);
+            const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+            return `${fence}${padding}${text}${padding}${fence}`;
+        },
+
+        /**
+         * Converts a pre element into a fenced code block
+         * @param {Element} node - The pre element
+         * @param {Object} context - Conversion context
+         * @returns {string} - A placeholder for the fenced code block
+         */
+        convertCodeBlock(node, context) {
+            const code = node.querySelector('code');
+            const text = node.textContent.replace(/\n$/, '');
+
+            // Detect language from common class conventions (language-js, lang-js)
+            const classSource = `${node.getAttribute('class') || ''} ${code ? code.getAttribute('class') || '' : ''}`;
+            const languageMatch = classSource.match(/(?:^|\s)(?:language|lang)-([\w+#-]+)/);
+            const language = languageMatch ? languageMatch[1] : '';
+
+            const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+            const fence = '`'.repeat(Math.max(3, longestRun + 1));
+
+            context.codeBlocks.push(`${fence}${language}\n${text}\n${fence}`);
+            return `\n\n\u0000${context.codeBlocks.length - 1}\u0000\n\n`;
+        },
+
+        /**
+         * Replaces code block placeholders, indenting them to match the line they sit on
+         * @param {string} markdown - Markdown containing placeholders
+         * @param {Object} context - Conversion context holding the code blocks
+         * @returns {string} - Markdown with code blocks restored
+         */
+        restoreCodeBlocks(markdown, context) {
+            return markdown.replace(/^(.*?)\u0000(\d+)\u0000/gm, (match, prefix, index) => {
+                // Continuation lines keep blockquote markers and list indentation
+                const continuation = prefix.replace(/[^\s>]/g, ' ');
+                const lines = context.codeBlocks[Number(index)].split('\n');
+                return prefix + lines.map((line, i) => (i === 0 || !line ? line : continuation + line)).join('\n');
+            });
+        },
+
+        /**
+         * Converts an anchor element into a Markdown link
+         * @param {Element} node - The anchor element
+         * @param {Object} context - Conversion context
+         * @returns {string} - The Markdown link
+         */
+        convertLink(node, context) {
+            const content = this.convertChildren(node, context);
+            const href = node.getAttribute('href');
+
+            if (!href || href.startsWith('javascript:') || !content.trim()) {
+                return content;
+            }
+
+            const title = node.getAttribute('title');
+            const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+            return this.wrapInline(content, '[', `](${this.escapeUrl(href)}${titlePart})`);
+        },
+
+        /**
+         * Converts an image element into Markdown image syntax
+         * @param {Element} node - The image element
+         * @returns {string} - The Markdown image
+         */
+        convertImage(node) {
+            const src = node.getAttribute('src');
+            if (!src) return '';
+
+            const alt = (node.getAttribute('alt') || '').replace(/\s+/g, ' ').replace(/[\[\]]/g, '\\$&');
+            const title = node.getAttribute('title');
+            const titlePart = title ? ` "${title.replace(/"/g, '\\"')}"` : '';
+            return `![${alt}](${this.escapeUrl(src)}${titlePart})`;
+        },
+
+        /**
+         * Converts an ordered or unordered list, including nested lists and task items
+         * @param {Element} node - The list element
+         * @param {Object} context - Conversion context
+         * @returns {string} - The Markdown list
+         */
+        convertList(node, context) {
+            const isOrdered = node.tagName.toUpperCase() === 'OL';
+            const start = parseInt(node.getAttribute('start'), 10) || 1;
+            const items = Array.from(node.children).filter(child => child.tagName.toUpperCase() === 'LI');
+
+            const lines = items.map((item, index) => {
+                const marker = isOrdered ? `${start + index}. ` : '- ';
+
+                // GitHub task list items
+                const checkbox = item.querySelector(':scope > input[type="checkbox"], :scope > p > input[type="checkbox"]');
+                const taskPrefix = checkbox ? (checkbox.hasAttribute('checked') ? '[x] ' : '[ ] ') : '';
+
+                const content = this.cleanup(this.convertChildren(item, { ...context, listDepth: context.listDepth + 1 }));
+                const indent = ' '.repeat(marker.length);
+                const body = content.split('\n')
+                    .map((line, lineIndex) => (lineIndex === 0 || !line ? line : indent + line))
+                    .join('\n');
+
+                return `${marker}${taskPrefix}${body}`;
+            });
+
+            if (!lines.length) return '';
+
+            // Nested lists hug their parent item so the outer list stays tight
+            return context.listDepth > 0 ? `\n${lines.join('\n')}\n` : `\n\n${lines.join('\n')}\n\n`;
+        },
+
+        /**
+         * Converts a blockquote, prefixing every line with '>'
+         * @param {Element} node - The blockquote element
+         * @param {Object} context - Conversion context
+         * @returns {string} - The Markdown blockquote
+         */
+        convertBlockquote(node, context) {
+            const content = this.cleanup(this.convertChildren(node, context));
+            if (!content) return '';
+            const quoted = content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+            return `\n\n${quoted}\n\n`;
+        },
+
+        /**
+         * Converts a table into a GitHub-flavored Markdown table
+         * @param {Element} node - The table element
+         * @param {Object} context - Conversion context
+         * @returns {string} - The Markdown table
+         */
+        convertTable(node, context) {
+            // Only rows that belong to this table, not to nested tables
+            const rows = Array.from(node.querySelectorAll('tr')).filter(row => row.closest('table') === node);
+            if (rows.length === 0) return '';
+
+            const alignments = [];
+            const matrix = rows.map(row => {
+                const cells = [];
+                Array.from(row.children).forEach(cell => {
+                    const cellTag = cell.tagName.toUpperCase();
+                    if (cellTag !== 'TD' && cellTag !== 'TH') return;
+
+                    // Cells must stay on one line, so code blocks are restored before joining lines
+                    const cellContent = this.restoreCodeBlocks(this.cleanup(this.convertChildren(cell, context)), context);
+                    const text = cellContent
+                        .replace(/\|/g, '\\|')
+                        .replace(/ *\n+/g, '<br>');
+
+                    const align = (cell.getAttribute('align') || '').toLowerCase();
+                    if (alignments[cells.length] === undefined && align) {
+                        alignments[cells.length] = align;
+                    }
+
+                    cells.push(text);
+
+                    // Pad colspans so columns stay aligned
+                    const colspan = parseInt(cell.getAttribute('colspan'), 10) || 1;
+                    for (let i = 1; i < colspan; i++) {
+                        cells.push('');
+                    }
+                });
+                return cells;
+            });
+
+            const columnCount = Math.max(...matrix.map(cells => cells.length));
+            if (columnCount === 0) return '';
+
+            const formatRow = cells => {
+                const padded = cells.concat(new Array(columnCount - cells.length).fill(''));
+                return `| ${padded.join(' | ')} |`;
+            };
+
+            const separator = [];
+            for (let i = 0; i < columnCount; i++) {
+                const align = alignments[i];
+                if (align === 'center') separator.push(':---:');
+                else if (align === 'right') separator.push('---:');
+                else if (align === 'left') separator.push(':---');
+                else separator.push('---');
+            }
+
+            // GFM tables always need a header row; use the first row
+            const [headerRow, ...bodyRows] = matrix;
+            const lines = [formatRow(headerRow), `| ${separator.join(' | ')} |`, ...bodyRows.map(formatRow)];
+
+            return `\n\n${lines.join('\n')}\n\n`;
+        },
+
+        /**
+         * Escapes Markdown control characters in plain text
+         * @param {string} text - The text to escape
+         * @returns {string} - The escaped text
+         */
+        escapeText(text) {
+            return text
+                .replace(/([\\`*_\[\]])/g, '\\$1')
+                .replace(/<(?=[a-z\/!?])/gi, '\\<');
+        },
+
+        /**
+         * Escapes characters that would terminate a Markdown link destination
+         * @param {string} url - The URL to escape
+         * @returns {string} - The escaped URL
+         */
+        escapeUrl(url) {
+            return url.replace(/\s/g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+        },
+
+        /**
+         * Normalizes trailing whitespace and blank lines in generated Markdown
+         * @param {string} markdown - The raw Markdown
+         * @returns {string} - The cleaned Markdown
+         */
+        cleanup(markdown) {
+            return markdown
+                // Lines that only contain whitespace become blank lines
+                .replace(/\n[ \t]+(?=\n)/g, '\n')
+                // Strip single trailing spaces but keep two-space hard breaks
+                .replace(/([^ \n]) \n/g, '$1\n')
+                .replace(/\n{3,}/g, '\n\n')
+                .trim();
+        }
+    };
+
+    /**
+     * Zip Writer Module
+     * Builds uncompressed ZIP archives (also the container format of XLSX files)
+     */
+    const ZipWriter = {
+        /**
+         * Lookup table for CRC-32, computed on first use
+         */
+        crcTable: null,
+
+        /**
+         * Calculates the CRC-32 checksum of some bytes
+         * @param {Uint8Array} bytes - The data
+         * @returns {number} - The unsigned checksum
+         */
+        crc32(bytes) {
+            if (!this.crcTable) {
+                this.crcTable = new Uint32Array(256);
+                for (let n = 0; n < 256; n++) {
+                    let c = n;
+                    for (let k = 0; k < 8; k++) {
+                        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                    }
+                    this.crcTable[n] = c >>> 0;
+                }
+            }
+
+            let crc = 0xFFFFFFFF;
+            for (let i = 0; i < bytes.length; i++) {
+                crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+            }
+            return (crc ^ 0xFFFFFFFF) >>> 0;
+        },
+
+        /**
+         * Converts a date into the MS-DOS time and date fields used by ZIP headers
+         * @param {Date} date - The date
+         * @returns {Object} - The time and date numbers
+         */
+        toDosDateTime(date) {
+            return {
+                time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+                date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+            };
+        },
+
+        /**
+         * Builds a ZIP archive with the files stored uncompressed
+         * @param {Array} files - Array of { name, content } objects; content is a string or Uint8Array
+         * @returns {Uint8Array} - The archive bytes
+         */
+        build(files) {
+            const encoder = new TextEncoder();
+            const { time, date } = this.toDosDateTime(new Date());
+            const localParts = [];
+            const centralParts = [];
+            let offset = 0;
+
+            files.forEach(file => {
+                const name = encoder.encode(file.name);
+                const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+                const crc = this.crc32(data);
+
+                // Local file header
+                const local = new DataView(new ArrayBuffer(30));
+                local.setUint32(0, 0x04034B50, true);
+                local.setUint16(4, 20, true);           // Version needed to extract
+                local.setUint16(6, 0x0800, true);       // UTF-8 file names
+                local.setUint16(8, 0, true);            // Stored, no compression
+                local.setUint16(10, time, true);
+                local.setUint16(12, date, true);
+                local.setUint32(14, crc, true);
+                local.setUint32(18, data.length, true);
+                local.setUint32(22, data.length, true);
+                local.setUint16(26, name.length, true);
+                local.setUint16(28, 0, true);
+                localParts.push(new Uint8Array(local.buffer), name, data);
+
+                // Central directory entry
+                const central = new DataView(new ArrayBuffer(46));
+                central.setUint32(0, 0x02014B50, true);
+                central.setUint16(4, 20, true);         // Version made by
+                central.setUint16(6, 20, true);
+                central.setUint16(8, 0x0800, true);
+                central.setUint16(10, 0, true);
+                central.setUint16(12, time, true);
+                central.setUint16(14, date, true);
+                central.setUint32(16, crc, true);
+                central.setUint32(20, data.length, true);
+                central.setUint32(24, data.length, true);
+                central.setUint16(28, name.length, true);
+                central.setUint32(42, offset, true);    // Offset of the local header
+                centralParts.push(new Uint8Array(central.buffer), name);
+
+                offset += 30 + name.length + data.length;
+            });
+
+            const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+
+            // End of central directory record
+            const end = new DataView(new ArrayBuffer(22));
+            end.setUint32(0, 0x06054B50, true);
+            end.setUint16(8, files.length, true);
+            end.setUint16(10, files.length, true);
+            end.setUint32(12, centralSize, true);
+            end.setUint32(16, offset, true);
+
+            const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+            const archive = new Uint8Array(offset + centralSize + 22);
+            let position = 0;
+            parts.forEach(part => {
+                archive.set(part, position);
+                position += part.length;
+            });
+            return archive;
+        }
+    };
+
+    /**
+     * Table Extractor Module
+     * Turns HTML and ARIA tables into cell grids and writes them as CSV or XLSX
+     */
+    const TableExtractor = {
+        /**
+         * Elements treated as tables
+         */
+        tableSelector: 'table, [role="table"], [role="grid"], [role="treegrid"]',
+
+        /**
+         * Elements treated as cells of ARIA tables
+         */
+        cellSelector: '[role="cell"], [role="gridcell"], [role="columnheader"], [role="rowheader"]',
+
+        /**
+         * Finds the tables in an element (or the element itself if it is one)
+         * @param {Element} element - The element to search
+         * @returns {Array} - Outermost tables; nested tables are exported as part of their cell's text
+         */
+        findTables(element) {
+            if (element.matches(this.tableSelector)) return [element];
+
+            const tables = Array.from(element.querySelectorAll(this.tableSelector));
+            return tables.filter(table => !tables.some(other => other !== table && other.contains(table)));
+        },
+
+        /**
+         * Gets the rows of a table, leaving out rows of nested tables
+         * @param {Element} table - An HTML or ARIA table
+         * @returns {Array} - The row elements in document order
+         */
+        getRows(table) {
+            if (table.tagName === 'TABLE') return Array.from(table.rows);
+            return Array.from(table.querySelectorAll('[role="row"]'))
+                .filter(row => row.parentElement.closest(this.tableSelector) === table);
+        },
+
+        /**
+         * Gets the cells of a table row
+         * @param {Element} row - An HTML or ARIA row
+         * @returns {Array} - The cell elements
+         */
+        getCells(row) {
+            if (row.tagName === 'TR') return Array.from(row.cells);
+            return Array.from(row.querySelectorAll(this.cellSelector))
+                .filter(cell => cell.parentElement.closest('[role="row"]') === row);
+        },
+
+        /**
+         * Reads a cell's row or column span from HTML or ARIA attributes
+         * @param {Element} cell - The cell
+         * @param {string} name - 'rowspan' or 'colspan'
+         * @returns {number} - The span (at least 1)
+         */
+        getSpan(cell, name) {
+            const value = parseInt(cell.getAttribute(name) || cell.getAttribute(`aria-${name}`), 10);
+            return value > 0 ? value : 1;
+        },
+
+        /**
+         * Gets the visible text of a cell, keeping line breaks
+         * @param {Element} cell - The cell
+         * @returns {string} - The text
+         */
+        getCellText(cell) {
+            // innerText leaves out hidden content; it is missing outside of rendered documents
+            const text = typeof cell.innerText === 'string' ? cell.innerText : cell.textContent;
+            return text.split('\n')
+                .map(line => line.replace(/\s+/g, ' ').trim())
+                .filter(line => line)
+                .join('\n');
+        },
+
+        /**
+         * Builds a display name for a table from its caption or ARIA label
+         * @param {Element} table - The table
+         * @returns {string} - The name, or an empty string if the table has none
+         */
+        getTableName(table) {
+            const caption = table.tagName === 'TABLE' && table.caption ? this.getCellText(table.caption) : '';
+            if (caption) return caption;
+
+            const label = table.getAttribute('aria-label');
+            if (label) return label.trim();
+
+            const labelledBy = table.getAttribute('aria-labelledby');
+            const labelElement = labelledBy && document.getElementById(labelledBy.split(/\s+/)[0]);
+            return labelElement ? this.getCellText(labelElement) : '';
+        },
+
+        /**
+         * Converts a table into a rectangular grid, resolving rowspan and colspan
+         * Spanned positions repeat the cell's text and are listed in merges
+         * @param {Element} table - An HTML or ARIA table
+         * @returns {Object} - The grid with name, rows of { text, isHeader, isSpanned } cells and merges
+         */
+        toGrid(table) {
+            const rows = this.getRows(table);
+            const grid = rows.map(() => []);
+            const merges = [];
+
+            rows.forEach((row, rowIndex) => {
+                let col = 0;
+                this.getCells(row).forEach(cell => {
+                    // Skip positions taken by cells spanning down from earlier rows
+                    while (grid[rowIndex][col]) col++;
+
+                    const rowSpan = Math.min(this.getSpan(cell, 'rowspan'), rows.length - rowIndex);
+                    const colSpan = Math.min(this.getSpan(cell, 'colspan'), 1000);
+                    const text = this.getCellText(cell);
+                    const isHeader = cell.tagName === 'TH' || /^(columnheader|rowheader)$/.test(cell.getAttribute('role') || '');
+
+                    for (let r = 0; r < rowSpan; r++) {
+                        for (let c = 0; c < colSpan; c++) {
+                            grid[rowIndex + r][col + c] = {
+                                text: text,
+                                isHeader: isHeader,
+                                isSpanned: r > 0 || c > 0
+                            };
+                        }
+                    }
+
+                    if (rowSpan > 1 || colSpan > 1) {
+                        merges.push({ row: rowIndex, col: col, rowSpan: rowSpan, colSpan: colSpan });
+                    }
+                    col += colSpan;
+                });
+            });
+
+            // Pad short rows so every row has the same number of cells
+            const width = Math.max(0, ...grid.map(row => row.length));
+            return {
+                name: this.getTableName(table),
+                rows: grid.map(row => Array.from({ length: width }, (_, index) => (
+                    row[index] || { text: '', isHeader: false, isSpanned: false }
+                ))),
+                merges: merges
+            };
+        },
+
+        /**
+         * Writes a grid as CSV (RFC 4180)
+         * @param {Object} grid - Grid created by toGrid()
+         * @returns {string} - The CSV text
+         */
+        toCsv(grid) {
+            const quote = text => (/[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+            return grid.rows.map(row => row.map(cell => quote(cell.text)).join(',')).join('\r\n') + '\r\n';
+        },
+
+        /**
+         * Makes unique sheet names that are also safe as file names
+         * @param {Array} grids - Grids created by toGrid()
+         * @returns {Array} - One name per grid
+         */
+        getSheetNames(grids) {
+            const used = new Set();
+            return grids.map((grid, index) => {
+                // Excel limits sheet names to 31 characters without []:*?/\
+                const base = (grid.name || '').replace(/[\[\]:*?\/\\"<>|\s]+/g, ' ').trim().slice(0, 31) ||
+                    `Table ${index + 1}`;
+
+                let name = base;
+                for (let suffix = 2; used.has(name.toLowerCase()); suffix++) {
+                    name = `${base.slice(0, 31 - ` (${suffix})`.length)} (${suffix})`;
+                }
+                used.add(name.toLowerCase());
+                return name;
+            });
+        },
+
+        /**
+         * Escapes text for XML, dropping characters XML cannot contain
+         * @param {string} text - The text
+         * @returns {string} - The escaped text
+         */
+        escapeXml(text) {
+            return String(text)
+                .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        },
+
+        /**
+         * Converts a zero-based column index into a spreadsheet column name (0 = A, 26 = AA)
+         * @param {number} index - The column index
+         * @returns {string} - The column name
+         */
+        columnName(index) {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+            }
+            return name;
+        },
+
+        /**
+         * Builds the worksheet XML for a grid
+         * Spanned positions stay empty and are merged with their cell instead
+         * @param {Object} grid - Grid created by toGrid()
+         * @returns {string} - The worksheet XML
+         */
+        buildSheetXml(grid) {
+            const rowsXml = grid.rows.map((row, rowIndex) => {
+                const cellsXml = row.map((cell, colIndex) => {
+                    const ref = `${this.columnName(colIndex)}${rowIndex + 1}`;
+                    const style = cell.isHeader ? ' s="1"' : '';
+
+                    if (cell.isSpanned || cell.text === '') return `<c r="${ref}"${style}/>`;
+
+                    // Plain numbers become numeric cells; leading zeros and long digit strings stay text
+                    if (/^-?(0|[1-9]\d{0,14})(\.\d+)?$/.test(cell.text)) {
+                        return `<c r="${ref}"${style}><v>${cell.text}</v></c>`;
+                    }
+                    return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${this.escapeXml(cell.text)}</t></is></c>`;
+                }).join('');
+                return `<row r="${rowIndex + 1}">${cellsXml}</row>`;
+            }).join('');
+
+            const mergesXml = grid.merges.length > 0 ?
+                `<mergeCells count="${grid.merges.length}">${grid.merges.map(merge => {
+                    const from = `${this.columnName(merge.col)}${merge.row + 1}`;
+                    const to = `${this.columnName(merge.col + merge.colSpan - 1)}${merge.row + merge.rowSpan}`;
+                    return `<mergeCell ref="${from}:${to}"/>`;
+                }).join('')}</mergeCells>` :
+                '';
+
+            return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+                '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                `<sheetData>${rowsXml}</sheetData>${mergesXml}</worksheet>`;
+        },
+
+        /**
+         * Builds an XLSX workbook with one sheet per grid
+         * @param {Array} grids - Grids created by toGrid()
+         * @returns {Uint8Array} - The workbook file
+         */
+        toXlsx(grids) {
+            const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+            const names = this.getSheetNames(grids);
+            const sheetNumbers = grids.map((grid, index) => index + 1);
+
+            const contentTypes = xmlHeader +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                sheetNumbers.map(n => (
+                    `<Override PartName="/xl/worksheets/sheet${n}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+                )).join('') +
+                '</Types>';
+
+            const rootRels = xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>';
+
+            const workbook = xmlHeader +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+                'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+                sheetNumbers.map((n, index) => (
+                    `<sheet name="${this.escapeXml(names[index])}" sheetId="${n}" r:id="rId${n}"/>`
+                )).join('') +
+                '</sheets></workbook>';
+
+            const workbookRels = xmlHeader +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                sheetNumbers.map(n => (
+                    `<Relationship Id="rId${n}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${n}.xml"/>`
+                )).join('') +
+                `<Relationship Id="rId${grids.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>';
+
+            // Style 0 is the default, style 1 makes header cells bold
+            const styles = xmlHeader +
+                '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                '</styleSheet>';
+
+            return ZipWriter.build([
+                { name: '[Content_Types].xml', content: contentTypes },
+                { name: '_rels/.rels', content: rootRels },
+                { name: 'xl/workbook.xml', content: workbook },
+                { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+                { name: 'xl/styles.xml', content: styles },
+                ...grids.map((grid, index) => ({
+                    name: `xl/worksheets/sheet${index + 1}.xml`,
+                    content: this.buildSheetXml(grid)
+                }))
+            ]);
+        }
+    };
+
+    /**
+     * Image Renderer Module
+     * Renders processed clones to images through an SVG foreignObject
+     */
+    const ImageRenderer = {
+        /**
+         * Space between stitched images (CSS pixels)
+         */
+        gap: 20,
+
+        /**
+         * Background of stitched images, shown in the gaps
+         */
+        backgroundColor: '#ffffff',
+
+        /**
+         * Pixel ratios offered for image exports; 'auto' follows the screen
+         */
+        pixelRatios: [
+            { value: 'auto', label: 'Screen' },
+            { value: '1', label: '1x' },
+            { value: '2', label: '2x' },
+            { value: '3', label: '3x' }
+        ],
+
+        /**
+         * Converts a pixel ratio setting into a number
+         * @param {string} setting - 'auto' or a number
+         * @returns {number} - The pixel ratio
+         */
+        getPixelRatio(setting) {
+            if (!setting || setting === 'auto') return window.devicePixelRatio || 1;
+            return parseFloat(setting) || 1;
+        },
+
+        /**
+         * Escapes text for use inside XML
+         * @param {string} text - The text
+         * @returns {string} - The escaped text
+         */
+        escapeXml(text) {
+            return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        },
+
+        /**
+         * Wraps an element into an SVG document that renders it as HTML
+         * @param {Element} element - The processed clone (images and fonts should be embedded)
+         * @param {string} css - CSS used by the clone
+         * @param {number} width - Width in CSS pixels
+         * @param {number} height - Height in CSS pixels
+         * @returns {string} - The SVG markup
+         */
+        buildSvg(element, css, width, height) {
+            // foreignObject content must be well-formed XHTML
+            const xhtml = new XMLSerializer().serializeToString(element);
+
+            return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+                '<foreignObject x="0" y="0" width="100%" height="100%">' +
+                `<div xmlns="http://www.w3.org/1999/xhtml" style="width: ${width}px; height: ${height}px; overflow: hidden;">` +
+                `<style>${this.escapeXml(css)}</style>${xhtml}` +
+                '</div></foreignObject></svg>';
+        },
+
+        /**
+         * Loads an image
+         * @param {string} url - The image URL
+         * @returns {Promise<HTMLImageElement>} - Resolves once the image has loaded
+         */
+        loadImage(url) {
+            return new Promise((resolve, reject) => {
+                const img = new Image();
+                img.onload = () => resolve(img);
+                img.onerror = () => reject(new Error('The element could not be rendered as an image'));
+                img.src = url;
+            });
+        },
+
+        /**
+         * Renders an element to a canvas
+         * @param {Element} element - The processed clone
+         * @param {string} css - CSS used by the clone
+         * @param {number} width - Width in CSS pixels
+         * @param {number} height - Height in CSS pixels
+         * @param {number} pixelRatio - Device pixels per CSS pixel
+         * @returns {Promise<HTMLCanvasElement>} - Resolves with the rendered canvas
+         */
+        async render(element, css, width, height, pixelRatio = 1) {
+            const svg = this.buildSvg(element, css, width, height);
+            const img = await this.loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(width * pixelRatio));
+            canvas.height = Math.max(1, Math.round(height * pixelRatio));
+
+            const context = canvas.getContext('2d');
+            context.scale(pixelRatio, pixelRatio);
+            context.drawImage(img, 0, 0, width, height);
+            return canvas;
+        },
+
+        /**
+         * Stacks canvases vertically into one image
+         * @param {Array} canvases - The canvases, all rendered with the same pixel ratio
+         * @param {number} pixelRatio - Device pixels per CSS pixel
+         * @returns {HTMLCanvasElement} - The stitched canvas
+         */
+        stitch(canvases, pixelRatio = 1) {
+            const gap = Math.round(this.gap * pixelRatio);
+            const result = document.createElement('canvas');
+            result.width = Math.max(...canvases.map(canvas => canvas.width));
+            result.height = canvases.reduce((sum, canvas) => sum + canvas.height, 0) + gap * (canvases.length - 1);
+
+            const context = result.getContext('2d');
+            context.fillStyle = this.backgroundColor;
+            context.fillRect(0, 0, result.width, result.height);
+
+            let top = 0;
+            canvases.forEach(canvas => {
+                context.drawImage(canvas, 0, top);
+                top += canvas.height + gap;
+            });
+            return result;
+        },
+
+        /**
+         * Encodes a canvas as PNG
+         * @param {HTMLCanvasElement} canvas - The canvas
+         * @returns {Promise<Uint8Array>} - Resolves with the PNG bytes
+         */
+        toPng(canvas) {
+            return new Promise((resolve, reject) => {
+                // Browsers that treat foreignObject images as cross-origin refuse to export the canvas
+                canvas.toBlob(blob => {
+                    if (!blob) {
+                        reject(new Error('The browser did not allow exporting the rendered image'));
+                        return;
+                    }
+                    blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject);
+                }, 'image/png');
+            });
+        }
+    };
+
+    /**
+     * UI Module
+     * Handles user interface elements and interactions
+     */
+    const UIManager = {
+        /**
+         * Creates and manages the overlay element
+         */
+        overlay: null,
+
+        /**
+         * The selection panel that displays selected elements
+         */
+        selectionPanel: null,
+
+        /**
+         * The download button for downloading all selected elements
+         */
+        downloadButton: null,
+
+        /**
+         * The copy button for copying all selected elements to the clipboard
+         */
+        copyButton: null,
+
+        /**
+         * The clear button for clearing all selections
+         */
+        clearButton: null,
+
+        /**
+         * Indexes of the panel item being dragged and its drop position
+         */
+        reorderState: null,
+
+        /**
+         * Creates the selection overlay
+         * @returns {HTMLElement} - The created overlay element
+         */
+        createOverlay() {
+            const overlay = document.createElement('div');
+            overlay.style.position = 'fixed';
+            overlay.style.pointerEvents = 'none';
+            overlay.style.backgroundColor = this.colorWithAlpha(Settings.get('highlightColor'), 0.2);
+            overlay.style.display = 'none';
+            overlay.style.zIndex = '10000';
+            document.body.appendChild(overlay);
+            this.overlay = overlay;
+            
+            // Add hierarchy level indicator
+            const indicator = document.createElement('div');
+            indicator.className = 'element-highlighter-hierarchy-indicator';
+            indicator.style.position = 'absolute';
+            indicator.style.top = '-25px';
+            indicator.style.right = '0';
+            indicator.style.backgroundColor = Settings.get('highlightColor');
+            indicator.style.color = 'white';
+            indicator.style.padding = '2px 6px';
+            indicator.style.borderRadius = '3px';
+            indicator.style.fontSize = '12px';
+            indicator.style.display = 'none';
+            // Announce the element reached by keyboard navigation to screen readers
+            indicator.setAttribute('role', 'status');
+            indicator.setAttribute('aria-live', 'polite');
+            overlay.appendChild(indicator);
+            this.hierarchyIndicator = indicator;
+            
+            return overlay;
+        },
+
+        /**
+         * Creates the selection panel that shows selected elements
+         * @returns {HTMLElement} - The created selection panel
+         */
+        createSelectionPanel() {
+            // Create panel container
+            const panel = document.createElement('div');
+            panel.id = 'elementHighlighterPanel';
+            panel.style.position = 'fixed';
+            panel.style.top = '10px';
+            panel.style.right = '10px';
+            panel.style.width = '300px';
+            panel.style.maxHeight = '80vh';
+            panel.style.overflowY = 'auto';
+            panel.style.backgroundColor = '#fff';
+            panel.style.border = '1px solid #ccc';
+            panel.style.borderRadius = '5px';
+            panel.style.boxShadow = '0 2px 10px rgba(0, 0, 0, 0.1)';
+            panel.style.zIndex = '10001';
+            panel.style.padding = '10px';
+            panel.style.display = 'none';
+            panel.style.fontFamily = 'Arial, sans-serif';
+            panel.style.fontSize = '14px';
+
+            // Create header
+            const header = document.createElement('div');
+            header.style.display = 'flex';
+            header.style.justifyContent = 'space-between';
+            header.style.alignItems = 'center';
+            header.style.marginBottom = '10px';
+            header.style.padding = '5px 0';
+            header.style.borderBottom = '1px solid #eee';
+
+            const title = document.createElement('h3');
+            title.textContent = 'Selected Elements';
+            title.style.margin = '0';
+            title.style.fontSize = '16px';
+            title.style.fontWeight = 'bold';
+
+            // Create minimize button
+            const minimizeBtn = document.createElement('button');
+            minimizeBtn.textContent = '−';
+            minimizeBtn.style.background = 'none';
+            minimizeBtn.style.border = 'none';
+            minimizeBtn.style.fontSize = '16px';
+            minimizeBtn.style.cursor = 'pointer';
+            minimizeBtn.style.padding = '0 5px';
+            minimizeBtn.title = 'Minimize panel';
+
+            minimizeBtn.addEventListener('click', () => {
+                const content = panel.querySelector('#elementHighlighterPanelContent');
+                const buttonContainer = panel.querySelector('#elementHighlighterButtonContainer');
+
+                if (content.style.display === 'none') {
+                    content.style.display = 'block';
+                    buttonContainer.style.display = 'flex';
+                    minimizeBtn.textContent = '−';
+                    minimizeBtn.title = 'Minimize panel';
+                } else {
+                    content.style.display = 'none';
+                    buttonContainer.style.display = 'none';
+                    minimizeBtn.textContent = '+';
+                    minimizeBtn.title = 'Expand panel';
+                }
+            });
+
+            header.appendChild(title);
+            header.appendChild(minimizeBtn);
+            panel.appendChild(header);
+
+            // Create content container
+            const content = document.createElement('div');
+            content.id = 'elementHighlighterPanelContent';
+            content.style.marginBottom = '10px';
+            panel.appendChild(content);
+
+            // Create button container
+            const buttonContainer = document.createElement('div');
+            buttonContainer.id = 'elementHighlighterButtonContainer';
+            buttonContainer.style.display = 'flex';
+            buttonContainer.style.justifyContent = 'space-between';
+            buttonContainer.style.gap = '5px';
+
+            // Create download button
+            const downloadBtn = document.createElement('button');
+            downloadBtn.textContent = 'Download All';
+            downloadBtn.style.backgroundColor = '#4CAF50';
+            downloadBtn.style.color = 'white';
+            downloadBtn.style.border = 'none';
+            downloadBtn.style.padding = '8px 12px';
+            downloadBtn.style.borderRadius = '4px';
+            downloadBtn.style.cursor = 'pointer';
+            downloadBtn.style.flex = '1';
+            downloadBtn.style.fontWeight = 'bold';
+            this.downloadButton = downloadBtn;
+
+            // Create copy button
+            const copyBtn = document.createElement('button');
+            copyBtn.textContent = 'Copy All';
+            copyBtn.style.backgroundColor = '#2196F3';
+            copyBtn.style.color = 'white';
+            copyBtn.style.border = 'none';
+            copyBtn.style.padding = '8px 12px';
+            copyBtn.style.borderRadius = '4px';
+            copyBtn.style.cursor = 'pointer';
+            copyBtn.style.flex = '1';
+            this.copyButton = copyBtn;
+
+            // Create clear button
+            const clearBtn = document.createElement('button');
+            clearBtn.textContent = 'Clear All';
+            clearBtn.style.backgroundColor = '#f44336';
+            clearBtn.style.color = 'white';
+            clearBtn.style.border = 'none';
+            clearBtn.style.padding = '8px 12px';
+            clearBtn.style.borderRadius = '4px';
+            clearBtn.style.cursor = 'pointer';
+            clearBtn.style.flex = '1';
+            this.clearButton = clearBtn;
+
+            buttonContainer.appendChild(downloadBtn);
+            buttonContainer.appendChild(copyBtn);
+            buttonContainer.appendChild(clearBtn);
+            panel.appendChild(buttonContainer);
+
+            // Make panel draggable
+            let isDragging = false;
+            let offsetX, offsetY;
+
+            header.style.cursor = 'move';
+            header.addEventListener('mousedown', (e) => {
+                if (e.target === minimizeBtn) return;
+
+                isDragging = true;
+                offsetX = e.clientX - panel.getBoundingClientRect().left;
+                offsetY = e.clientY - panel.getBoundingClientRect().top;
+            });
+
+            document.addEventListener('mousemove', (e) => {
+                if (!isDragging) return;
+
+                panel.style.left = (e.clientX - offsetX) + 'px';
+                panel.style.top = (e.clientY - offsetY) + 'px';
+                panel.style.right = 'auto';
+            });
+
+            document.addEventListener('mouseup', () => {
+                isDragging = false;
+            });
+
+            // Reordering of list items started from their drag handles
+            document.addEventListener('mousemove', (e) => {
+                if (!this.reorderState) return;
+                this.updateReorderTarget(e.clientY);
+            });
+
+            document.addEventListener('mouseup', () => {
+                if (!this.reorderState) return;
+                const { fromIndex, toIndex } = this.reorderState;
+                this.reorderState = null;
+
+                if (fromIndex !== toIndex) {
+                    SelectionManager.moveElementInSelection(fromIndex, toIndex);
+                } else {
+                    this.updateSelectionPanel(SelectionManager.selectedElements);
+                }
+            });
+
+            document.body.appendChild(panel);
+            this.selectionPanel = panel;
+
+            return panel;
+        },
+
+        /**
+         * Computes where a dragged panel item would be dropped and marks the spot
+         * @param {number} clientY - Vertical mouse position in the viewport
+         */
+        updateReorderTarget(clientY) {
+            const items = Array.from(this.selectionPanel.querySelectorAll('.element-highlighter-panel-item'));
+
+            // Insertion point: the number of items whose middle is above the mouse
+            const insertionPoint = items.filter(item => {
+                const rect = item.getBoundingClientRect();
+                return rect.top + rect.height / 2 < clientY;
+            }).length;
+
+            const { fromIndex } = this.reorderState;
+            this.reorderState.toIndex = insertionPoint > fromIndex ? insertionPoint - 1 : insertionPoint;
+
+            const markerColor = Settings.get('highlightColor');
+            items.forEach((item, index) => {
+                if (index === insertionPoint) {
+                    item.style.boxShadow = `inset 0 2px 0 ${markerColor}`;
+                } else if (index === items.length - 1 && insertionPoint === items.length) {
+                    item.style.boxShadow = `inset 0 -2px 0 ${markerColor}`;
+                } else {
+                    item.style.boxShadow = '';
+                }
+            });
+        },
+
+        /**
+         * Updates the selection panel with the current selected elements
+         * @param {Array} selectedElements - Array of selected elements
+         */
+        updateSelectionPanel(selectedElements) {
+            const content = this.selectionPanel.querySelector('#elementHighlighterPanelContent');
+            content.innerHTML = '';
+
+            // Warn about saved selections that are no longer on the page
+            const missingCount = SelectionManager.missingSelections.length;
+            if (missingCount > 0) {
+                content.appendChild(this.createMissingSelectionsWarning(missingCount));
+            }
+
+            if (selectedElements.length === 0) {
+                const emptyMessage = document.createElement('p');
+                emptyMessage.textContent = 'No elements selected';
+                emptyMessage.style.color = '#999';
+                emptyMessage.style.textAlign = 'center';
+                emptyMessage.style.padding = '10px';
+                content.appendChild(emptyMessage);
+
+                // Hide the panel if there is nothing to show and highlighter is not active
+                if (missingCount > 0) {
+                    this.selectionPanel.style.display = 'block';
+                } else if (!Highlighter.isActive) {
+                    this.selectionPanel.style.display = 'none';
+                }
+
+                return;
+            }
+
+            // Create element list
+            const list = document.createElement('ul');
+            list.style.listStyle = 'none';
+            list.style.padding = '0';
+            list.style.margin = '0';
+
+            selectedElements.forEach((item, index) => {
+                const listItem = document.createElement('li');
+                listItem.className = 'element-highlighter-panel-item';
+                listItem.style.padding = '8px';
+                listItem.style.borderBottom = '1px solid #eee';
+
+                const row = document.createElement('div');
+                row.style.display = 'flex';
+                row.style.justifyContent = 'space-between';
+                row.style.alignItems = 'center';
+
+                // Create drag handle for reordering (also movable with the arrow keys when focused)
+                const handle = document.createElement('button');
+                handle.className = 'element-highlighter-ui';
+                handle.textContent = '⋮⋮';
+                handle.title = 'Drag to reorder (or focus and press ArrowUp/ArrowDown)';
+                handle.style.background = 'none';
+                handle.style.border = 'none';
+                handle.style.cursor = 'grab';
+                handle.style.padding = '0 5px 0 0';
+                handle.style.color = '#999';
+                handle.style.fontSize = '14px';
+
+                handle.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    this.reorderState = { fromIndex: index, toIndex: index };
+                    listItem.style.opacity = '0.5';
+                });
+
+                handle.addEventListener('keydown', (e) => {
+                    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+                    e.preventDefault();
+                    const toIndex = e.key === 'ArrowUp' ? index - 1 : index + 1;
+                    if (toIndex < 0 || toIndex >= selectedElements.length) return;
+
+                    SelectionManager.moveElementInSelection(index, toIndex);
+                    const movedItem = this.selectionPanel.querySelectorAll('.element-highlighter-panel-item')[toIndex];
+                    if (movedItem) movedItem.querySelector('button').focus();
+                });
+
+                // Create element info
+                const elementInfo = document.createElement('div');
+                elementInfo.style.flex = '1';
+                elementInfo.style.overflow = 'hidden';
+                elementInfo.style.textOverflow = 'ellipsis';
+                elementInfo.style.whiteSpace = 'nowrap';
+
+                const tagName = document.createElement('span');
+                tagName.textContent = item.title || item.element.tagName.toLowerCase();
+                tagName.style.fontWeight = 'bold';
+                tagName.style.color = '#0066cc';
+
+                const className = item.element.className ? `.${item.element.className.split(' ')[0]}` : '';
+                const idName = item.element.id ? `#${item.element.id}` : '';
+
+                const elementDesc = document.createElement('span');
+                elementDesc.textContent = `${idName}${className}`;
+                elementDesc.style.color = '#666';
+                elementDesc.style.fontSize = '12px';
+
+                elementInfo.appendChild(tagName);
+                if (idName || className) {
+                    elementInfo.appendChild(document.createTextNode(' '));
+                    elementInfo.appendChild(elementDesc);
+                }
+
+                // Create highlight button
+                const highlightBtn = document.createElement('button');
+                highlightBtn.innerHTML = '👁️';
+                highlightBtn.title = 'Highlight element';
+                highlightBtn.style.background = 'none';
+                highlightBtn.style.border = 'none';
+                highlightBtn.style.cursor = 'pointer';
+                highlightBtn.style.padding = '0 5px';
+                highlightBtn.style.fontSize = '14px';
+
+                highlightBtn.addEventListener('click', () => {
+                    SelectionManager.highlightSelectedElement(index);
+                });
+
+                // Create remove button
+                const removeBtn = document.createElement('button');
+                removeBtn.innerHTML = '✕';
+                removeBtn.title = 'Remove from selection';
+                removeBtn.style.background = 'none';
+                removeBtn.style.border = 'none';
+                removeBtn.style.cursor = 'pointer';
+                removeBtn.style.padding = '0 5px';
+                removeBtn.style.fontSize = '14px';
+                removeBtn.style.color = '#f44336';
+
+                removeBtn.addEventListener('click', () => {
+                    SelectionManager.removeElementFromSelection(index);
+                });
+
+                // Note preview below the element info
+                const notePreview = document.createElement('div');
+                notePreview.textContent = item.note;
+                notePreview.style.display = item.note ? 'block' : 'none';
+                notePreview.style.color = '#666';
+                notePreview.style.fontSize = '12px';
+                notePreview.style.marginTop = '4px';
+                notePreview.style.overflow = 'hidden';
+                notePreview.style.textOverflow = 'ellipsis';
+                notePreview.style.whiteSpace = 'nowrap';
+
+                // Status for elements the page removed (e.g. rows unmounted by a virtualized list)
+                const detachedStatus = document.createElement('div');
+                detachedStatus.textContent = 'detached — using last snapshot';
+                detachedStatus.title = 'The element is no longer on the page; exports use its copy from selection time';
+                detachedStatus.style.display = item.detached ? 'block' : 'none';
+                detachedStatus.style.color = '#e67e22';
+                detachedStatus.style.fontSize = '12px';
+                detachedStatus.style.marginTop = '4px';
+
+                // Title and note editor, used in the exported section headers
+                const editor = this.createAnnotationEditor(item, index, () => {
+                    tagName.textContent = item.title || item.element.tagName.toLowerCase();
+                    notePreview.textContent = item.note;
+                    notePreview.style.display = item.note ? 'block' : 'none';
+                });
+
+                // Create edit button
+                const editBtn = document.createElement('button');
+                editBtn.innerHTML = '✎';
+                editBtn.title = 'Edit title and note';
+                editBtn.style.background = 'none';
+                editBtn.style.border = 'none';
+                editBtn.style.cursor = 'pointer';
+                editBtn.style.padding = '0 5px';
+                editBtn.style.fontSize = '14px';
+
+                editBtn.addEventListener('click', () => {
+                    const isOpen = editor.style.display !== 'none';
+                    editor.style.display = isOpen ? 'none' : 'block';
+                    if (!isOpen) editor.querySelector('input').focus();
+                });
+
+                row.appendChild(handle);
+                row.appendChild(elementInfo);
+                row.appendChild(editBtn);
+                row.appendChild(highlightBtn);
+                row.appendChild(removeBtn);
+                listItem.appendChild(row);
+                listItem.appendChild(notePreview);
+                listItem.appendChild(detachedStatus);
+                listItem.appendChild(editor);
+                list.appendChild(listItem);
+
+                // Add hover effect
+                listItem.addEventListener('mouseenter', () => {
+                    listItem.style.backgroundColor = '#f5f5f5';
+                });
+
+                listItem.addEventListener('mouseleave', () => {
+                    listItem.style.backgroundColor = '';
+                });
+            });
+
+            content.appendChild(list);
+
+            // Show selection count in title
+            const title = this.selectionPanel.querySelector('h3');
+            title.textContent = `Selected Elements (${selectedElements.length})`;
+
+            // Show the panel if it's hidden
+            this.selectionPanel.style.display = 'block';
+        },
+
+        /**
+         * Creates the title and note fields for a selection panel item
+         * @param {Object} item - The selected element entry
+         * @param {number} index - Index of the entry in the selection
+         * @param {Function} onChange - Called after the title or note changed
+         * @returns {HTMLElement} - The editor element (hidden until opened)
+         */
+        createAnnotationEditor(item, index, onChange) {
+            // Marked as highlighter UI so typing does not trigger shortcuts
+            const editor = document.createElement('div');
+            editor.className = 'element-highlighter-ui';
+            editor.style.display = 'none';
+            editor.style.marginTop = '6px';
+
+            const titleInput = document.createElement('input');
+            titleInput.type = 'text';
+            titleInput.placeholder = 'Title (replaces the tag label in exports)';
+            titleInput.value = item.title;
+
+            const noteInput = document.createElement('textarea');
+            noteInput.placeholder = 'Note';
+            noteInput.rows = 2;
+            noteInput.value = item.note;
+
+            [titleInput, noteInput].forEach(input => {
+                input.style.display = 'block';
+                input.style.width = '100%';
+                input.style.boxSizing = 'border-box';
+                input.style.marginBottom = '4px';
+                input.style.fontFamily = 'inherit';
+                input.style.fontSize = '12px';
+                input.addEventListener('change', () => {
+                    SelectionManager.annotateElement(index, {
+                        title: titleInput.value,
+                        note: noteInput.value
+                    });
+                    onChange();
+                });
+                editor.appendChild(input);
+            });
+
+            return editor;
+        },
+
+        /**
+         * Creates the panel warning for saved selections that could not be found
+         * @param {number} missingCount - Number of missing selections
+         * @returns {HTMLElement} - The warning element
+         */
+        createMissingSelectionsWarning(missingCount) {
+            const warning = document.createElement('div');
+            warning.style.backgroundColor = '#fff3cd';
+            warning.style.border = '1px solid #ffc107';
+            warning.style.borderRadius = '4px';
+            warning.style.color = '#856404';
+            warning.style.padding = '8px';
+            warning.style.marginBottom = '10px';
+            warning.style.fontSize = '12px';
+
+            const message = document.createElement('div');
+            message.textContent = missingCount === 1 ?
+                '⚠ 1 saved selection could not be found on this page' :
+                `⚠ ${missingCount} saved selections could not be found on this page`;
+            warning.appendChild(message);
+
+            const actions = document.createElement('div');
+            actions.style.display = 'flex';
+            actions.style.gap = '5px';
+            actions.style.marginTop = '5px';
+
+            const createButton = (text, title, onClick) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.title = title;
+                button.style.background = 'none';
+                button.style.border = '1px solid #856404';
+                button.style.borderRadius = '3px';
+                button.style.color = '#856404';
+                button.style.cursor = 'pointer';
+                button.style.fontSize = '12px';
+                button.style.padding = '2px 8px';
+                button.addEventListener('click', onClick);
+                actions.appendChild(button);
+            };
+
+            createButton('Retry', 'Look for the missing elements again', () => {
+                SelectionManager.retryMissingSelections();
+                if (SelectionManager.missingSelections.length > 0) {
+                    this.showNotification('Saved selections still not found');
+                }
+            });
+            createButton('Forget', 'Stop looking for the missing elements', () => {
+                SelectionManager.forgetMissingSelections();
+            });
+
+            warning.appendChild(actions);
+            return warning;
+        },
+
+        /**
+         * Shows a notification message
+         * @param {string} message - The message to display
+         * @param {number} duration - How long to show the message (ms)
+         */
+        showNotification(message, duration = Settings.get('notificationDuration')) {
+            const div = document.createElement('div');
+            div.textContent = message;
+            div.style.position = 'fixed';
+            div.style.top = '10px';
+            div.style.right = '10px';
+            div.style.padding = '10px';
+            div.style.backgroundColor = '#333';
+            div.style.color = '#fff';
+            div.style.borderRadius = '5px';
+            div.style.zIndex = '10001';
+            document.body.appendChild(div);
+            setTimeout(() => document.body.removeChild(div), duration);
+        },
+
+        /**
+         * Converts a hex color into an rgba() string
+         * @param {string} hex - Color in #rrggbb form
+         * @param {number} alpha - Opacity between 0 and 1
+         * @returns {string} - The rgba() color
+         */
+        colorWithAlpha(hex, alpha) {
+            const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+            if (!match) return hex;
+            const [red, green, blue] = match.slice(1).map(part => parseInt(part, 16));
+            return `rgba(${red}, ${green}, ${blue}, ${alpha})`;
+        },
+
+        /**
+         * Applies the current settings to existing UI elements
+         */
+        applySettings() {
+            const highlightColor = Settings.get('highlightColor');
+            if (this.overlay) {
+                this.overlay.style.backgroundColor = this.colorWithAlpha(highlightColor, 0.2);
+            }
+            if (this.hierarchyIndicator) {
+                this.hierarchyIndicator.style.backgroundColor = highlightColor;
+            }
+        },
+
+        /**
+         * Creates a modal dialog with a backdrop covering the page
+         * The dialog is not attached to the document yet
+         * @param {string} id - The id of the backdrop element
+         * @param {string} titleText - The dialog title
+         * @returns {Object} - The backdrop and dialog elements
+         */
+        createModal(id, titleText) {
+            // Backdrop covering the page
+            const backdrop = document.createElement('div');
+            backdrop.id = id;
+            backdrop.className = 'element-highlighter-ui';
+            backdrop.style.position = 'fixed';
+            backdrop.style.top = '0';
+            backdrop.style.left = '0';
+            backdrop.style.right = '0';
+            backdrop.style.bottom = '0';
+            backdrop.style.backgroundColor = 'rgba(0, 0, 0, 0.4)';
+            backdrop.style.zIndex = '10003';
+            backdrop.style.display = 'flex';
+            backdrop.style.justifyContent = 'center';
+            backdrop.style.alignItems = 'center';
+
+            // Dialog container
+            const dialog = document.createElement('div');
+            dialog.style.width = '360px';
+            dialog.style.maxHeight = '90vh';
+            dialog.style.overflowY = 'auto';
+            dialog.style.backgroundColor = '#fff';
+            dialog.style.color = '#333';
+            dialog.style.borderRadius = '5px';
+            dialog.style.boxShadow = '0 2px 10px rgba(0, 0, 0, 0.3)';
+            dialog.style.padding = '20px';
+            dialog.style.fontFamily = 'Arial, sans-serif';
+            dialog.style.fontSize = '14px';
+
+            const title = document.createElement('h3');
+            title.textContent = titleText;
+            title.style.margin = '0 0 15px 0';
+            title.style.fontSize = '16px';
+            title.style.fontWeight = 'bold';
+            dialog.appendChild(title);
+
+            backdrop.appendChild(dialog);
+            return { backdrop, dialog };
+        },
+
+        /**
+         * The export dialog while it is open
+         */
+        exportDialog: null,
+
+        /**
+         * Opens the export dialog to choose the format, file name and export options
+         * @param {Object} options - Dialog options
+         * @param {string} options.title - The dialog title
+         * @param {Array} options.elements - The elements that will be exported
+         * @param {string} [options.fileName] - Suggested file name; the name field is hidden without it
+         * @param {string} [options.confirmLabel] - Text of the confirm button
+         * @param {boolean} [options.showOptions] - Whether to show the export option rows (hidden when only the format is asked for)
+         * @returns {Promise<Object|null>} - Resolves with formatOption, fileName, includeSourceHeader,
+         *   stripScripts, pngPixelRatio and pngLayout, or null if the dialog was cancelled
+         */
+        showExportDialog({ title, elements, fileName, confirmLabel = 'Download', showOptions = true }) {
+            if (this.exportDialog) return Promise.resolve(null);
+
+            return new Promise(resolve => {
+                const { backdrop, dialog } = this.createModal('elementHighlighterExport', title);
+                const tableCount = elements.reduce((count, element) => count + TableExtractor.findTables(element).length, 0);
+                const isTableFormat = value => value === 'csv' || value === 'xlsx';
+
+                // Format choices
+                const formatList = document.createElement('div');
+                formatList.style.marginBottom = '15px';
+
+                const radios = {};
+                Highlighter.downloadFormats.forEach(format => {
+                    const disabled = isTableFormat(format.value) && tableCount === 0;
+
+                    const row = document.createElement('label');
+                    row.style.display = 'flex';
+                    row.style.alignItems = 'flex-start';
+                    row.style.gap = '8px';
+                    row.style.padding = '4px 0';
+                    row.style.cursor = disabled ? 'default' : 'pointer';
+                    row.style.opacity = disabled ? '0.5' : '1';
+
+                    const radio = document.createElement('input');
+                    radio.type = 'radio';
+                    radio.name = 'elementHighlighterFormat';
+                    radio.value = format.value;
+                    radio.disabled = disabled;
+                    radio.style.margin = '2px 0 0 0';
+                    radios[format.value] = radio;
+
+                    const text = document.createElement('span');
+                    const label = document.createElement('strong');
+                    label.textContent = format.label;
+                    const description = document.createElement('span');
+                    description.textContent = disabled ? 'No tables in the selection' : format.description;
+                    description.style.display = 'block';
+                    description.style.color = '#666';
+                    description.style.fontSize = '12px';
+                    text.appendChild(label);
+                    text.appendChild(description);
+
+                    row.appendChild(radio);
+                    row.appendChild(text);
+                    formatList.appendChild(row);
+                });
+                dialog.appendChild(formatList);
+
+                // File name with a preview of the saved name
+                let nameInput = null;
+                let namePreview = null;
+                if (fileName !== undefined) {
+                    const nameRow = document.createElement('label');
+                    nameRow.style.display = 'block';
+                    nameRow.style.marginBottom = '10px';
+                    nameRow.textContent = 'File name';
+
+                    nameInput = document.createElement('input');
+                    nameInput.type = 'text';
+                    nameInput.value = fileName;
+                    nameInput.style.display = 'block';
+                    nameInput.style.width = '100%';
+                    nameInput.style.boxSizing = 'border-box';
+                    nameInput.style.marginTop = '4px';
+                    nameRow.appendChild(nameInput);
+
+                    namePreview = document.createElement('div');
+                    namePreview.style.color = '#666';
+                    namePreview.style.fontSize = '12px';
+                    namePreview.style.marginTop = '4px';
+                    namePreview.style.wordBreak = 'break-all';
+                    nameRow.appendChild(namePreview);
+
+                    dialog.appendChild(nameRow);
+                }
+
+                // Export options
+                const createCheckbox = (labelText, checked) => {
+                    const row = document.createElement('label');
+                    row.style.display = 'flex';
+                    row.style.alignItems = 'center';
+                    row.style.gap = '8px';
+                    row.style.marginBottom = '6px';
+
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.checked = checked;
+                    checkbox.style.margin = '0';
+
+                    const label = document.createElement('span');
+                    label.textContent = labelText;
+
+                    row.appendChild(checkbox);
+                    row.appendChild(label);
+                    dialog.appendChild(row);
+                    return checkbox;
+                };
+
+                const sourceCheckbox = createCheckbox('Include source header', !!Settings.get('includeSourceHeader'));
+                const scriptsCheckbox = createCheckbox('Strip scripts', !!Settings.get('stripScripts'));
+                if (!showOptions) {
+                    sourceCheckbox.parentNode.style.display = 'none';
+                    scriptsCheckbox.parentNode.style.display = 'none';
+                }
+
+                // Image options, only shown for PNG exports
+                const createOptionSelect = (labelText, options, value) => {
+                    const row = document.createElement('label');
+                    row.style.display = 'flex';
+                    row.style.justifyContent = 'space-between';
+                    row.style.alignItems = 'center';
+                    row.style.gap = '8px';
+                    row.style.marginBottom = '6px';
+
+                    const label = document.createElement('span');
+                    label.textContent = labelText;
+
+                    const select = document.createElement('select');
+                    options.forEach(option => {
+                        const optionElement = document.createElement('option');
+                        optionElement.value = option.value;
+                        optionElement.textContent = option.label;
+                        select.appendChild(optionElement);
+                    });
+                    select.value = value;
+
+                    row.appendChild(label);
+                    row.appendChild(select);
+                    dialog.appendChild(row);
+                    return select;
+                };
+
+                const pixelRatioSelect = createOptionSelect('Pixel ratio', ImageRenderer.pixelRatios.map(option => (
+                    option.value === 'auto' ? { value: 'auto', label: `${option.label} (${window.devicePixelRatio || 1}x)` } : option
+                )), Settings.get('pngPixelRatio'));
+                const layoutSelect = createOptionSelect('Several elements', [
+                    { value: 'stitch', label: 'One stitched image' },
+                    { value: 'zip', label: 'ZIP, one image each' }
+                ], Settings.get('pngLayout'));
+
+                const getFormat = () => {
+                    const checked = Object.values(radios).find(radio => radio.checked);
+                    return checked ? checked.value : 'basic';
+                };
+
+                // Keeps the preview and the option states in line with the chosen format
+                const update = () => {
+                    const format = getFormat();
+                    const imageCount = layoutSelect.value === 'zip' ? elements.length : 1;
+                    if (namePreview) {
+                        const name = nameInput.value.trim() || fileName;
+                        namePreview.textContent = `Saved as ${name}.${Downloader.getFileExtension(format, tableCount, imageCount)}`;
+                    }
+                    pixelRatioSelect.parentNode.style.display = showOptions && format === 'png' ? 'flex' : 'none';
+                    layoutSelect.parentNode.style.display = showOptions && format === 'png' && elements.length > 1 ? 'flex' : 'none';
+                    // JSON, table and image exports carry no source header; archives and bundles always drop scripts
+                    sourceCheckbox.disabled = format === 'json' || format === 'png' || isTableFormat(format);
+                    scriptsCheckbox.disabled = format !== 'basic';
+                    sourceCheckbox.parentNode.style.opacity = sourceCheckbox.disabled ? '0.5' : '1';
+                    scriptsCheckbox.parentNode.style.opacity = scriptsCheckbox.disabled ? '0.5' : '1';
+                };
+
+                const defaultFormat = Settings.get('defaultFormat');
+                const initial = radios[defaultFormat] && !radios[defaultFormat].disabled ? defaultFormat : 'basic';
+                radios[initial].checked = true;
+
+                Object.values(radios).forEach(radio => radio.addEventListener('change', update));
+                if (nameInput) nameInput.addEventListener('input', update);
+                layoutSelect.addEventListener('change', update);
+                update();
+
+                // Buttons
+                const buttonContainer = document.createElement('div');
+                buttonContainer.style.display = 'flex';
+                buttonContainer.style.justifyContent = 'space-between';
+                buttonContainer.style.gap = '5px';
+                buttonContainer.style.marginTop = '15px';
+
+                const createButton = (text, color) => {
+                    const button = document.createElement('button');
+                    button.textContent = text;
+                    button.style.backgroundColor = color;
+                    button.style.color = 'white';
+                    button.style.border = 'none';
+                    button.style.padding = '8px 12px';
+                    button.style.borderRadius = '4px';
+                    button.style.cursor = 'pointer';
+                    button.style.flex = '1';
+                    buttonContainer.appendChild(button);
+                    return button;
+                };
+
+                const confirmBtn = createButton(confirmLabel, '#4CAF50');
+                confirmBtn.style.fontWeight = 'bold';
+                const cancelBtn = createButton('Cancel', '#777');
+                dialog.appendChild(buttonContainer);
+
+                const close = result => {
+                    if (backdrop.parentNode) {
+                        document.body.removeChild(backdrop);
+                    }
+                    this.exportDialog = null;
+                    resolve(result);
+                };
+
+                const confirm = () => {
+                    close({
+                        formatOption: getFormat(),
+                        fileName: nameInput ? nameInput.value.trim() : '',
+                        includeSourceHeader: sourceCheckbox.checked,
+                        stripScripts: scriptsCheckbox.checked,
+                        pngPixelRatio: pixelRatioSelect.value,
+                        pngLayout: layoutSelect.value
+                    });
+                };
+
+                confirmBtn.addEventListener('click', confirm);
+                cancelBtn.addEventListener('click', () => close(null));
+
+                // Enter confirms and Escape cancels from anywhere in the dialog
+                backdrop.addEventListener('keydown', e => {
+                    if (e.key === 'Enter' && e.target.tagName !== 'BUTTON') {
+                        e.preventDefault();
+                        confirm();
+                    } else if (e.key === 'Escape') {
+                        e.preventDefault();
+                        close(null);
+                    }
+                    e.stopPropagation();
+                });
+
+                // Clicking the backdrop cancels as well
+                backdrop.addEventListener('click', e => {
+                    if (e.target === backdrop) close(null);
+                });
+
+                document.body.appendChild(backdrop);
+                this.exportDialog = backdrop;
+
+                if (nameInput) {
+                    nameInput.focus();
+                    nameInput.select();
+                } else {
+                    radios[initial].focus();
+                }
+            });
+        },
+
+        /**
+         * The settings dialog while it is open
+         */
+        settingsDialog: null,
+
+        /**
+         * Opens the settings dialog
+         */
+        showSettingsDialog() {
+            if (this.settingsDialog) return;
+
+            const { backdrop, dialog } = this.createModal('elementHighlighterSettings', 'Element Highlighter Settings');
+
+            // Helper to build a labelled form row
+            const addRow = (labelText, input) => {
+                const row = document.createElement('label');
+                row.style.display = 'flex';
+                row.style.justifyContent = 'space-between';
+                row.style.alignItems = 'center';
+                row.style.gap = '10px';
+                row.style.marginBottom = '10px';
+
+                const label = document.createElement('span');
+                label.textContent = labelText;
+
+                input.style.width = '150px';
+                input.style.boxSizing = 'border-box';
+
+                row.appendChild(label);
+                row.appendChild(input);
+                dialog.appendChild(row);
+            };
+
+            const createSelect = options => {
+                const select = document.createElement('select');
+                options.forEach(option => {
+                    const optionElement = document.createElement('option');
+                    optionElement.value = option.value;
+                    optionElement.textContent = option.label;
+                    select.appendChild(optionElement);
+                });
+                return select;
+            };
+
+            // Scope selector: all sites or this hostname only
+            const scopeSelect = createSelect([
+                { value: 'global', label: 'All sites' },
+                { value: 'site', label: `This site only (${window.location.hostname})` }
+            ]);
+            scopeSelect.value = Settings.hasSiteOverrides() ? 'site' : 'global';
+            addRow('Apply to', scopeSelect);
+
+            // Option fields
+            const fields = [
+                { key: 'highlightColor', label: 'Highlight color', type: 'color' },
+                { key: 'selectionColor', label: 'Selection color', type: 'color' },
+                { key: 'scrollThreshold', label: 'Wheel steps per level', type: 'number', min: 1, max: 10 },
+                { key: 'notificationDuration', label: 'Notification time (ms)', type: 'number', min: 500, max: 30000 },
+                { key: 'hintDuration', label: 'Hint time (ms)', type: 'number', min: 500, max: 60000 },
+                { key: 'defaultFormat', label: 'Default format', options: Highlighter.downloadFormats },
+                { key: 'areaGranularity', label: 'Alt+drag selects', options: AreaSelector.granularities },
+                { key: 'fileNameTemplate', label: 'File name', type: 'text', hint: `Tokens: ${FileNameTemplate.tokens
+                    .map(item => `{${item.token}} ${item.description.toLowerCase()}`).join(', ')}` }
+            ];
+
+            const inputs = {};
+            fields.forEach(field => {
+                let input;
+                if (field.options) {
+                    input = createSelect(field.options);
+                } else {
+                    input = document.createElement('input');
+                    input.type = field.type;
+                    if (field.min !== undefined) input.min = field.min;
+                    if (field.max !== undefined) input.max = field.max;
+                    if (field.hint) input.title = field.hint;
+                }
+                inputs[field.key] = input;
+                addRow(field.label, input);
+            });
+
+            // Keyboard shortcuts, captured by pressing the key combination in the field
+            const shortcutsTitle = document.createElement('h4');
+            shortcutsTitle.textContent = 'Keyboard shortcuts';
+            shortcutsTitle.style.margin = '15px 0 10px 0';
+            shortcutsTitle.style.fontSize = '14px';
+            dialog.appendChild(shortcutsTitle);
+
+            const shortcutInputs = {};
+            const collectBindings = () => {
+                const bindings = {};
+                Keymap.actions.forEach(action => {
+                    bindings[action.id] = shortcutInputs[action.id].value;
+                });
+                return bindings;
+            };
+
+            const warningBox = document.createElement('div');
+            warningBox.style.color = '#b45309';
+            warningBox.style.fontSize = '12px';
+            const updateWarnings = () => {
+                warningBox.innerHTML = '';
+                Keymap.getConflictWarnings(collectBindings()).forEach(warning => {
+                    const line = document.createElement('div');
+                    line.textContent = `⚠ ${warning}`;
+                    line.style.marginBottom = '4px';
+                    warningBox.appendChild(line);
+                });
+            };
+
+            Keymap.actions.forEach(action => {
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.readOnly = true;
+                input.placeholder = 'Unbound';
+                input.title = 'Click and press a key combination (Backspace to unbind)';
+
+                input.addEventListener('keydown', e => {
+                    // Keep Tab for moving between fields
+                    if (e.key === 'Tab' && !e.ctrlKey && !e.altKey && !e.metaKey) return;
+
+                    e.preventDefault();
+                    e.stopPropagation();
+
+                    if (e.key === 'Backspace' || e.key === 'Delete') {
+                        input.value = '';
+                    } else {
+                        const binding = Keymap.eventToBinding(e);
+                        if (!binding) return;
+                        input.value = binding;
+                    }
+                    updateWarnings();
+                });
+
+                shortcutInputs[action.id] = input;
+                addRow(action.label, input);
+            });
+            dialog.appendChild(warningBox);
+
+            // Saved recipes; changes are kept until the dialog is saved
+            let recipeList = Recipes.getAll();
+            const recipesTitle = document.createElement('h4');
+            recipesTitle.textContent = 'Capture recipes';
+            recipesTitle.style.margin = '15px 0 10px 0';
+            recipesTitle.style.fontSize = '14px';
+            dialog.appendChild(recipesTitle);
+
+            const recipeContainer = document.createElement('div');
+            const renderRecipes = () => {
+                recipeContainer.innerHTML = '';
+
+                if (recipeList.length === 0) {
+                    const emptyMessage = document.createElement('div');
+                    emptyMessage.textContent = 'No recipes saved. Use "Save Selection as Recipe" in the userscript menu.';
+                    emptyMessage.style.color = '#999';
+                    emptyMessage.style.fontSize = '12px';
+                    recipeContainer.appendChild(emptyMessage);
+                    return;
+                }
+
+                recipeList.forEach(recipe => {
+                    const row = document.createElement('div');
+                    row.style.display = 'flex';
+                    row.style.alignItems = 'center';
+                    row.style.gap = '5px';
+                    row.style.marginBottom = '8px';
+
+                    const info = document.createElement('div');
+                    info.style.flex = '1';
+                    info.style.overflow = 'hidden';
+
+                    const name = document.createElement('div');
+                    name.textContent = `${recipe.name} (${recipe.targets.length}, ${recipe.formatOption})`;
+                    name.style.fontWeight = 'bold';
+
+                    const pattern = document.createElement('div');
+                    pattern.textContent = recipe.urlPattern;
+                    pattern.title = recipe.urlPattern;
+                    pattern.style.color = '#666';
+                    pattern.style.fontSize = '12px';
+                    pattern.style.overflow = 'hidden';
+                    pattern.style.textOverflow = 'ellipsis';
+                    pattern.style.whiteSpace = 'nowrap';
+
+                    info.appendChild(name);
+                    info.appendChild(pattern);
+
+                    const autoRunLabel = document.createElement('label');
+                    autoRunLabel.style.fontSize = '12px';
+                    autoRunLabel.style.whiteSpace = 'nowrap';
+                    const autoRunCheckbox = document.createElement('input');
+                    autoRunCheckbox.type = 'checkbox';
+                    autoRunCheckbox.checked = !!recipe.autoRun;
+                    autoRunCheckbox.addEventListener('change', () => {
+                        recipe.autoRun = autoRunCheckbox.checked;
+                    });
+                    autoRunLabel.appendChild(autoRunCheckbox);
+                    autoRunLabel.appendChild(document.createTextNode(' Auto-run'));
+
+                    const deleteBtn = document.createElement('button');
+                    deleteBtn.textContent = '✕';
+                    deleteBtn.title = 'Delete recipe';
+                    deleteBtn.style.background = 'none';
+                    deleteBtn.style.border = 'none';
+                    deleteBtn.style.cursor = 'pointer';
+                    deleteBtn.style.color = '#f44336';
+                    deleteBtn.addEventListener('click', () => {
+                        recipeList = recipeList.filter(item => item !== recipe);
+                        renderRecipes();
+                    });
+
+                    row.appendChild(info);
+                    row.appendChild(autoRunLabel);
+                    row.appendChild(deleteBtn);
+                    recipeContainer.appendChild(row);
+                });
+            };
+            renderRecipes();
+            dialog.appendChild(recipeContainer);
+
+            // Fill the fields with the effective values of the chosen scope
+            const fillFields = () => {
+                const values = Settings.getAll(scopeSelect.value);
+                fields.forEach(field => {
+                    inputs[field.key].value = values[field.key];
+                });
+
+                const customBindings = values.keymap || {};
+                Keymap.actions.forEach(action => {
+                    shortcutInputs[action.id].value = action.id in customBindings ?
+                        Keymap.normalize(customBindings[action.id]) :
+                        action.defaultBinding;
+                });
+                updateWarnings();
+            };
+            scopeSelect.addEventListener('change', fillFields);
+            fillFields();
+
+            // Buttons
+            const buttonContainer = document.createElement('div');
+            buttonContainer.style.display = 'flex';
+            buttonContainer.style.justifyContent = 'space-between';
+            buttonContainer.style.gap = '5px';
+            buttonContainer.style.marginTop = '15px';
+
+            const createButton = (text, color) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.style.backgroundColor = color;
+                button.style.color = 'white';
+                button.style.border = 'none';
+                button.style.padding = '8px 12px';
+                button.style.borderRadius = '4px';
+                button.style.cursor = 'pointer';
+                button.style.flex = '1';
+                buttonContainer.appendChild(button);
+                return button;
+            };
+
+            const saveBtn = createButton('Save', '#4CAF50');
+            saveBtn.style.fontWeight = 'bold';
+            const resetBtn = createButton('Reset', '#f44336');
+            const cancelBtn = createButton('Cancel', '#777');
+            dialog.appendChild(buttonContainer);
+
+            const close = () => {
+                if (backdrop.parentNode) {
+                    document.body.removeChild(backdrop);
+                }
+                this.settingsDialog = null;
+            };
+
+            saveBtn.addEventListener('click', () => {
+                const values = {};
+                fields.forEach(field => {
+                    const value = inputs[field.key].value;
+                    values[field.key] = field.type === 'number' ?
+                        (parseInt(value, 10) || Settings.defaults[field.key]) :
+                        (value || Settings.defaults[field.key]);
+                });
+
+                // Only store bindings that differ from the defaults
+                const bindings = collectBindings();
+                values.keymap = {};
+                Keymap.actions.forEach(action => {
+                    if (bindings[action.id] !== action.defaultBinding) {
+                        values.keymap[action.id] = bindings[action.id];
+                    }
+                });
+
+                Settings.save(values, scopeSelect.value);
+                Recipes.saveAll(recipeList);
+                Highlighter.applySettings();
+                close();
+                this.showNotification('Settings saved');
+            });
+
+            resetBtn.addEventListener('click', () => {
+                Settings.reset(scopeSelect.value);
+                Highlighter.applySettings();
+                fillFields();
+                this.showNotification(scopeSelect.value === 'site' ?
+                    `Settings for ${window.location.hostname} reset` :
+                    'Settings reset to defaults');
+            });
+
+            cancelBtn.addEventListener('click', close);
+
+            // Clicking the backdrop closes the dialog as well
+            backdrop.addEventListener('click', e => {
+                if (e.target === backdrop) close();
+            });
+
+            document.body.appendChild(backdrop);
+            this.settingsDialog = backdrop;
+        },
+
+        /**
+         * Hides the selection panel
+         */
+        hideSelectionPanel() {
+            if (this.selectionPanel) {
+                this.selectionPanel.style.display = 'none';
+            }
+        }
+    };
+
+    /**
+     * Selection Manager Module
+     * Handles the management of selected elements
+     */
+    const SelectionManager = {
+        /**
+         * Array of selected elements with metadata
+         */
+        selectedElements: [],
+
+        /**
+         * Counter that keeps ids unique when many elements are added at once
+         */
+        idCounter: 0,
+
         /**
-         * Processes links in an element to make them absolute
-         * @param {Element} element - The element to process
-         * @param {string} baseUrl - The base URL for conversion
+         * Most elements added in one go by area or similar selection; each one is snapshotted with its styles
          */
-        processLinks(element, baseUrl = window.location.href) {
-            // Convert href attributes
-            element.querySelectorAll('a[href]').forEach(link => {
-                try {
-                    const href = link.getAttribute('href');
-                    if (href) {
-                        link.setAttribute('href', URLUtils.toAbsoluteUrl(href, baseUrl));
+        bulkAddLimit: 200,
+
+        /**
+         * The currently highlighted element from the selection panel
+         */
+        highlightedElement: null,
+
+        /**
+         * The current highlight overlay for selected elements
+         */
+        highlightOverlay: null,
+
+        /**
+         * Selection indicators, keyed by the id of their selected element
+         */
+        indicators: new Map(),
+
+        /**
+         * Arrows pointing at selected elements that are scrolled out of view, keyed like indicators
+         */
+        edgeArrows: new Map(),
+
+        /**
+         * Arrow symbols of the edge arrows, by the direction of the element
+         */
+        edgeArrowSymbols: { up: '\u25B2', down: '\u25BC', left: '\u25C0', right: '\u25B6' },
+
+        /**
+         * Pending animation frame of the layout loop (see scheduleLayout)
+         */
+        layoutFrame: null,
+
+        /**
+         * Scroll containers around tracked elements, cached per element until the DOM changes
+         */
+        scrollAncestorCache: new WeakMap(),
+
+        /**
+         * Observer for tracking element position changes
+         * (in case of dynamic page content)
+         */
+        resizeObserver: null,
+
+        /**
+         * MutationObserver for tracking DOM changes
+         */
+        mutationObserver: null,
+
+        /**
+         * Storage key for selections saved per page
+         */
+        storageKey: 'savedSelections',
+
+        /**
+         * Whether changes to the selection are saved; off while a recipe run borrows the selection
+         */
+        persistent: true,
+
+        /**
+         * Maximum number of pages whose selections are kept in storage
+         */
+        maxSavedPages: 50,
+
+        /**
+         * The page the current selection belongs to (see getPageKey)
+         */
+        pageKey: null,
+
+        /**
+         * Saved selections (locator, title and note) that could not be found on the page
+         */
+        missingSelections: [],
+
+        /**
+         * Timeout for retrying missing selections after DOM changes
+         */
+        restoreRetryTimeout: null,
+
+        /**
+         * Timeout for looking for selected elements that left the page after DOM changes
+         */
+        detachCheckTimeout: null,
+
+        /**
+         * Largest subtree (in elements) whose styles are captured in selection snapshots
+         */
+        snapshotStyleLimit: 500,
+
+        /**
+         * Initializes the selection manager
+         */
+        init() {
+            // Create the highlight overlay for selection panel highlighting
+            this.createHighlightOverlay();
+            // Initialize resize observer
+            this.initResizeObserver();
+            // Initialize mutation observer
+            this.initMutationObserver();
+            // Bring back selections saved for this page
+            this.pageKey = this.getPageKey();
+            this.restoreSelections();
+            this.watchNavigation();
+        },
+
+        /**
+         * Builds the storage key for the current page
+         * Hashes are ignored unless they look like client-side routes (#/path or #!/path)
+         * @returns {string} - The page key
+         */
+        getPageKey() {
+            const { origin, pathname, search, hash } = window.location;
+            return origin + pathname + search + (/^#!?\//.test(hash) ? hash : '');
+        },
+
+        /**
+         * Writes the locators and annotations of the current selection to storage
+         */
+        saveSelections() {
+            if (!this.persistent) return;
+
+            // Refresh locators of elements still on the page, in case they moved
+            const entries = this.selectedElements.map(item => {
+                if (ShadowDOM.isInDocument(item.element)) {
+                    item.locator = Locator.create(item.element);
+                }
+                return {
+                    locator: item.locator,
+                    title: item.title,
+                    note: item.note
+                };
+            }).concat(this.missingSelections);
+
+            try {
+                const saved = GM_getValue(this.storageKey, {}) || {};
+                if (entries.length > 0) {
+                    saved[this.pageKey] = { items: entries, savedAt: Date.now() };
+                } else {
+                    delete saved[this.pageKey];
+                }
+
+                // Drop the oldest pages once the limit is reached
+                Object.keys(saved)
+                    .sort((a, b) => saved[b].savedAt - saved[a].savedAt)
+                    .slice(this.maxSavedPages)
+                    .forEach(key => delete saved[key]);
+
+                GM_setValue(this.storageKey, saved);
+            } catch (e) {
+                console.error('Failed to save selections:', e);
+            }
+        },
+
+        /**
+         * Restores the selections saved for the current page
+         * @param {boolean} notify - Whether to tell the user how many selections were restored
+         */
+        restoreSelections(notify = true) {
+            const saved = GM_getValue(this.storageKey, {}) || {};
+            // Entries in another shape (e.g. written by an older version) are ignored
+            const items = (saved[this.pageKey] && saved[this.pageKey].items) || [];
+            const entries = Array.isArray(items) ? items.filter(entry => entry && entry.locator) : [];
+            if (entries.length === 0) return;
+
+            this.missingSelections = [];
+            const restored = this.addLocatedElements(entries);
+
+            UIManager.updateSelectionPanel(this.selectedElements);
+            if (notify && restored > 0) {
+                UIManager.showNotification(`Restored ${restored} saved selection${restored === 1 ? '' : 's'}`);
+            }
+        },
+
+        /**
+         * Resolves saved selections and adds the elements that were found to the selection
+         * Entries that could not be resolved are kept in missingSelections
+         * @param {Array} entries - Saved selections with locator, title and note
+         * @returns {number} - The number of elements added
+         */
+        addLocatedElements(entries) {
+            let added = 0;
+
+            entries.forEach(entry => {
+                const element = Locator.resolve(entry.locator);
+                if (!element) {
+                    this.missingSelections.push(entry);
+                    return;
+                }
+                if (this.selectedElements.some(item => item.element === element)) return;
+
+                const id = this.createId();
+                this.addSelectionIndicator(element, id);
+                const item = {
+                    element: element,
+                    id: id,
+                    locator: entry.locator,
+                    snapshot: null,
+                    detached: false,
+                    title: entry.title || '',
+                    note: entry.note || ''
+                };
+                this.selectedElements.push(item);
+                this.scheduleSnapshot(item);
+                added++;
+            });
+
+            return added;
+        },
+
+        /**
+         * Saves the selection and sets it aside for a temporary one that is not saved (see resume)
+         */
+        suspend() {
+            this.saveSelections();
+            this.clearSelection(false);
+            this.missingSelections = [];
+            this.persistent = false;
+        },
+
+        /**
+         * Drops the temporary selection and brings back the one saved by suspend
+         */
+        resume() {
+            this.clearSelection(false);
+            this.persistent = true;
+            this.restoreSelections(false);
+        },
+
+        /**
+         * Tries again to find saved selections that were missing, e.g. after content loaded
+         */
+        retryMissingSelections() {
+            if (this.missingSelections.length === 0) return;
+
+            const entries = this.missingSelections;
+            this.missingSelections = [];
+            const added = this.addLocatedElements(entries);
+
+            if (added > 0) {
+                UIManager.updateSelectionPanel(this.selectedElements);
+                this.saveSelections();
+            }
+        },
+
+        /**
+         * Discards saved selections that could not be found
+         */
+        forgetMissingSelections() {
+            this.missingSelections = [];
+            this.saveSelections();
+            UIManager.updateSelectionPanel(this.selectedElements);
+        },
+
+        /**
+         * Restores the matching selections when a single-page app changes its URL
+         */
+        watchNavigation() {
+            window.addEventListener('popstate', () => this.checkPageChange());
+            window.addEventListener('hashchange', () => this.checkPageChange());
+            // pushState() fires no event, so DOM changes are checked as well (see initMutationObserver)
+        },
+
+        /**
+         * Swaps the selection for the saved one if the page URL changed
+         */
+        checkPageChange() {
+            const pageKey = this.getPageKey();
+            if (pageKey === this.pageKey) return;
+
+            // The old page's selections stay in storage
+            this.clearSelection(false);
+            this.missingSelections = [];
+            this.pageKey = pageKey;
+            this.restoreSelections();
+            Recipes.runAutomatic();
+        },
+
+        /**
+         * Applies the current settings to existing selection indicators
+         */
+        applySettings() {
+            const selectionColor = Settings.get('selectionColor');
+            document.querySelectorAll('.element-highlighter-indicator').forEach(indicator => {
+                indicator.style.borderColor = selectionColor;
+                const badge = indicator.querySelector('.element-highlighter-badge');
+                if (badge) {
+                    badge.style.backgroundColor = selectionColor;
+                }
+            });
+            this.edgeArrows.forEach(arrow => {
+                arrow.style.backgroundColor = selectionColor;
+            });
+        },
+
+        /**
+         * Creates the highlight overlay for selection panel interactions
+         */
+        createHighlightOverlay() {
+            const overlay = document.createElement('div');
+            overlay.style.position = 'fixed';
+            overlay.style.pointerEvents = 'none';
+            overlay.style.transition = 'all 0.05s ease';  // Smooth transition when scrolling
+            overlay.style.backgroundColor = 'rgba(255, 193, 7, 0.3)';
+            overlay.style.border = '2px dashed #FFC107';
+            overlay.style.display = 'none';
+            overlay.style.zIndex = '9999';
+            overlay.style.willChange = 'transform, top, left, width, height'; // Optimization hint
+            document.body.appendChild(overlay);
+            this.highlightOverlay = overlay;
+        },
+
+        /**
+         * Initialize the ResizeObserver for tracking element movements
+         */
+        initResizeObserver() {
+            if (typeof ResizeObserver !== 'undefined') {
+                this.resizeObserver = new ResizeObserver(() => {
+                    this.scheduleLayout();
+                });
+            } else {
+                console.warn('ResizeObserver not supported in this browser. Some element tracking features may not work correctly.');
+            }
+        },
+
+        /**
+         * Initialize the MutationObserver for tracking DOM changes
+         */
+        initMutationObserver() {
+            if (typeof MutationObserver !== 'undefined') {
+                this.mutationObserver = new MutationObserver(mutations => {
+                    // Only update on significant changes to avoid performance issues
+                    const significantChange = mutations.some(mutation => 
+                        mutation.type === 'childList' && 
+                        (mutation.addedNodes.length > 0 || mutation.removedNodes.length > 0) ||
+                        mutation.type === 'attributes' && 
+                        (mutation.attributeName === 'style' || mutation.attributeName === 'class')
+                    );
+                    
+                    if (significantChange) {
+                        // Client-side navigation replaces the page content
+                        this.checkPageChange();
+                        // Elements may have moved, and overflow may have changed with styles and classes
+                        this.scrollAncestorCache = new WeakMap();
+                        this.scheduleLayout();
+
+                        // Virtualized lists replace the nodes of rows scrolled out of view
+                        if (this.selectedElements.some(item => item.detached || !ShadowDOM.isInDocument(item.element))) {
+                            clearTimeout(this.detachCheckTimeout);
+                            this.detachCheckTimeout = setTimeout(() => this.checkDetachedSelections(), 250);
+                        }
+
+                        // Saved selections may appear once the page has rendered them
+                        if (this.missingSelections.length > 0) {
+                            clearTimeout(this.restoreRetryTimeout);
+                            this.restoreRetryTimeout = setTimeout(() => this.retryMissingSelections(), 500);
+                        }
                     }
+                });
+                
+                // Start observing the document with configured parameters
+                this.mutationObserver.observe(document.body, {
+                    childList: true,
+                    subtree: true,
+                    attributes: true,
+                    attributeFilter: ['style', 'class']
+                });
+            } else {
+                console.warn('MutationObserver not supported in this browser. Dynamic content tracking may not work correctly.');
+            }
+        },
+        
+        /**
+         * Copies a selected element with its form state, so it can still be exported after the
+         * page removes it (e.g. a virtualized list unmounting rows scrolled out of view)
+         * @param {Element} element - The live element
+         * @returns {Element|null} - The detached copy, or null if it could not be made
+         */
+        createSnapshot(element) {
+            try {
+                return ElementProcessor.snapshotState(
+                    element,
+                    Frames.replaceFrames(element, ShadowDOM.cloneFlattened(element))
+                );
+            } catch (e) {
+                console.error('Failed to snapshot selected element:', element, e);
+                return null;
+            }
+        },
+
+        /**
+         * Snapshots a selected element with its styles once the browser is idle, since copying canvases,
+         * video frames and styles is too slow to do on every click
+         * Skipped if the element was replaced, deselected or left the page in the meantime
+         * @param {Object} item - The selection item
+         */
+        scheduleSnapshot(item) {
+            const element = item.element;
+
+            const capture = () => {
+                if (item.element !== element || !this.selectedElements.includes(item) ||
+                    !ShadowDOM.isInDocument(element)) return;
+
+                const snapshot = this.createSnapshot(element);
+                if (!snapshot) return;
+                item.snapshot = snapshot;
+
+                // Styles are read element by element, which is too slow for large subtrees
+                if (snapshot.querySelectorAll('*').length > this.snapshotStyleLimit) return;
+
+                try {
+                    // Pseudo-elements need counters resolved over the whole page; exports of
+                    // live elements get them, snapshots make do without
+                    item.snapshot = ElementProcessor.processStyles(snapshot, element, { pseudoElements: false }).element;
                 } catch (e) {
-                    console.error('Error processing link:', link, e);
+                    console.error('Failed to capture styles of selected element:', element, e);
+                }
+            };
+
+            if (typeof window.requestIdleCallback === 'function') {
+                window.requestIdleCallback(capture, { timeout: 2000 });
+            } else {
+                setTimeout(capture, 0);
+            }
+        },
+
+        /**
+         * Points a selection at the node that replaced its element
+         * @param {Object} item - The selection item
+         * @param {Element} element - The new live element
+         */
+        rebindSelection(item, element) {
+            if (this.resizeObserver) {
+                try {
+                    this.resizeObserver.unobserve(item.element);
+                    this.resizeObserver.observe(element);
+                } catch (e) {
+                    console.warn('Failed to observe element:', e);
+                }
+            }
+
+            // The old snapshot stays until the new element's is taken
+            item.element = element;
+            this.scheduleSnapshot(item);
+        },
+
+        /**
+         * Finds selected elements that left the page and re-binds them to a node matching their locator
+         * Selections without a match are marked detached and exported from their snapshot
+         */
+        checkDetachedSelections() {
+            let changed = false;
+
+            this.selectedElements.forEach(item => {
+                if (!ShadowDOM.isInDocument(item.element)) {
+                    const replacement = Locator.resolve(item.locator);
+                    if (replacement && !this.selectedElements.some(other => other.element === replacement)) {
+                        this.rebindSelection(item, replacement);
+                    }
+                }
+
+                const detached = !ShadowDOM.isInDocument(item.element);
+                if (detached !== item.detached) {
+                    item.detached = detached;
+                    changed = true;
                 }
             });
 
-            // Convert form actions
-            element.querySelectorAll('form[action]').forEach(form => {
-                try {
-                    const action = form.getAttribute('action');
-                    if (action) {
-                        form.setAttribute('action', URLUtils.toAbsoluteUrl(action, baseUrl));
+            if (changed) {
+                UIManager.updateSelectionPanel(this.selectedElements);
+                this.scheduleLayout();
+            }
+        },
+
+        /**
+         * Gets the elements to export, in selection order
+         * Selections whose element left the page are exported from their snapshot
+         * @returns {Array} - Live elements and detached snapshots
+         */
+        getExportElements() {
+            return this.selectedElements.map(item => (
+                ShadowDOM.isInDocument(item.element) ? item.element : (item.snapshot || item.element)
+            ));
+        },
+
+        /**
+         * Gets the elements whose boxes follow the page: selected elements, the element highlighted
+         * from the panel, the element under the pointer and previewed similar elements
+         * @returns {Array} - The tracked elements that are still in the document
+         */
+        getTrackedElements() {
+            const elements = this.selectedElements.map(item => item.element);
+            SimilarSelector.previews.forEach(preview => elements.push(preview.element));
+            if (this.highlightedElement) elements.push(this.highlightedElement);
+            if (Highlighter.isActive && Highlighter.currentElement) elements.push(Highlighter.currentElement);
+            return elements.filter(element => ShadowDOM.isInDocument(element));
+        },
+
+        /**
+         * Finds the scroll containers around an element, innermost first
+         * Shadow hosts are crossed, and framed elements continue with their frame element
+         * @param {Element} element - The element
+         * @returns {Array} - Ancestors that scroll or clip their content (the page viewports are left out)
+         */
+        getScrollAncestors(element) {
+            if (this.scrollAncestorCache.has(element)) return this.scrollAncestorCache.get(element);
+
+            const ancestors = [];
+            let current = ShadowDOM.getParent(element);
+            while (current) {
+                const doc = current.ownerDocument;
+                if (current === doc.documentElement) {
+                    // The frame's viewport clips its content like a scroll container
+                    current = Frames.getFrameElement(current);
+                    if (current) ancestors.push(current);
+                } else if (current !== doc.body) {
+                    const style = doc.defaultView.getComputedStyle(current);
+                    // Overflow has no effect on inline boxes
+                    if (style.display !== 'inline' && style.display !== 'contents' &&
+                        /(auto|scroll|hidden|clip|overlay)/.test(`${style.overflow} ${style.overflowX} ${style.overflowY}`)) {
+                        ancestors.push(current);
                     }
-                } catch (e) {
-                    console.error('Error processing form action:', form, e);
                 }
-            });
+                current = current && ShadowDOM.getParent(current);
+            }
+
+            this.scrollAncestorCache.set(element, ancestors);
+            return ancestors;
         },
 
         /**
-         * Extracts background images from external CSS
-         * @returns {Map} - Map of selectors to image URLs
+         * Handles scroll events of documents and scroll containers (listened to in the capture phase)
+         * Only scrolling that moves a tracked element schedules a layout
+         * @param {Event} e - The scroll event
          */
-        processExternalCSS() {
-            const styleSheets = Array.from(document.styleSheets);
-            const backgroundImages = new Map();
+        handleScroll(e) {
+            // A page or frame viewport scrolled
+            if (!e.target || e.target.nodeType !== 1) {
+                this.scheduleLayout();
+                return;
+            }
 
-            styleSheets.forEach(sheet => {
-                try {
-                    const rules = Array.from(sheet.cssRules || []);
-                    rules.forEach(rule => {
-                        if (rule.style && rule.style.backgroundImage) {
-                            const urlMatch = rule.style.backgroundImage.match(/url\(['"]?([^'")]+)['"]?\)/);
-                            if (urlMatch) {
-                                backgroundImages.set(rule.selectorText, URLUtils.toAbsoluteUrl(urlMatch[1]));
-                            }
-                        }
-                    });
-                } catch (e) {
-                    // Skip cross-origin stylesheets
-                }
-            });
+            if (this.getTrackedElements().some(element => this.getScrollAncestors(element).includes(e.target))) {
+                this.scheduleLayout();
+            }
+        },
 
-            return backgroundImages;
+        /**
+         * Requests a layout pass on the next animation frame; repeated requests within a frame are merged
+         */
+        scheduleLayout() {
+            if (this.layoutFrame !== null) return;
+            this.layoutFrame = requestAnimationFrame(() => {
+                this.layoutFrame = null;
+                this.updateLayout();
+            });
         },
 
         /**
-         * Processes SVG elements to ensure correct rendering
-         * @param {SVGElement} svg - The SVG element to process
-         * @returns {SVGElement} - The processed SVG element
+         * Moves the selection indicators, the panel highlight and the hover overlay to their elements
+         * All rectangles are read before any box is written, so the page is laid out once per frame
          */
-        processSVG(svg) {
-            try {
-                // Helper function to determine if SVG is a header/masthead logo
-                function isHeaderLogo(svg) {
-                    const parent = svg.parentElement;
-                    return (
-                        // Check common header/masthead indicators
-                        (parent.closest('header') ||
-                            parent.closest('[role="banner"]') ||
-                            parent.closest('.navbar') ||
-                            parent.closest('#navbar') ||
-                            parent.closest('[class*="header"]') ||
-                            parent.closest('[class*="nav"]')) &&
-                        // Additional logo indicators
-                        (svg.classList.toString().toLowerCase().includes('logo') ||
-                            parent.classList.toString().toLowerCase().includes('logo') ||
-                            (parent.tagName === 'A' && parent.href && parent.href.includes('/home')) ||
-                            parent.getAttribute('aria-label')?.toLowerCase().includes('logo') ||
-                            parent.getAttribute('alt')?.toLowerCase().includes('logo'))
-                    );
+        updateLayout() {
+            const boxes = [];
+            const hidden = [];
+            this.selectedElements.forEach(item => {
+                const indicator = this.indicators.get(item.id);
+                if (!indicator) return;
+                if (ShadowDOM.isInDocument(item.element)) {
+                    boxes.push({ box: indicator, element: item.element, arrow: this.edgeArrows.get(item.id), item: item });
+                } else {
+                    // Left the page; the indicator would mark whatever took its place
+                    hidden.push(indicator, this.edgeArrows.get(item.id));
                 }
+            });
+            if (this.highlightedElement && ShadowDOM.isInDocument(this.highlightedElement)) {
+                boxes.push({ box: this.highlightOverlay, element: this.highlightedElement });
+            }
+            if (Highlighter.isActive && Highlighter.currentElement && UIManager.overlay &&
+                ShadowDOM.isInDocument(Highlighter.currentElement)) {
+                boxes.push({ box: UIManager.overlay, element: Highlighter.currentElement });
+            }
+            SimilarSelector.previews.forEach(({ element, box }) => {
+                if (ShadowDOM.isInDocument(element)) boxes.push({ box: box, element: element });
+            });
 
-                // Early handling for header logos
-                if (isHeaderLogo(svg)) {
-                    // Get parent header/container dimensions
-                    const headerHeight = svg.closest('header, [role="banner"], .navbar, #navbar')?.getBoundingClientRect().height || 64;
-
-                    // Calculate logo dimensions (typically 50-75% of header height)
-                    const targetHeight = Math.min(headerHeight * 0.6, 40); // Cap at 40px
-                    const currentRect = svg.getBoundingClientRect();
-                    const aspectRatio = currentRect.width / currentRect.height;
-                    const targetWidth = targetHeight * aspectRatio;
+            // Boxes are cut to what their scroll containers show; containers are shared, so measure each once
+            const viewport = this.getViewportRect();
+            const visibleAreas = new Map();
+            const getClipRect = element => this.getScrollAncestors(element).reduce((clip, ancestor) => {
+                if (!visibleAreas.has(ancestor)) visibleAreas.set(ancestor, this.getVisibleArea(ancestor));
+                return this.intersectRects(clip, visibleAreas.get(ancestor));
+            }, viewport);
+
+            const layouts = boxes.map(({ element }) => ({
+                rect: Frames.getRect(element),
+                clip: getClipRect(element)
+            }));
+            const scrollX = window.scrollX;
+            const scrollY = window.scrollY;
+
+            hidden.forEach(box => {
+                if (box) box.style.visibility = 'hidden';
+            });
 
-                    // Apply dimensions
-                    svg.style.height = `${targetHeight}px`;
-                    svg.style.width = `${targetWidth}px`;
-                    svg.style.minHeight = `${targetHeight}px`; // Prevent collapse
-                    svg.style.minWidth = `${targetWidth}px`;
+            const placedArrows = [];
+            boxes.forEach(({ box, arrow, item }, index) => {
+                const { rect, clip } = layouts[index];
+
+                // Kept in page coordinates for exporting the snapshot, should the element leave the page
+                if (item && (rect.width > 0 || rect.height > 0)) {
+                    item.lastRect = {
+                        top: rect.top + scrollY,
+                        left: rect.left + scrollX,
+                        width: rect.width,
+                        height: rect.height
+                    };
+                }
+                const visible = this.intersectRects(rect, clip);
+                const isVisible = visible.width > 0 && visible.height > 0;
 
-                    // Ensure viewBox
-                    if (!svg.getAttribute('viewBox') && currentRect.width && currentRect.height) {
-                        svg.setAttribute('viewBox', `0 0 ${currentRect.width} ${currentRect.height}`);
-                    }
+                box.style.visibility = isVisible ? 'visible' : 'hidden';
+                if (isVisible) this.positionBox(box, visible);
 
-                    return svg;
+                // Elements that are not rendered at all have nowhere to point to
+                if (arrow) {
+                    this.positionEdgeArrow(arrow, rect, clip, !isVisible && (rect.width > 0 || rect.height > 0), placedArrows);
                 }
+            });
+        },
 
-                // Helper function to convert various units to pixels
-                function toPixels(value, parentDimension = 0) {
-                    if (!value) return null;
-                    // Remove all spaces
-                    value = value.trim();
+        /**
+         * Gets the rectangle of the top page's viewport
+         * @returns {Object} - Rectangle with top, left, right, bottom, width and height
+         */
+        getViewportRect() {
+            return {
+                top: 0,
+                left: 0,
+                right: window.innerWidth,
+                bottom: window.innerHeight,
+                width: window.innerWidth,
+                height: window.innerHeight
+            };
+        },
 
-                    // Handle percentages
-                    if (value.endsWith('%')) {
-                        return (parseFloat(value) / 100) * parentDimension;
-                    }
+        /**
+         * Gets the area in which a scroll container shows its content: its padding box without scroll bars
+         * @param {Element} container - The scroll container or frame element
+         * @returns {Object} - Rectangle in top-page viewport coordinates
+         */
+        getVisibleArea(container) {
+            const rect = Frames.getRect(container);
+            const top = rect.top + container.clientTop;
+            const left = rect.left + container.clientLeft;
+            return {
+                top: top,
+                left: left,
+                right: left + container.clientWidth,
+                bottom: top + container.clientHeight,
+                width: container.clientWidth,
+                height: container.clientHeight
+            };
+        },
 
-                    // Handle px
-                    if (value.endsWith('px')) {
-                        return parseFloat(value);
-                    }
+        /**
+         * Intersects two rectangles
+         * @param {Object} a - The first rectangle
+         * @param {Object} b - The second rectangle
+         * @returns {Object} - The intersection; width and height are 0 if the rectangles do not overlap
+         */
+        intersectRects(a, b) {
+            const top = Math.max(a.top, b.top);
+            const left = Math.max(a.left, b.left);
+            const right = Math.min(a.right, b.right);
+            const bottom = Math.min(a.bottom, b.bottom);
+            return {
+                top: top,
+                left: left,
+                right: right,
+                bottom: bottom,
+                width: Math.max(0, right - left),
+                height: Math.max(0, bottom - top)
+            };
+        },
 
-                    // Handle rem/em
-                    if (value.endsWith('rem')) {
-                        return parseFloat(value) * parseFloat(getComputedStyle(document.documentElement).fontSize);
-                    }
-                    if (value.endsWith('em')) {
-                        return parseFloat(value) * parseFloat(getComputedStyle(svg.parentElement).fontSize);
-                    }
+        /**
+         * Shows or hides the edge arrow of a selected element that is out of view
+         * The arrow sits on the edge of the visible area of the element's scroll containers (or of the
+         * window, if the containers are out of view themselves) that faces the element
+         * @param {HTMLElement} arrow - The edge arrow
+         * @param {Object} rect - The element's rectangle
+         * @param {Object} clip - The visible area of its scroll containers
+         * @param {boolean} show - Whether the element is out of view
+         * @param {Array} placedArrows - Arrows already placed in this layout pass; an arrow that would
+         * cover one of them is moved along (or, on the top and bottom edges, away from) the edge
+         */
+        positionEdgeArrow(arrow, rect, clip, show, placedArrows = []) {
+            const region = clip.width > 0 && clip.height > 0 ? clip : this.getViewportRect();
+            const clamp = (value, min, max) => Math.max(min, Math.min(value, max));
+            const centerX = clamp((rect.left + rect.right) / 2, region.left + 20, region.right - 20);
+            const centerY = clamp((rect.top + rect.bottom) / 2, region.top + 12, region.bottom - 12);
+
+            let direction = null;
+            if (rect.bottom <= region.top) direction = 'up';
+            else if (rect.top >= region.bottom) direction = 'down';
+            else if (rect.right <= region.left) direction = 'left';
+            else if (rect.left >= region.right) direction = 'right';
+
+            if (!show || !direction) {
+                arrow.style.display = 'none';
+                return;
+            }
 
-                    // Handle raw numbers
-                    if (!isNaN(value)) {
-                        return parseFloat(value);
-                    }
+            const placements = {
+                up: { top: region.top + 4, left: centerX, transform: 'translateX(-50%)' },
+                down: { top: region.bottom - 24, left: centerX, transform: 'translateX(-50%)' },
+                left: { top: centerY, left: region.left + 4, transform: 'translateY(-50%)' },
+                right: { top: centerY, left: region.right - 4, transform: 'translate(-100%, -50%)' }
+            };
+            const placement = placements[direction];
+            const step = direction === 'down' ? -24 : 24;
+            const overlaps = () => placedArrows.some(placed => placed.direction === direction &&
+                Math.abs(placed.top - placement.top) < 22 && Math.abs(placed.left - placement.left) < 40);
+            while (overlaps()) placement.top += step;
+            placedArrows.push({ direction: direction, top: placement.top, left: placement.left });
+
+            arrow.textContent = `${this.edgeArrowSymbols[direction]} ${arrow.dataset.badgeNumber}`;
+            arrow.style.top = placement.top + 'px';
+            arrow.style.left = placement.left + 'px';
+            arrow.style.transform = placement.transform;
+            arrow.style.display = 'block';
+        },
 
-                    return null;
+        /**
+         * Creates the arrow shown in place of a selected element's indicator while it is out of view
+         * Clicking the arrow scrolls the element into view
+         * @param {string} id - Unique ID of the selected element
+         * @returns {HTMLElement} - The arrow (hidden until the layout loop shows it)
+         */
+        createEdgeArrow(id) {
+            const arrow = document.createElement('div');
+            arrow.className = 'element-highlighter-ui element-highlighter-edge-arrow';
+            arrow.dataset.forElement = id;
+            arrow.dataset.badgeNumber = this.selectedElements.length + 1;
+            arrow.title = 'Scroll to this selected element';
+            arrow.style.position = 'fixed';
+            arrow.style.display = 'none';
+            arrow.style.height = '20px';
+            arrow.style.lineHeight = '20px';
+            arrow.style.padding = '0 6px';
+            arrow.style.borderRadius = '10px';
+            arrow.style.backgroundColor = Settings.get('selectionColor');
+            arrow.style.color = 'white';
+            arrow.style.fontFamily = 'Arial, sans-serif';
+            arrow.style.fontSize = '12px';
+            arrow.style.fontWeight = 'bold';
+            arrow.style.whiteSpace = 'nowrap';
+            arrow.style.boxShadow = '0 1px 4px rgba(0, 0, 0, 0.3)';
+            arrow.style.cursor = 'pointer';
+            arrow.style.zIndex = '9998';
+
+            arrow.addEventListener('click', e => {
+                e.preventDefault();
+                e.stopPropagation();
+                // Looked up on click, since the selection may have been reordered
+                const item = this.selectedElements.find(selected => selected.id === id);
+                if (item && ShadowDOM.isInDocument(item.element)) {
+                    item.element.scrollIntoView({ behavior: 'smooth', block: 'center', inline: 'center' });
                 }
+            });
 
-                // Get parent dimensions
-                const parentRect = svg.parentElement.getBoundingClientRect();
-                const parentStyle = window.getComputedStyle(svg.parentElement);
-                const computedStyle = window.getComputedStyle(svg);
-                const svgRect = svg.getBoundingClientRect();
+            document.body.appendChild(arrow);
+            this.edgeArrows.set(id, arrow);
+            return arrow;
+        },
 
-                // Gather all possible dimension sources
-                const dimensions = {
-                    // Direct attributes
-                    attribute: {
-                        width: svg.getAttribute('width'),
-                        height: svg.getAttribute('height')
-                    },
-                    // Inline styles
-                    style: {
-                        width: svg.style.width,
-                        height: svg.style.height
-                    },
-                    // Computed styles
-                    computed: {
-                        width: computedStyle.width,
-                        height: computedStyle.height
-                    },
-                    // Bounding client rect
-                    rect: {
-                        width: svgRect.width,
-                        height: svgRect.height
-                    },
-                    // Parent dimensions
-                    parent: {
-                        width: parentRect.width,
-                        height: parentRect.height
-                    },
-                    // ViewBox if present
-                    viewBox: svg.getAttribute('viewBox')?.split(' ').map(Number)
-                };
+        /**
+         * Places a fixed-position box over a rectangle
+         * @param {HTMLElement} box - The indicator or overlay
+         * @param {Object} rect - Rectangle in top-page viewport coordinates (see Frames.getRect)
+         */
+        positionBox(box, rect) {
+            box.style.top = rect.top + 'px';
+            box.style.left = rect.left + 'px';
+            box.style.width = rect.width + 'px';
+            box.style.height = rect.height + 'px';
+        },
 
-                // Determine if SVG is meant to be responsive
-                const isResponsive = computedStyle.width.includes('%') ||
-                    parentStyle.display === 'flex' ||
-                    parentStyle.display === 'grid' ||
-                    svg.style.width === '100%' ||
-                    svg.classList.contains('w-auto') ||
-                    svg.classList.contains('h-auto');
+        /**
+         * Find an element in the selection
+         * @param {Element} element - The element to find
+         * @returns {number} - The index of the element, or -1 if not found
+         */
+        findElementInSelection(element) {
+            // First try exact match (fastest)
+            const exactMatch = this.selectedElements.findIndex(item => item.element === element);
+            if (exactMatch !== -1) return exactMatch;
+            
+            // Then check if the element might be the same but a different reference
+            // This handles cases where DOM navigation created new references to the same visual element
+            return this.selectedElements.findIndex(item => {
+                // Check if elements have the same tag name, id, and similar position
+                if (item.element.tagName !== element.tagName) return false;
+                
+                // Check if they have the same ID (if any)
+                if (item.element.id && element.id && item.element.id === element.id) return true;
+                
+                // Check position and dimensions
+                const rect1 = Frames.getRect(item.element);
+                const rect2 = Frames.getRect(element);
+                
+                // If rectangles overlap significantly, likely the same element
+                const overlap = !(
+                    rect1.right < rect2.left || 
+                    rect1.left > rect2.right || 
+                    rect1.bottom < rect2.top || 
+                    rect1.top > rect2.bottom
+                );
+                
+                // If there's significant overlap AND same tag, it's likely the same visual element
+                return overlap && Math.abs(rect1.width - rect2.width) < 5 && Math.abs(rect1.height - rect2.height) < 5;
+            });
+        },
 
-                // Get actual dimensions
-                let finalWidth = null;
-                let finalHeight = null;
+        /**
+         * Creates a unique id for a selected element
+         * @returns {string} - The id
+         */
+        createId() {
+            this.idCounter++;
+            return `element-${Date.now()}-${this.idCounter}`;
+        },
 
-                if (isResponsive) {
-                    // Calculate responsive dimensions based on parent
-                    if (dimensions.rect.width && dimensions.rect.height) {
-                        const aspectRatio = dimensions.rect.width / dimensions.rect.height;
-                        // Set width as percentage of parent
-                        const widthPercent = (dimensions.rect.width / dimensions.parent.width) * 100;
-                        finalWidth = `${widthPercent}%`;
-                        // Set height using aspect ratio
-                        finalHeight = dimensions.rect.height;
-                    }
-                } else {
-                    // Try to get explicit dimensions in this priority order
-                    finalWidth = toPixels(dimensions.attribute.width, dimensions.parent.width) ||
-                        toPixels(dimensions.style.width, dimensions.parent.width) ||
-                        toPixels(dimensions.computed.width, dimensions.parent.width) ||
-                        dimensions.rect.width ||
-                        (dimensions.viewBox && dimensions.viewBox[2]);
+        /**
+         * Add an element to the selection
+         * @param {Element} element - The element to add
+         * @param {Object} options - batch to leave refreshing the panel and saving to the caller
+         * @returns {boolean} - Whether the element was added successfully
+         */
+        addElementToSelection(element, options = {}) {
+            // Check if element already exists in selection
+            const exists = this.findElementInSelection(element) !== -1;
+            if (exists) {
+                UIManager.showNotification('Element already selected');
+                return false;
+            }
 
-                    finalHeight = toPixels(dimensions.attribute.height, dimensions.parent.height) ||
-                        toPixels(dimensions.style.height, dimensions.parent.height) ||
-                        toPixels(dimensions.computed.height, dimensions.parent.height) ||
-                        dimensions.rect.height ||
-                        (dimensions.viewBox && dimensions.viewBox[3]);
-                }
+            // Generate a unique ID for the element
+            const id = this.createId();
 
-                // Ensure we have valid dimensions
-                if (!finalWidth || !finalHeight) {
-                    // Fall back to actual rendered dimensions
-                    finalWidth = dimensions.rect.width || 100;
-                    finalHeight = dimensions.rect.height || 100;
-                }
+            // Add temporary visual feedback
+            this.addSelectionIndicator(element, id);
 
-                // Apply dimensions
-                if (isResponsive) {
-                    if (typeof finalWidth === 'string' && finalWidth.endsWith('%')) {
-                        svg.style.width = finalWidth;
-                        svg.style.height = 'auto';
-                    } else {
-                        // If we couldn't calculate percentage, maintain aspect ratio
-                        svg.style.width = '100%';
-                        svg.style.height = 'auto';
-                    }
-                } else {
-                    svg.style.width = `${finalWidth}px`;
-                    svg.style.height = `${finalHeight}px`;
-                }
+            // Add to selection array
+            const item = {
+                element: element,
+                id: id,
+                locator: Locator.create(element),
+                snapshot: null,
+                detached: false,
+                title: '',
+                note: ''
+            };
+            this.selectedElements.push(item);
+            this.scheduleSnapshot(item);
 
-                // Ensure viewBox exists
-                if (!dimensions.viewBox && finalWidth && finalHeight) {
-                    svg.setAttribute('viewBox', `0 0 ${finalWidth} ${finalHeight}`);
-                }
+            // Update the selection panel
+            if (!options.batch) {
+                UIManager.updateSelectionPanel(this.selectedElements);
+                this.saveSelections();
+            }
 
-                // Ensure preserveAspectRatio is set appropriately
-                if (!svg.hasAttribute('preserveAspectRatio')) {
-                    svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
-                }
+            return true;
+        },
 
-                // Process any nested SVG elements
-                svg.querySelectorAll('svg').forEach(nestedSvg => {
-                    this.processSVG(nestedSvg);
-                });
+        /**
+         * Adds several elements to the selection, skipping those already selected
+         * @param {Array} elements - The elements to add, in the order they should appear
+         * @returns {Object} - Counts of elements added and of elements left out because of bulkAddLimit
+         */
+        addElements(elements) {
+            const newElements = elements.filter(element => this.findElementInSelection(element) === -1);
+            const skipped = Math.max(0, newElements.length - this.bulkAddLimit);
 
-                // Process any image elements
-                svg.querySelectorAll('image').forEach(image => {
-                    const href = image.getAttribute('href') || image.getAttribute('xlink:href');
-                    if (href) {
-                        image.setAttribute('href', URLUtils.toAbsoluteUrl(href));
-                    }
-                });
+            let added = 0;
+            newElements.slice(0, this.bulkAddLimit).forEach(element => {
+                if (this.addElementToSelection(element, { batch: true })) added++;
+            });
 
-                // For debugging
-                console.debug('SVG processed:', {
-                    isResponsive,
-                    dimensions,
-                    finalWidth,
-                    finalHeight
-                });
+            // The panel and the saved copy cover the whole selection, so they are refreshed once
+            if (added > 0) {
+                UIManager.updateSelectionPanel(this.selectedElements);
+                this.saveSelections();
+            }
 
-                // Enforce maximum dimensions of 40x40 pixels for all SVGs
-                const maxSize = 40;
+            return { added, skipped };
+        },
 
-                // Get the current dimensions (either calculated or from the element)
-                let currentWidth = parseFloat(svg.style.width) || finalWidth || dimensions.rect.width || 40;
-                let currentHeight = parseFloat(svg.style.height) || finalHeight || dimensions.rect.height || 40;
+        /**
+         * Adds a visual indicator to a selected element
+         * @param {Element} element - The element to mark
+         * @param {string} id - Unique ID for the element
+         */
+        addSelectionIndicator(element, id) {
+            // Create indicator
+            const indicator = document.createElement('div');
+            indicator.className = 'element-highlighter-indicator element-highlighter-indicator-' + id;
+            indicator.dataset.forElement = id;
+            indicator.style.position = 'fixed';  // Use fixed positioning to follow viewport
+            this.positionBox(indicator, Frames.getRect(element));
+            indicator.style.transition = 'all 0.05s ease';  // Smooth transition for scrolling
+            indicator.style.border = `2px solid ${Settings.get('selectionColor')}`;
+            indicator.style.pointerEvents = 'none';
+            indicator.style.zIndex = '9998';
+            indicator.style.boxSizing = 'border-box';
+            indicator.style.willChange = 'transform, top, left, width, height'; // Optimization hint
 
-                // Remove any units if present
-                if (typeof currentWidth === 'string') {
-                    currentWidth = parseFloat(currentWidth);
-                }
-                if (typeof currentHeight === 'string') {
-                    currentHeight = parseFloat(currentHeight);
+            // Store reference to the element for updates
+            indicator.targetElement = element;
+
+            // Add number badge
+            const badge = document.createElement('div');
+            badge.style.position = 'absolute';
+            badge.style.top = '-10px';
+            badge.style.right = '-10px';
+            badge.style.transform = 'translateZ(0)';  // Hardware acceleration
+            badge.style.willChange = 'transform';     // Hint for browser optimization
+            badge.className = 'element-highlighter-badge';
+            badge.style.width = '20px';
+            badge.style.height = '20px';
+            badge.style.borderRadius = '50%';
+            badge.style.backgroundColor = Settings.get('selectionColor');
+            badge.style.color = 'white';
+            badge.style.display = 'flex';
+            badge.style.justifyContent = 'center';
+            badge.style.alignItems = 'center';
+            badge.style.fontSize = '12px';
+            badge.style.fontWeight = 'bold';
+            badge.textContent = this.selectedElements.length + 1;
+
+            indicator.appendChild(badge);
+            document.body.appendChild(indicator);
+            this.indicators.set(id, indicator);
+            this.createEdgeArrow(id);
+            this.scheduleLayout();
+
+            // Observe the element for size/position changes
+            if (this.resizeObserver) {
+                try {
+                    this.resizeObserver.observe(element);
+                } catch (e) {
+                    console.warn('Failed to observe element:', e);
                 }
+            }
+        },
 
-                // Calculate new dimensions while preserving aspect ratio
-                let newWidth, newHeight;
-                const aspectRatio = currentWidth / currentHeight;
+        /**
+         * Remove an element from the selection by index
+         * @param {number} index - Index of the element in the selectedElements array
+         */
+        removeElementFromSelection(index) {
+            if (index < 0 || index >= this.selectedElements.length) return;
 
-                if (currentWidth > maxSize || currentHeight > maxSize) {
-                    if (aspectRatio > 1) {
-                        // Wider than tall
-                        newWidth = maxSize;
-                        newHeight = maxSize / aspectRatio;
-                    } else {
-                        // Taller than wide or square
-                        newHeight = maxSize;
-                        newWidth = maxSize * aspectRatio;
-                    }
+            // Get element ID
+            const id = this.selectedElements[index].id;
 
-                    // Apply the size restriction
-                    svg.style.width = `${newWidth}px`;
-                    svg.style.height = `${newHeight}px`;
-                    svg.style.maxWidth = `${maxSize}px`;
-                    svg.style.maxHeight = `${maxSize}px`;
+            // Unobserve the element if using ResizeObserver
+            if (this.resizeObserver) {
+                try {
+                    this.resizeObserver.unobserve(this.selectedElements[index].element);
+                } catch (e) {
+                    // Element might already be gone from DOM
                 }
+            }
 
-            } catch (e) {
-                console.error('SVG processing failed:', e);
+            // Remove indicator
+            const indicator = this.indicators.get(id);
+            if (indicator) {
+                indicator.remove();
+                this.indicators.delete(id);
+            }
+            const arrow = this.edgeArrows.get(id);
+            if (arrow) {
+                arrow.remove();
+                this.edgeArrows.delete(id);
             }
 
-            return svg;
+            // Remove from array
+            this.selectedElements.splice(index, 1);
+            this.saveSelections();
+
+            // Update remaining indicators (badge numbers)
+            this.updateBadgeNumbers();
+
+            // Update the selection panel
+            UIManager.updateSelectionPanel(this.selectedElements);
         },
 
         /**
-         * Processes images in an element to make them absolute
-         * @param {Element} element - The element to process
-         * @returns {Element} - The processed element
+         * Moves an element to another position in the selection
+         * @param {number} fromIndex - Current index of the element
+         * @param {number} toIndex - Index the element should end up at
          */
-        processImages(element) {
-            const clone = element.cloneNode(true);
-            const backgroundImages = this.processExternalCSS();
-
-            // Process picture elements
-            clone.querySelectorAll('picture').forEach(picture => {
-                picture.querySelectorAll('source').forEach(source => {
-                    if (source.srcset) {
-                        const absoluteSrcset = source.srcset.split(',').map(src => {
-                            const [url, size] = src.trim().split(/\s+/);
-                            return `${URLUtils.toAbsoluteUrl(url)} ${size || ''}`.trim();
-                        }).join(', ');
-                        source.setAttribute('srcset', absoluteSrcset);
-                    }
-                });
-            });
+        moveElementInSelection(fromIndex, toIndex) {
+            if (fromIndex < 0 || fromIndex >= this.selectedElements.length) return;
+            toIndex = Math.max(0, Math.min(toIndex, this.selectedElements.length - 1));
+            if (fromIndex === toIndex) return;
 
-            // Process standard images
-            clone.querySelectorAll('img').forEach(img => {
-                // Preserve dimensions
-                if (img.width) img.setAttribute('width', img.width);
-                if (img.height) img.setAttribute('height', img.height);
+            const [item] = this.selectedElements.splice(fromIndex, 1);
+            this.selectedElements.splice(toIndex, 0, item);
 
-                // Convert src/srcset
-                if (img.src) img.src = URLUtils.toAbsoluteUrl(img.src);
-                if (img.srcset) {
-                    img.srcset = img.srcset.split(',').map(src => {
-                        const [url, size] = src.trim().split(/\s+/);
-                        return `${URLUtils.toAbsoluteUrl(url)} ${size || ''}`.trim();
-                    }).join(', ');
-                }
+            this.updateBadgeNumbers();
+            UIManager.updateSelectionPanel(this.selectedElements);
+            this.saveSelections();
+        },
 
-                // Add decoding attribute for performance
-                img.setAttribute('decoding', 'async');
-            });
+        /**
+         * Updates a selected element's title and note used in exports
+         * @param {number} index - Index of the element in the selectedElements array
+         * @param {Object} annotation - Object with title and/or note strings
+         */
+        annotateElement(index, annotation) {
+            const item = this.selectedElements[index];
+            if (!item) return;
 
-            // Process SVGs
-            clone.querySelectorAll('svg').forEach(svg => {
-                this.processSVG(svg);
-            });
+            if (annotation.title !== undefined) item.title = annotation.title.trim();
+            if (annotation.note !== undefined) item.note = annotation.note.trim();
+            this.saveSelections();
+        },
 
-            // Apply background images from external CSS
-            backgroundImages.forEach((imageUrl, selector) => {
-                try {
-                    const elements = clone.querySelectorAll(selector);
-                    elements.forEach(el => {
-                        el.style.backgroundImage = `url('${imageUrl}')`;
-                    });
-                } catch (e) {
-                    // Skip invalid selectors
+        /**
+         * Gets the export annotations of the selection, in selection order
+         * Elements that left the page also get the locator and page rectangle they last had, since
+         * neither can be read from their snapshot
+         * @returns {Array} - Array of { title, note } objects, with locator and rect for detached elements
+         */
+        getAnnotations() {
+            return this.selectedElements.map(item => {
+                const annotation = {
+                    title: item.title,
+                    note: item.note
+                };
+                if (!ShadowDOM.isInDocument(item.element)) {
+                    annotation.locator = item.locator;
+                    annotation.rect = item.lastRect || null;
                 }
+                return annotation;
             });
-
-            return clone;
         },
 
         /**
-         * Gets essential styles from an element
-         * @param {Element} element - The element to process
-         * @returns {string} - CSS string of essential styles
+         * Numbers the indicator badges in selection order
          */
-        getEssentialStyles(element) {
-            const computedStyle = window.getComputedStyle(element);
-            const essentialProperties = [
-                // Layout
-                'display', 'position', 'width', 'height', 'margin', 'padding',
-                // Text formatting
-                'font-size', 'font-weight', 'text-align', 'color',
-                // Backgrounds
-                'background-color',
-                // Borders
-                'border', 'border-radius',
-                // Tables
-                'border-collapse', 'border-spacing',
-                // Flexbox essentials
-                'flex-direction', 'justify-content', 'align-items'
-            ];
-
-            let styles = '';
-            essentialProperties.forEach(prop => {
-                const value = computedStyle.getPropertyValue(prop);
-                if (value && value !== 'none' && value !== 'normal' && value !== 'auto') {
-                    styles += `${prop}: ${value}; `;
+        updateBadgeNumbers() {
+            this.selectedElements.forEach((item, index) => {
+                const indicator = this.indicators.get(item.id);
+                const badge = indicator && indicator.querySelector('.element-highlighter-badge');
+                if (badge) {
+                    badge.textContent = index + 1;
+                }
+                const arrow = this.edgeArrows.get(item.id);
+                if (arrow) {
+                    arrow.dataset.badgeNumber = index + 1;
                 }
             });
+            // Visible edge arrows show the number as well
+            this.scheduleLayout();
+        },
 
-            return styles.trim();
+        /**
+         * Clears all selected elements
+         * @param {boolean} persist - Whether to also remove the saved selections of this page
+         */
+        clearSelection(persist = true) {
+            // Remove all indicators
+            this.indicators.forEach(indicator => indicator.remove());
+            this.indicators.clear();
+            this.edgeArrows.forEach(arrow => arrow.remove());
+            this.edgeArrows.clear();
+
+            // Disconnect ResizeObserver to stop observing all elements
+            if (this.resizeObserver) {
+                try {
+                    this.resizeObserver.disconnect();
+                } catch (e) {
+                    // Observer might already be disconnected
+                }
+            }
+
+            // Reinitialize ResizeObserver for future selections
+            this.initResizeObserver();
+
+            // Clear array
+            this.selectedElements = [];
+
+            if (persist) {
+                this.missingSelections = [];
+                this.saveSelections();
+            }
+
+            // Hide highlight overlay if visible
+            this.highlightOverlay.style.display = 'none';
+            this.highlightedElement = null;
+
+            // Update the selection panel
+            UIManager.updateSelectionPanel(this.selectedElements);
         },
 
         /**
-         * Processes styles in an element
-         * @param {Element} element - The element to process
-         * @returns {Object} - Object containing processed element and basic CSS
+         * Highlights a selected element from the panel
+         * @param {number} index - Index of the element to highlight
          */
-        processStyles(element) {
-            const clone = element.cloneNode(true);
+        highlightSelectedElement(index) {
+            if (index < 0 || index >= this.selectedElements.length) return;
 
-            // Process all elements
-            const allElements = clone.getElementsByTagName('*');
-            for (let el of allElements) {
-                const essentialStyles = this.getEssentialStyles(el);
-                if (essentialStyles) {
-                    // Combine with existing inline styles if present
-                    const existingStyle = el.getAttribute('style') || '';
-                    el.setAttribute('style', `${existingStyle}; ${essentialStyles}`.trim());
+            // If the element has been removed from the DOM, look for the node that replaced it
+            if (!ShadowDOM.isInDocument(this.selectedElements[index].element)) {
+                this.checkDetachedSelections();
+                if (this.selectedElements[index].detached) {
+                    UIManager.showNotification('Element is no longer on the page; its last snapshot will be exported');
+                    return;
                 }
             }
 
-            // Add basic CSS in <style> tag
-            const basicCSS = `
-                * { box-sizing: border-box; }
-                table { border-collapse: collapse; }
-                td, th { padding: 8px; }
-                img { max-width: 100%; height: auto; }
-            `;
+            const element = this.selectedElements[index].element;
 
-            return {
-                element: clone,
-                css: basicCSS
-            };
+            // Update highlight overlay with fixed positioning; the layout loop keeps it on the element
+            this.highlightOverlay.style.position = 'fixed';
+            this.positionBox(this.highlightOverlay, Frames.getRect(element));
+            this.highlightOverlay.style.display = 'block';
+            this.highlightOverlay.style.willChange = 'transform, top, left, width, height'; // Optimization hint
+
+            // Save reference to highlighted element
+            this.highlightedElement = element;
+
+            // Scroll element into view if needed
+            element.scrollIntoView({
+                behavior: 'smooth',
+                block: 'center'
+            });
         }
     };
 
     /**
-     * UI Module
-     * Handles user interface elements and interactions
+     * Area Selector Module
+     * Adds every element inside a rectangle drawn with Alt+drag to the selection
      */
-    const UIManager = {
+    const AreaSelector = {
         /**
-         * Creates and manages the overlay element
+         * Which elements of the area are selected
          */
-        overlay: null,
+        granularities: [
+            { value: 'blocks', label: 'Smallest blocks' },
+            { value: 'children', label: 'Children of common ancestor' }
+        ],
 
         /**
-         * The selection panel that displays selected elements
+         * Distance (px) the pointer has to move before a press becomes a drag
          */
-        selectionPanel: null,
+        dragThreshold: 5,
 
         /**
-         * The download button for downloading all selected elements
+         * Display values of elements that form a box of their own
          */
-        downloadButton: null,
+        blockDisplays: ['block', 'flow-root', 'flex', 'grid', 'list-item', 'table', 'inline-block', 'inline-flex', 'inline-grid', 'inline-table'],
 
         /**
-         * The clear button for clearing all selections
+         * Elements that count as blocks whatever their display value
          */
-        clearButton: null,
+        replacedElements: ['img', 'svg', 'picture', 'video', 'canvas', 'iframe', 'object', 'embed'],
 
         /**
-         * Creates the selection overlay
-         * @returns {HTMLElement} - The created overlay element
+         * The drag in progress: its document, listeners and start and end points
          */
-        createOverlay() {
-            const overlay = document.createElement('div');
-            overlay.style.position = 'fixed';
-            overlay.style.pointerEvents = 'none';
-            overlay.style.backgroundColor = 'rgba(0, 123, 255, 0.2)';
-            overlay.style.display = 'none';
-            overlay.style.zIndex = '10000';
-            document.body.appendChild(overlay);
-            this.overlay = overlay;
-            
-            // Add hierarchy level indicator
-            const indicator = document.createElement('div');
-            indicator.className = 'element-highlighter-hierarchy-indicator';
-            indicator.style.position = 'absolute';
-            indicator.style.top = '-25px';
-            indicator.style.right = '0';
-            indicator.style.backgroundColor = '#007bff';
-            indicator.style.color = 'white';
-            indicator.style.padding = '2px 6px';
-            indicator.style.borderRadius = '3px';
-            indicator.style.fontSize = '12px';
-            indicator.style.display = 'none';
-            overlay.appendChild(indicator);
-            this.hierarchyIndicator = indicator;
-            
-            return overlay;
-        },
+        drag: null,
 
         /**
-         * Creates the selection panel that shows selected elements
-         * @returns {HTMLElement} - The created selection panel
+         * The rectangle shown while dragging (created for each drag, so it uses the current colors)
          */
-        createSelectionPanel() {
-            // Create panel container
-            const panel = document.createElement('div');
-            panel.id = 'elementHighlighterPanel';
-            panel.style.position = 'fixed';
-            panel.style.top = '10px';
-            panel.style.right = '10px';
-            panel.style.width = '300px';
-            panel.style.maxHeight = '80vh';
-            panel.style.overflowY = 'auto';
-            panel.style.backgroundColor = '#fff';
-            panel.style.border = '1px solid #ccc';
-            panel.style.borderRadius = '5px';
-            panel.style.boxShadow = '0 2px 10px rgba(0, 0, 0, 0.1)';
-            panel.style.zIndex = '10001';
-            panel.style.padding = '10px';
-            panel.style.display = 'none';
-            panel.style.fontFamily = 'Arial, sans-serif';
-            panel.style.fontSize = '14px';
-
-            // Create header
-            const header = document.createElement('div');
-            header.style.display = 'flex';
-            header.style.justifyContent = 'space-between';
-            header.style.alignItems = 'center';
-            header.style.marginBottom = '10px';
-            header.style.padding = '5px 0';
-            header.style.borderBottom = '1px solid #eee';
-
-            const title = document.createElement('h3');
-            title.textContent = 'Selected Elements';
-            title.style.margin = '0';
-            title.style.fontSize = '16px';
-            title.style.fontWeight = 'bold';
-
-            // Create minimize button
-            const minimizeBtn = document.createElement('button');
-            minimizeBtn.textContent = '−';
-            minimizeBtn.style.background = 'none';
-            minimizeBtn.style.border = 'none';
-            minimizeBtn.style.fontSize = '16px';
-            minimizeBtn.style.cursor = 'pointer';
-            minimizeBtn.style.padding = '0 5px';
-            minimizeBtn.title = 'Minimize panel';
-
-            minimizeBtn.addEventListener('click', () => {
-                const content = panel.querySelector('#elementHighlighterPanelContent');
-                const buttonContainer = panel.querySelector('#elementHighlighterButtonContainer');
-
-                if (content.style.display === 'none') {
-                    content.style.display = 'block';
-                    buttonContainer.style.display = 'flex';
-                    minimizeBtn.textContent = '−';
-                    minimizeBtn.title = 'Minimize panel';
-                } else {
-                    content.style.display = 'none';
-                    buttonContainer.style.display = 'none';
-                    minimizeBtn.textContent = '+';
-                    minimizeBtn.title = 'Expand panel';
-                }
-            });
-
-            header.appendChild(title);
-            header.appendChild(minimizeBtn);
-            panel.appendChild(header);
-
-            // Create content container
-            const content = document.createElement('div');
-            content.id = 'elementHighlighterPanelContent';
-            content.style.marginBottom = '10px';
-            panel.appendChild(content);
-
-            // Create button container
-            const buttonContainer = document.createElement('div');
-            buttonContainer.id = 'elementHighlighterButtonContainer';
-            buttonContainer.style.display = 'flex';
-            buttonContainer.style.justifyContent = 'space-between';
-            buttonContainer.style.gap = '5px';
-
-            // Create download button
-            const downloadBtn = document.createElement('button');
-            downloadBtn.textContent = 'Download All';
-            downloadBtn.style.backgroundColor = '#4CAF50';
-            downloadBtn.style.color = 'white';
-            downloadBtn.style.border = 'none';
-            downloadBtn.style.padding = '8px 12px';
-            downloadBtn.style.borderRadius = '4px';
-            downloadBtn.style.cursor = 'pointer';
-            downloadBtn.style.flex = '1';
-            downloadBtn.style.fontWeight = 'bold';
-            this.downloadButton = downloadBtn;
-
-            // Create clear button
-            const clearBtn = document.createElement('button');
-            clearBtn.textContent = 'Clear All';
-            clearBtn.style.backgroundColor = '#f44336';
-            clearBtn.style.color = 'white';
-            clearBtn.style.border = 'none';
-            clearBtn.style.padding = '8px 12px';
-            clearBtn.style.borderRadius = '4px';
-            clearBtn.style.cursor = 'pointer';
-            clearBtn.style.flex = '1';
-            this.clearButton = clearBtn;
+        rectangle: null,
 
-            buttonContainer.appendChild(downloadBtn);
-            buttonContainer.appendChild(clearBtn);
-            panel.appendChild(buttonContainer);
+        /**
+         * Whether the click that ends a drag must be ignored
+         */
+        suppressClick: false,
 
-            // Make panel draggable
-            let isDragging = false;
-            let offsetX, offsetY;
+        /**
+         * Checks whether an area is being drawn
+         * @returns {boolean} - Whether a drag is in progress
+         */
+        isDragging() {
+            return !!this.drag;
+        },
 
-            header.style.cursor = 'move';
-            header.addEventListener('mousedown', (e) => {
-                if (e.target === minimizeBtn) return;
+        /**
+         * Gets the position of a document's viewport in the viewport of the top page
+         * @param {Document} doc - The page document or a same-origin frame document
+         * @returns {Object} - Offsets with top and left
+         */
+        getDocumentOffset(doc) {
+            const root = doc.documentElement;
+            const rect = root.getBoundingClientRect();
+            const topRect = Frames.getRect(root);
+            return {
+                top: topRect.top - rect.top,
+                left: topRect.left - rect.left
+            };
+        },
 
-                isDragging = true;
-                offsetX = e.clientX - panel.getBoundingClientRect().left;
-                offsetY = e.clientY - panel.getBoundingClientRect().top;
-            });
+        /**
+         * Builds the rectangle spanned by two points
+         * @param {Object} start - Point with x and y
+         * @param {Object} end - Point with x and y
+         * @returns {Object} - Rectangle with top, left, right, bottom, width and height
+         */
+        getArea(start, end) {
+            const left = Math.min(start.x, end.x);
+            const top = Math.min(start.y, end.y);
+            const width = Math.abs(end.x - start.x);
+            const height = Math.abs(end.y - start.y);
+            return {
+                top: top,
+                left: left,
+                right: left + width,
+                bottom: top + height,
+                width: width,
+                height: height
+            };
+        },
 
-            document.addEventListener('mousemove', (e) => {
-                if (!isDragging) return;
+        /**
+         * Starts drawing an area on Alt+mousedown
+         * @param {MouseEvent} e - The mouse event
+         * @returns {boolean} - Whether the event started a drag
+         */
+        handleMouseDown(e) {
+            if (!Highlighter.isActive || Highlighter.isDownloading || !e.altKey || e.button !== 0) return false;
+            if (Highlighter.isOwnUI(e.target)) return false;
+
+            this.cancel();
+
+            const doc = e.target.ownerDocument || document;
+            const offset = this.getDocumentOffset(doc);
+            const start = { x: e.clientX + offset.left, y: e.clientY + offset.top };
+
+            // The drag belongs to the document it started in, so framed content is measured in its frame
+            this.drag = {
+                doc: doc,
+                offset: offset,
+                start: start,
+                end: start,
+                moved: false,
+                onMove: event => this.handleMouseMove(event),
+                onUp: event => this.handleMouseUp(event)
+            };
+            doc.addEventListener('mousemove', this.drag.onMove, true);
+            doc.addEventListener('mouseup', this.drag.onUp, true);
+            return true;
+        },
 
-                panel.style.left = (e.clientX - offsetX) + 'px';
-                panel.style.top = (e.clientY - offsetY) + 'px';
-                panel.style.right = 'auto';
-            });
+        /**
+         * Follows the pointer while drawing an area
+         * @param {MouseEvent} e - The mouse event
+         */
+        handleMouseMove(e) {
+            if (!this.drag) return;
+            e.preventDefault();
+            e.stopPropagation();
 
-            document.addEventListener('mouseup', () => {
-                isDragging = false;
-            });
+            const { start, offset } = this.drag;
+            this.drag.end = { x: e.clientX + offset.left, y: e.clientY + offset.top };
+            if (!this.drag.moved && Math.hypot(this.drag.end.x - start.x, this.drag.end.y - start.y) < this.dragThreshold) return;
 
-            document.body.appendChild(panel);
-            this.selectionPanel = panel;
+            if (!this.drag.moved) {
+                this.drag.moved = true;
+                // The hover overlay would only get in the way of the rectangle
+                UIManager.overlay.style.display = 'none';
+            }
 
-            return panel;
+            if (!this.rectangle) this.rectangle = this.createRectangle();
+            SelectionManager.positionBox(this.rectangle, this.getArea(start, this.drag.end));
         },
 
         /**
-         * Updates the selection panel with the current selected elements
-         * @param {Array} selectedElements - Array of selected elements
+         * Selects the elements of the drawn area when the mouse button is released
+         * @param {MouseEvent} e - The mouse event
          */
-        updateSelectionPanel(selectedElements) {
-            const content = this.selectionPanel.querySelector('#elementHighlighterPanelContent');
-            content.innerHTML = '';
+        handleMouseUp(e) {
+            if (!this.drag) return;
+            const drag = this.drag;
+            this.cancel();
+            if (!drag.moved) return;
 
-            if (selectedElements.length === 0) {
-                const emptyMessage = document.createElement('p');
-                emptyMessage.textContent = 'No elements selected';
-                emptyMessage.style.color = '#999';
-                emptyMessage.style.textAlign = 'center';
-                emptyMessage.style.padding = '10px';
-                content.appendChild(emptyMessage);
+            e.preventDefault();
+            e.stopPropagation();
 
-                // Hide the panel if there are no selected elements and highlighter is not active
-                if (!Highlighter.isActive) {
-                    this.selectionPanel.style.display = 'none';
-                }
+            // The click that follows the drag must not download the element under the pointer
+            this.suppressClick = true;
+            setTimeout(() => {
+                this.suppressClick = false;
+            }, 0);
 
-                return;
-            }
+            if (!Highlighter.isActive) return;
+            UIManager.overlay.style.display = 'block';
+            this.selectArea(drag.doc, this.getArea(drag.start, drag.end), drag.offset);
+        },
 
-            // Create element list
-            const list = document.createElement('ul');
-            list.style.listStyle = 'none';
-            list.style.padding = '0';
-            list.style.margin = '0';
+        /**
+         * Ends the drag in progress without selecting anything
+         */
+        cancel() {
+            if (this.drag) {
+                this.drag.doc.removeEventListener('mousemove', this.drag.onMove, true);
+                this.drag.doc.removeEventListener('mouseup', this.drag.onUp, true);
+                this.drag = null;
+            }
+            if (this.rectangle) {
+                this.rectangle.remove();
+                this.rectangle = null;
+            }
+        },
 
-            selectedElements.forEach((item, index) => {
-                const listItem = document.createElement('li');
-                listItem.style.padding = '8px';
-                listItem.style.borderBottom = '1px solid #eee';
-                listItem.style.display = 'flex';
-                listItem.style.justifyContent = 'space-between';
-                listItem.style.alignItems = 'center';
+        /**
+         * Checks whether a click ends a drag, in which case it must be ignored
+         * @returns {boolean} - Whether the click should be ignored
+         */
+        consumeClick() {
+            if (!this.suppressClick) return false;
+            this.suppressClick = false;
+            return true;
+        },
 
-                // Create element info
-                const elementInfo = document.createElement('div');
-                elementInfo.style.flex = '1';
-                elementInfo.style.overflow = 'hidden';
-                elementInfo.style.textOverflow = 'ellipsis';
-                elementInfo.style.whiteSpace = 'nowrap';
+        /**
+         * Creates the rectangle shown while dragging
+         * @returns {Element} - The rectangle
+         */
+        createRectangle() {
+            const highlightColor = Settings.get('highlightColor');
+            const rectangle = document.createElement('div');
+            rectangle.className = 'element-highlighter-ui element-highlighter-area';
+            rectangle.style.position = 'fixed';
+            rectangle.style.border = `1px dashed ${highlightColor}`;
+            rectangle.style.backgroundColor = UIManager.colorWithAlpha(highlightColor, 0.1);
+            rectangle.style.boxSizing = 'border-box';
+            rectangle.style.pointerEvents = 'none';
+            rectangle.style.zIndex = '10000';
+            document.body.appendChild(rectangle);
+            return rectangle;
+        },
 
-                const tagName = document.createElement('span');
-                tagName.textContent = item.element.tagName.toLowerCase();
-                tagName.style.fontWeight = 'bold';
-                tagName.style.color = '#0066cc';
+        /**
+         * Checks whether an element forms a box of its own
+         * @param {Element} element - The element
+         * @returns {boolean} - Whether the element is a block, inline block or replaced element
+         */
+        isBlock(element) {
+            if (this.replacedElements.includes(element.localName)) return true;
+            const display = element.ownerDocument.defaultView.getComputedStyle(element).display;
+            return this.blockDisplays.includes(display);
+        },
 
-                const className = item.element.className ? `.${item.element.className.split(' ')[0]}` : '';
-                const idName = item.element.id ? `#${item.element.id}` : '';
+        /**
+         * Finds the visible elements of a document that lie entirely inside an area
+         * @param {Document} doc - The document to search
+         * @param {Object} area - Rectangle in the document's viewport coordinates
+         * @returns {Array} - The elements, in document order
+         */
+        findElementsInArea(doc, area) {
+            const view = doc.defaultView;
+            return ShadowDOM.getDescendants(doc.body).filter(element => {
+                if (Highlighter.isOwnUI(element)) return false;
 
-                const elementDesc = document.createElement('span');
-                elementDesc.textContent = `${idName}${className}`;
-                elementDesc.style.color = '#666';
-                elementDesc.style.fontSize = '12px';
+                const rect = element.getBoundingClientRect();
+                return rect.width > 0 && rect.height > 0 &&
+                    rect.left >= area.left && rect.right <= area.right &&
+                    rect.top >= area.top && rect.bottom <= area.bottom;
+            }).filter(element => view.getComputedStyle(element).visibility !== 'hidden');
+        },
 
-                elementInfo.appendChild(tagName);
-                if (idName || className) {
-                    elementInfo.appendChild(document.createTextNode(' '));
-                    elementInfo.appendChild(elementDesc);
+        /**
+         * Picks the elements to select from the elements inside an area
+         * @param {Array} elements - Elements inside the area, in document order
+         * @param {string} granularity - 'blocks' or 'children' (see granularities)
+         * @returns {Array} - The elements to select, in document order
+         */
+        pickElements(elements, granularity) {
+            const inside = new Set(elements);
+            const outermost = elements.filter(element => {
+                for (let parent = ShadowDOM.getParent(element); parent; parent = ShadowDOM.getParent(parent)) {
+                    if (inside.has(parent)) return false;
                 }
+                return true;
+            });
 
-                // Create highlight button
-                const highlightBtn = document.createElement('button');
-                highlightBtn.innerHTML = '👁️';
-                highlightBtn.title = 'Highlight element';
-                highlightBtn.style.background = 'none';
-                highlightBtn.style.border = 'none';
-                highlightBtn.style.cursor = 'pointer';
-                highlightBtn.style.padding = '0 5px';
-                highlightBtn.style.fontSize = '14px';
-
-                highlightBtn.addEventListener('click', () => {
-                    SelectionManager.highlightSelectedElement(index);
-                });
-
-                // Create remove button
-                const removeBtn = document.createElement('button');
-                removeBtn.innerHTML = '✕';
-                removeBtn.title = 'Remove from selection';
-                removeBtn.style.background = 'none';
-                removeBtn.style.border = 'none';
-                removeBtn.style.cursor = 'pointer';
-                removeBtn.style.padding = '0 5px';
-                removeBtn.style.fontSize = '14px';
-                removeBtn.style.color = '#f44336';
+            if (granularity === 'children') return this.getCommonAncestorChildren(outermost);
 
-                removeBtn.addEventListener('click', () => {
-                    SelectionManager.removeElementFromSelection(index);
-                });
+            // Blocks that contain no other block of the area; areas holding only inline content keep it whole
+            const blocks = elements.filter(element => this.isBlock(element));
+            const containers = new Set();
+            blocks.forEach(block => {
+                for (let parent = ShadowDOM.getParent(block); parent && inside.has(parent); parent = ShadowDOM.getParent(parent)) {
+                    containers.add(parent);
+                }
+            });
+            const smallest = blocks.filter(block => !containers.has(block));
+            return smallest.length > 0 ? smallest : outermost;
+        },
 
-                listItem.appendChild(elementInfo);
-                listItem.appendChild(highlightBtn);
-                listItem.appendChild(removeBtn);
-                list.appendChild(listItem);
+        /**
+         * Gets the children of the closest common ancestor that lead to the given elements
+         * @param {Array} elements - Elements none of which contains another, in document order
+         * @returns {Array} - The children, in document order (the element itself if there is only one)
+         */
+        getCommonAncestorChildren(elements) {
+            if (elements.length < 2) return elements;
 
-                // Add hover effect
-                listItem.addEventListener('mouseenter', () => {
-                    listItem.style.backgroundColor = '#f5f5f5';
-                });
+            // Ancestors of the first element, closest first
+            const chain = [];
+            for (let parent = ShadowDOM.getParent(elements[0]); parent; parent = ShadowDOM.getParent(parent)) {
+                chain.push(parent);
+            }
 
-                listItem.addEventListener('mouseleave', () => {
-                    listItem.style.backgroundColor = '';
-                });
+            let depth = 0;
+            elements.slice(1).forEach(element => {
+                let node = ShadowDOM.getParent(element);
+                while (node && !chain.includes(node)) node = ShadowDOM.getParent(node);
+                depth = Math.max(depth, chain.indexOf(node));
             });
+            const ancestor = chain[depth];
 
-            content.appendChild(list);
-
-            // Show selection count in title
-            const title = this.selectionPanel.querySelector('h3');
-            title.textContent = `Selected Elements (${selectedElements.length})`;
-
-            // Show the panel if it's hidden
-            this.selectionPanel.style.display = 'block';
+            const children = [];
+            elements.forEach(element => {
+                let child = element;
+                while (ShadowDOM.getParent(child) !== ancestor) child = ShadowDOM.getParent(child);
+                if (!children.includes(child)) children.push(child);
+            });
+            return children;
         },
 
         /**
-         * Shows a notification message
-         * @param {string} message - The message to display
-         * @param {number} duration - How long to show the message (ms)
+         * Adds the elements of an area to the selection
+         * @param {Document} doc - The document the area was drawn in
+         * @param {Object} area - Rectangle in top-page viewport coordinates
+         * @param {Object} offset - Position of the document's viewport in the top page
          */
-        showNotification(message, duration = 2000) {
-            const div = document.createElement('div');
-            div.textContent = message;
-            div.style.position = 'fixed';
-            div.style.top = '10px';
-            div.style.right = '10px';
-            div.style.padding = '10px';
-            div.style.backgroundColor = '#333';
-            div.style.color = '#fff';
-            div.style.borderRadius = '5px';
-            div.style.zIndex = '10001';
-            document.body.appendChild(div);
-            setTimeout(() => document.body.removeChild(div), duration);
-        },
+        selectArea(doc, area, offset) {
+            const localArea = {
+                top: area.top - offset.top,
+                left: area.left - offset.left,
+                right: area.right - offset.left,
+                bottom: area.bottom - offset.top
+            };
 
-        /**
-         * Hides the selection panel
-         */
-        hideSelectionPanel() {
-            if (this.selectionPanel) {
-                this.selectionPanel.style.display = 'none';
+            const elements = this.pickElements(this.findElementsInArea(doc, localArea), Settings.get('areaGranularity'));
+            if (elements.length === 0) {
+                UIManager.showNotification('No elements found in the area');
+                return;
+            }
+
+            const { added, skipped } = SelectionManager.addElements(elements);
+            if (added === 0 && skipped === 0) {
+                UIManager.showNotification('All elements in the area are already selected');
+                return;
             }
+
+            UIManager.showNotification(`Added ${added} element${added === 1 ? '' : 's'} to selection` +
+                (skipped > 0 ? ` (${skipped} more left out, the limit is ${SelectionManager.bulkAddLimit})` : ''));
         }
     };
 
     /**
-     * Selection Manager Module
-     * Handles the management of selected elements
+     * Similar Selector Module
+     * Finds elements built like an example element (cards, results, comments), previews them and
+     * adds the accepted ones to the selection
      */
-    const SelectionManager = {
+    const SimilarSelector = {
         /**
-         * Array of selected elements with metadata
+         * Class names that only describe a passing state of an element
          */
-        selectedElements: [],
+        stateClasses: ['active', 'selected', 'current', 'hover', 'focus', 'focused', 'open', 'opened', 'expanded',
+            'collapsed', 'disabled', 'checked', 'visible', 'hidden', 'show', 'shown', 'first', 'last', 'odd', 'even'],
 
         /**
-         * The currently highlighted element from the selection panel
+         * Class names generated by CSS-in-JS libraries and build tools, which change between builds
          */
-        highlightedElement: null,
+        generatedClassPattern: /^(css|sc|jsx|emotion|svelte|styled)-|^_|(?=[a-z]*\d)(?=\d*[a-z])[a-z\d]{5,}/i,
 
         /**
-         * The current highlight overlay for selected elements
+         * Matching levels from loosest to tightest; the preview starts at defaultLevel
          */
-        highlightOverlay: null,
+        levels: [
+            { id: 'anywhere', label: 'same element anywhere on the page' },
+            { id: 'similarLists', label: 'same position in any list like this one' },
+            { id: 'list', label: 'same position in this list' },
+            { id: 'exact', label: 'same position in this list, all classes' }
+        ],
 
         /**
-         * Handler for highlight scroll events
+         * Level the preview starts at
          */
-        highlightScrollHandler: null,
+        defaultLevel: 2,
 
         /**
-         * Map to store scroll handlers for each indicator
-         * This will help us manage multiple indicator positions
+         * The preview while it is shown: example element, selectors per level, current level and matches
          */
-        indicatorScrollHandlers: new Map(),
+        preview: null,
 
         /**
-         * Observer for tracking element position changes
-         * (in case of dynamic page content)
+         * Preview boxes of the matches, with their element and whether they are excluded
          */
-        resizeObserver: null,
+        previews: [],
 
         /**
-         * MutationObserver for tracking DOM changes
+         * The bar with the preview's controls
          */
-        mutationObserver: null,
-        
+        controls: null,
+
         /**
-         * Detected scroll containers on the page
+         * Checks whether a preview is shown
+         * @returns {boolean} - Whether the user is choosing similar elements
          */
-        scrollContainers: [],
+        isPreviewing() {
+            return !!this.preview;
+        },
 
         /**
-         * Initializes the selection manager
+         * Gets the classes of an element that are likely to stay the same across items and page loads
+         * @param {Element} element - The element
+         * @returns {Array} - The class names
          */
-        init() {
-            // Create the highlight overlay for selection panel highlighting
-            this.createHighlightOverlay();
-            // Initialize resize observer
-            this.initResizeObserver();
-            // Initialize mutation observer
-            this.initMutationObserver();
-            // Detect scroll containers
-            this.detectScrollContainers();
+        getStableClasses(element) {
+            return Array.from(element.classList).filter(name => (
+                !this.stateClasses.includes(name) &&
+                !/^(is|has)-/.test(name) &&
+                !this.generatedClassPattern.test(name)
+            ));
         },
 
         /**
-         * Creates the highlight overlay for selection panel interactions
+         * Builds the selector step for one element
+         * @param {Element} element - The element
+         * @param {Object} options - allClasses to keep unstable classes too, position to add :nth-of-type
+         * @returns {string} - The selector step
          */
-        createHighlightOverlay() {
-            const overlay = document.createElement('div');
-            overlay.style.position = 'fixed';
-            overlay.style.pointerEvents = 'none';
-            overlay.style.transition = 'all 0.05s ease';  // Smooth transition when scrolling
-            overlay.style.backgroundColor = 'rgba(255, 193, 7, 0.3)';
-            overlay.style.border = '2px dashed #FFC107';
-            overlay.style.display = 'none';
-            overlay.style.zIndex = '9999';
-            overlay.style.willChange = 'transform, top, left, width, height'; // Optimization hint
-            document.body.appendChild(overlay);
-            this.highlightOverlay = overlay;
+        getStep(element, options = {}) {
+            const classes = options.allClasses ? Array.from(element.classList) : this.getStableClasses(element);
+            let step = CSS.escape(element.localName) + classes.map(name => `.${CSS.escape(name)}`).join('');
+
+            // The parent node, since top-level children of a shadow root have no parent element
+            if (options.position && element.parentNode) {
+                const sameTag = Array.from(element.parentNode.children).filter(child => child.localName === element.localName);
+                if (sameTag.length > 1) step += `:nth-of-type(${sameTag.indexOf(element) + 1})`;
+            }
+            return step;
         },
 
         /**
-         * Initialize the ResizeObserver for tracking element movements
+         * Finds the repeating item around an element: the closest ancestor (or the element itself)
+         * with a sibling of the same tag that shares its stable classes
+         * @param {Element} element - The example element
+         * @returns {Element} - The item, or the element itself if nothing repeats
          */
-        initResizeObserver() {
-            if (typeof ResizeObserver !== 'undefined') {
-                this.resizeObserver = new ResizeObserver(entries => {
-                    this.updateAllIndicatorPositions();
-                });
-            } else {
-                console.warn('ResizeObserver not supported in this browser. Some element tracking features may not work correctly.');
+        findRepeatingItem(element) {
+            for (let item = element; item && item.parentElement; item = item.parentElement) {
+                if (item === item.ownerDocument.body) break;
+
+                const classes = this.getStableClasses(item);
+                const hasSimilarSibling = Array.from(item.parentElement.children).some(sibling => (
+                    sibling !== item &&
+                    sibling.localName === item.localName &&
+                    classes.every(name => sibling.classList.contains(name))
+                ));
+                if (hasSimilarSibling) return item;
             }
+            return element;
         },
 
         /**
-         * Initialize the MutationObserver for tracking DOM changes
+         * Builds the selectors of all levels for an example element
+         * @param {Element} element - The example element
+         * @returns {Array} - Selector strings, one per entry of levels
          */
-        initMutationObserver() {
-            if (typeof MutationObserver !== 'undefined') {
-                this.mutationObserver = new MutationObserver(mutations => {
-                    // Only update on significant changes to avoid performance issues
-                    const significantChange = mutations.some(mutation => 
-                        mutation.type === 'childList' && 
-                        (mutation.addedNodes.length > 0 || mutation.removedNodes.length > 0) ||
-                        mutation.type === 'attributes' && 
-                        (mutation.attributeName === 'style' || mutation.attributeName === 'class')
-                    );
-                    
-                    if (significantChange) {
-                        // Re-detect scroll containers as they might have changed
-                        this.detectScrollContainers();
-                        // Update positions of all indicators
-                        this.updateAllIndicatorPositions();
-                    }
-                });
-                
-                // Start observing the document with configured parameters
-                this.mutationObserver.observe(document.body, {
-                    childList: true,
-                    subtree: true,
-                    attributes: true,
-                    attributeFilter: ['style', 'class']
-                });
+        buildSelectors(element) {
+            const item = this.findRepeatingItem(element);
+            const parent = item.parentElement;
+
+            // Elements between the item and the example, item first
+            const path = [];
+            for (let node = element; node !== item; node = node.parentElement) path.unshift(node);
+
+            const itemStep = this.getStep(item);
+            const innerPath = options => path.map(node => this.getStep(node, options)).join(' > ');
+            const join = (...parts) => parts.filter(Boolean).join(' > ');
+            const parentPath = parent ? Locator.getCssPath(parent) : '';
+
+            return [
+                // The item and the example with their classes, wherever they are
+                path.length > 0 ? `${itemStep} ${this.getStep(element)}` : itemStep,
+                // The same structure under any parent built like this one
+                join(parent ? this.getStep(parent) : '', itemStep, innerPath({})),
+                // The same structure under this parent, at the same position inside each item
+                join(parentPath, itemStep, innerPath({ position: true })),
+                join(parentPath, this.getStep(item, { allClasses: true }), innerPath({ position: true, allClasses: true }))
+            ];
+        },
+
+        /**
+         * Finds the elements matching a selector in the example's document or shadow root
+         * Matches inside other matches are left out, since exporting them would repeat content
+         * @param {string} selector - The selector
+         * @param {Element} example - The example element (always part of the result)
+         * @returns {Array} - The matches, in document order
+         */
+        findMatches(selector, example) {
+            let matches;
+            try {
+                matches = Array.from(example.getRootNode().querySelectorAll(selector));
+            } catch (e) {
+                console.warn('Invalid similar element selector:', selector, e);
+                matches = [];
+            }
+
+            if (!matches.includes(example)) matches.push(example);
+            matches = matches.filter(element => (
+                element === example || (!Highlighter.isOwnUI(element) && element.getClientRects().length > 0)
+            ));
+
+            const matchSet = new Set(matches);
+            return matches.filter(element => {
+                for (let parent = element.parentElement; parent; parent = parent.parentElement) {
+                    if (matchSet.has(parent)) return false;
+                }
+                return true;
+            });
+        },
+
+        /**
+         * Starts choosing elements similar to an example
+         * @param {Element} element - The example element
+         */
+        start(element) {
+            if (!element) return;
+            this.cancel();
+
+            this.preview = {
+                example: element,
+                selectors: this.buildSelectors(element),
+                level: this.defaultLevel,
+                excluded: new Set()
+            };
+            this.controls = this.createControls();
+            this.showLevel();
+        },
+
+        /**
+         * Shows the matches of the current level
+         */
+        showLevel() {
+            const { selectors, level, example, excluded } = this.preview;
+            const matches = this.findMatches(selectors[level], example);
+
+            this.clearPreviewBoxes();
+            matches.slice(0, SelectionManager.bulkAddLimit).forEach(element => {
+                const box = this.createPreviewBox(element);
+                this.previews.push({ element: element, box: box });
+                this.updatePreviewBox(box, excluded.has(element));
+            });
+            this.preview.matches = matches;
+
+            this.updateControls();
+            SelectionManager.scheduleLayout();
+        },
+
+        /**
+         * Moves to a looser or tighter level
+         * @param {number} direction - -1 for looser, 1 for tighter
+         */
+        changeLevel(direction) {
+            if (!this.preview) return;
+
+            // Skip levels that produce the same selector as the current one
+            const { selectors } = this.preview;
+            let level = this.preview.level + direction;
+            while (level >= 0 && level < selectors.length && selectors[level] === selectors[this.preview.level]) {
+                level += direction;
+            }
+            if (level < 0 || level >= selectors.length) {
+                UIManager.showNotification(direction < 0 ? 'Already at the loosest match' : 'Already at the tightest match');
+                return;
+            }
+
+            this.preview.level = level;
+            this.showLevel();
+        },
+
+        /**
+         * Excludes a match from the elements to add, or includes it again
+         * @param {Element} element - The matched element
+         */
+        toggleExcluded(element) {
+            const { excluded } = this.preview;
+            if (excluded.has(element)) {
+                excluded.delete(element);
             } else {
-                console.warn('MutationObserver not supported in this browser. Dynamic content tracking may not work correctly.');
+                excluded.add(element);
             }
+
+            const preview = this.previews.find(item => item.element === element);
+            if (preview) this.updatePreviewBox(preview.box, excluded.has(element));
+            this.updateControls();
         },
-        
+
         /**
-         * Detects and tracks scrollable containers on the page
+         * Gets the matches that will be added
+         * @returns {Array} - The matches of the current level that are not excluded, in document order
          */
-        detectScrollContainers() {
-            // Clear previous scroll containers
-            this.scrollContainers.forEach(container => {
-                if (container !== window && container.removeEventListener) {
-                    container.removeEventListener('scroll', this.updateAllIndicatorPositions.bind(this));
-                }
-            });
-            
-            this.scrollContainers = [window]; // Always include window
-            
-            // Find all scrollable elements
-            const potentialContainers = document.querySelectorAll('*');
-            potentialContainers.forEach(el => {
-                const style = window.getComputedStyle(el);
-                const isScrollable = (
-                    (style.overflow === 'auto' || style.overflow === 'scroll' ||
-                     style.overflowY === 'auto' || style.overflowY === 'scroll') &&
-                    // Only consider elements with actual content that can scroll
-                    (el.scrollHeight > el.clientHeight || el.scrollWidth > el.clientWidth)
-                );
-                
-                if (isScrollable) {
-                    this.scrollContainers.push(el);
-                    // Attach scroll listener to this container
-                    el.addEventListener('scroll', this.updateAllIndicatorPositions.bind(this), { passive: true });
-                }
-            });
-            
-            console.debug('Detected scrollable containers:', this.scrollContainers.length);
+        getAcceptedElements() {
+            if (!this.preview) return [];
+            return this.preview.matches.filter(element => !this.preview.excluded.has(element));
         },
 
         /**
-         * Find an element in the selection
-         * @param {Element} element - The element to find
-         * @returns {number} - The index of the element, or -1 if not found
+         * Adds the accepted matches to the selection and ends the preview
          */
-        findElementInSelection(element) {
-            // First try exact match (fastest)
-            const exactMatch = this.selectedElements.findIndex(item => item.element === element);
-            if (exactMatch !== -1) return exactMatch;
-            
-            // Then check if the element might be the same but a different reference
-            // This handles cases where DOM navigation created new references to the same visual element
-            return this.selectedElements.findIndex(item => {
-                // Check if elements have the same tag name, id, and similar position
-                if (item.element.tagName !== element.tagName) return false;
-                
-                // Check if they have the same ID (if any)
-                if (item.element.id && element.id && item.element.id === element.id) return true;
-                
-                // Check position and dimensions
-                const rect1 = item.element.getBoundingClientRect();
-                const rect2 = element.getBoundingClientRect();
-                
-                // If rectangles overlap significantly, likely the same element
-                const overlap = !(
-                    rect1.right < rect2.left || 
-                    rect1.left > rect2.right || 
-                    rect1.bottom < rect2.top || 
-                    rect1.top > rect2.bottom
-                );
-                
-                // If there's significant overlap AND same tag, it's likely the same visual element
-                return overlap && Math.abs(rect1.width - rect2.width) < 5 && Math.abs(rect1.height - rect2.height) < 5;
-            });
+        accept() {
+            const elements = this.getAcceptedElements();
+            this.cancel();
+
+            const { added, skipped } = SelectionManager.addElements(elements);
+            UIManager.showNotification(`Added ${added} similar element${added === 1 ? '' : 's'} to selection` +
+                (skipped > 0 ? ` (${skipped} more left out, the limit is ${SelectionManager.bulkAddLimit})` : ''));
         },
 
         /**
-         * Add an element to the selection
-         * @param {Element} element - The element to add
-         * @returns {boolean} - Whether the element was added successfully
+         * Ends the preview without adding anything
          */
-        addElementToSelection(element) {
-            // Check if element already exists in selection
-            const exists = this.findElementInSelection(element) !== -1;
-            if (exists) {
-                UIManager.showNotification('Element already selected');
-                return false;
+        cancel() {
+            this.clearPreviewBoxes();
+            if (this.controls && this.controls.parentNode) {
+                this.controls.parentNode.removeChild(this.controls);
             }
+            this.controls = null;
+            this.preview = null;
+        },
 
-            // Generate a unique ID for the element
-            const id = `element-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
-
-            // Add temporary visual feedback
-            this.addSelectionIndicator(element, id);
+        /**
+         * Handles a keyboard action while the preview is shown
+         * @param {string} action - The Keymap action id
+         * @returns {boolean} - Whether the preview used the action
+         */
+        handleAction(action) {
+            switch (action) {
+                case 'exit':
+                    this.cancel();
+                    UIManager.showNotification('Similar selection cancelled');
+                    return true;
+                case 'select':
+                case 'addToSelection':
+                    this.accept();
+                    return true;
+                case 'parent':
+                    this.changeLevel(-1);
+                    return true;
+                case 'child':
+                    this.changeLevel(1);
+                    return true;
+                default:
+                    return false;
+            }
+        },
 
-            // Add to selection array
-            this.selectedElements.push({
-                element: element,
-                id: id
+        /**
+         * Removes the preview boxes
+         */
+        clearPreviewBoxes() {
+            this.previews.forEach(({ box }) => {
+                if (box.parentNode) box.parentNode.removeChild(box);
             });
+            this.previews = [];
+        },
 
-            // Update the selection panel
-            UIManager.updateSelectionPanel(this.selectedElements);
+        /**
+         * Creates the preview box of a match; clicking it excludes or includes the match
+         * @param {Element} element - The matched element
+         * @returns {Element} - The box, positioned by the selection manager's layout loop
+         */
+        createPreviewBox(element) {
+            const box = document.createElement('div');
+            box.className = 'element-highlighter-ui element-highlighter-similar-preview';
+            box.title = 'Click to exclude or include this element';
+            box.style.position = 'fixed';
+            box.style.boxSizing = 'border-box';
+            box.style.cursor = 'pointer';
+            box.style.zIndex = '9999';
+            SelectionManager.positionBox(box, Frames.getRect(element));
+
+            box.addEventListener('click', e => {
+                e.preventDefault();
+                e.stopPropagation();
+                this.toggleExcluded(element);
+            });
 
-            return true;
+            document.body.appendChild(box);
+            return box;
         },
 
         /**
-         * Adds a visual indicator to a selected element
-         * @param {Element} element - The element to mark
-         * @param {string} id - Unique ID for the element
+         * Styles a preview box for an included or excluded match
+         * @param {Element} box - The preview box
+         * @param {boolean} excluded - Whether the match is excluded
          */
-        addSelectionIndicator(element, id) {
-            // Calculate position
-            const rect = element.getBoundingClientRect();
-
-            // Create indicator
-            const indicator = document.createElement('div');
-            indicator.className = 'element-highlighter-indicator element-highlighter-indicator-' + id;
-            indicator.dataset.forElement = id;
-            indicator.style.position = 'fixed';  // Use fixed positioning to follow viewport
-            indicator.style.top = rect.top + 'px';
-            indicator.style.left = rect.left + 'px';
-            indicator.style.width = rect.width + 'px';
-            indicator.style.height = rect.height + 'px';
-            indicator.style.transition = 'all 0.05s ease';  // Smooth transition for scrolling
-            indicator.style.border = '2px solid #28a745';
-            indicator.style.pointerEvents = 'none';
-            indicator.style.zIndex = '9998';
-            indicator.style.boxSizing = 'border-box';
-            indicator.style.willChange = 'transform, top, left, width, height'; // Optimization hint
+        updatePreviewBox(box, excluded) {
+            const color = excluded ? '#f44336' : Settings.get('selectionColor');
+            box.style.border = `2px dashed ${color}`;
+            box.style.backgroundColor = UIManager.colorWithAlpha(color, excluded ? 0.25 : 0.1);
+        },
 
-            // Store reference to the element for updates
-            indicator.targetElement = element;
+        /**
+         * Creates the bar with the preview's controls
+         * @returns {Element} - The bar
+         */
+        createControls() {
+            const bar = document.createElement('div');
+            bar.className = 'element-highlighter-ui element-highlighter-similar-controls';
+            bar.style.position = 'fixed';
+            bar.style.top = '10px';
+            bar.style.left = '50%';
+            bar.style.transform = 'translateX(-50%)';
+            bar.style.display = 'flex';
+            bar.style.alignItems = 'center';
+            bar.style.gap = '6px';
+            bar.style.padding = '8px 10px';
+            bar.style.backgroundColor = '#333';
+            bar.style.color = '#fff';
+            bar.style.borderRadius = '5px';
+            bar.style.boxShadow = '0 2px 10px rgba(0, 0, 0, 0.3)';
+            bar.style.fontFamily = 'Arial, sans-serif';
+            bar.style.fontSize = '13px';
+            bar.style.zIndex = '10001';
+
+            const status = document.createElement('span');
+            status.className = 'element-highlighter-similar-status';
+            status.setAttribute('role', 'status');
+            status.setAttribute('aria-live', 'polite');
+            bar.appendChild(status);
+
+            const createButton = (text, title, color, onClick) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.title = title;
+                button.style.backgroundColor = color;
+                button.style.color = 'white';
+                button.style.border = 'none';
+                button.style.padding = '4px 8px';
+                button.style.borderRadius = '4px';
+                button.style.cursor = 'pointer';
+                button.addEventListener('click', e => {
+                    e.stopPropagation();
+                    onClick();
+                });
+                bar.appendChild(button);
+                return button;
+            };
 
-            // Add number badge
-            const badge = document.createElement('div');
-            badge.style.position = 'absolute';
-            badge.style.top = '-10px';
-            badge.style.right = '-10px';
-            badge.style.transform = 'translateZ(0)';  // Hardware acceleration
-            badge.style.willChange = 'transform';     // Hint for browser optimization
-            badge.className = 'element-highlighter-badge';
-            badge.style.width = '20px';
-            badge.style.height = '20px';
-            badge.style.borderRadius = '50%';
-            badge.style.backgroundColor = '#28a745';
-            badge.style.color = 'white';
-            badge.style.display = 'flex';
-            badge.style.justifyContent = 'center';
-            badge.style.alignItems = 'center';
-            badge.style.fontSize = '12px';
-            badge.style.fontWeight = 'bold';
-            badge.textContent = this.selectedElements.length + 1;
+            const keys = Keymap.getBindings();
+            createButton('Looser', `Match more elements (${keys.parent})`, '#555', () => this.changeLevel(-1));
+            createButton('Tighter', `Match fewer elements (${keys.child})`, '#555', () => this.changeLevel(1));
+            const addBtn = createButton('Add', `Add the highlighted matches to the selection (${keys.select})`, '#4CAF50', () => this.accept());
+            addBtn.className = 'element-highlighter-similar-add';
+            addBtn.style.fontWeight = 'bold';
+            createButton('Cancel', `Close without adding (${keys.exit})`, '#777', () => this.cancel());
 
-            indicator.appendChild(badge);
-            document.body.appendChild(indicator);
+            document.body.appendChild(bar);
+            return bar;
+        },
 
-            // Create throttled update function for better performance
-            const throttleMs = 16; // ~60fps
-            let lastUpdateTime = 0;
-            let pendingUpdate = false;
+        /**
+         * Updates the match count and level shown in the controls
+         */
+        updateControls() {
+            if (!this.controls || !this.preview) return;
+
+            const { matches, excluded, level } = this.preview;
+            const accepted = this.getAcceptedElements().length;
+            const hidden = Math.max(0, matches.length - this.previews.length);
+
+            this.controls.querySelector('.element-highlighter-similar-status').textContent =
+                `${matches.length} similar element${matches.length === 1 ? '' : 's'} (${this.levels[level].label})` +
+                (excluded.size > 0 ? `, ${excluded.size} excluded` : '') +
+                (hidden > 0 ? `, ${hidden} not shown` : '');
+            this.controls.querySelector('.element-highlighter-similar-add').textContent = `Add ${accepted}`;
+        }
+    };
 
-            const updateIndicatorPosition = () => {
-                const now = Date.now();
-                
-                // Skip if we updated very recently
-                if (now - lastUpdateTime < throttleMs) {
-                    if (!pendingUpdate) {
-                        pendingUpdate = true;
-                        setTimeout(() => {
-                            updateIndicatorPosition();
-                            pendingUpdate = false;
-                        }, throttleMs);
-                    }
-                    return;
-                }
-                
-                lastUpdateTime = now;
+    /**
+     * Recipes Module
+     * Saves selections as named recipes that can be re-applied on similar pages
+     */
+    const Recipes = {
+        /**
+         * Storage key holding all recipes
+         */
+        storageKey: 'recipes',
 
-                // Only update if element is still in the DOM
-                if (document.body.contains(element)) {
-                    const newRect = element.getBoundingClientRect();
-                    
-                    // Update position and dimensions
-                    indicator.style.top = newRect.top + 'px';
-                    indicator.style.left = newRect.left + 'px';
-                    indicator.style.width = newRect.width + 'px';
-                    indicator.style.height = newRect.height + 'px';
-                }
-            };
+        /**
+         * How long an automatic run waits for the recipe's elements to appear (ms)
+         */
+        autoRunTimeout: 10000,
 
-            // Observe the element for size/position changes
-            if (this.resizeObserver) {
-                try {
-                    this.resizeObserver.observe(element);
-                } catch (e) {
-                    console.warn('Failed to observe element:', e);
-                }
-            }
+        /**
+         * The page automatic recipes last ran on, so each page runs them only once
+         */
+        autoRunPageKey: null,
 
-            // Add scroll event listeners to all scroll containers
-            this.scrollContainers.forEach(container => {
-                if (container === window) {
-                    window.addEventListener('scroll', updateIndicatorPosition, { passive: true });
-                } else if (container.addEventListener) {
-                    container.addEventListener('scroll', updateIndicatorPosition, { passive: true });
-                }
-            });
+        /**
+         * Gets all saved recipes
+         * @returns {Array} - Array of recipe objects
+         */
+        getAll() {
+            // Recipes in another shape (e.g. written by an older version) are ignored
+            const recipes = GM_getValue(this.storageKey, []) || [];
+            return recipes.filter(recipe => recipe && Array.isArray(recipe.targets));
+        },
 
-            // Store scroll handler reference to remove it later
-            indicator.scrollHandler = updateIndicatorPosition;
-            this.indicatorScrollHandlers.set(id, updateIndicatorPosition);
+        /**
+         * Replaces all saved recipes
+         * @param {Array} recipes - Array of recipe objects
+         */
+        saveAll(recipes) {
+            GM_setValue(this.storageKey, recipes);
         },
 
         /**
-         * Update positions of all indicators based on their elements
-         * Called by ResizeObserver, MutationObserver, scroll events, and can be called manually
+         * Checks whether a URL matches a recipe's URL pattern
+         * @param {string} pattern - URL pattern where * matches any characters
+         * @param {string} url - The URL to test (defaults to the current page)
+         * @returns {boolean} - Whether the URL matches
          */
-        updateAllIndicatorPositions() {
-            // Use requestAnimationFrame for smoother updates
-            requestAnimationFrame(() => {
-                this.selectedElements.forEach(item => {
-                    const element = item.element;
-                    const id = item.id;
-                    const indicator = document.querySelector(`.element-highlighter-indicator[data-for-element="${id}"]`);
-    
-                    if (indicator && document.body.contains(element)) {
-                        const rect = element.getBoundingClientRect();
-    
-                        // Update position using fixed positioning 
-                        indicator.style.top = rect.top + 'px';
-                        indicator.style.left = rect.left + 'px';
-                        indicator.style.width = rect.width + 'px';
-                        indicator.style.height = rect.height + 'px';
-                    }
-                });
-            });
+        matchesUrl(pattern, url = window.location.href) {
+            const source = pattern.split('*')
+                .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+                .join('.*');
+            return new RegExp(`^${source}$`).test(url);
         },
 
         /**
-         * Remove an element from the selection by index
-         * @param {number} index - Index of the element in the selectedElements array
+         * Gets the recipes whose URL pattern matches the current page
+         * @returns {Array} - Array of matching recipes
          */
-        removeElementFromSelection(index) {
-            if (index < 0 || index >= this.selectedElements.length) return;
+        getMatching() {
+            return this.getAll().filter(recipe => this.matchesUrl(recipe.urlPattern));
+        },
 
-            // Get element ID
-            const id = this.selectedElements[index].id;
+        /**
+         * Suggests a URL pattern covering pages next to the current one
+         * (e.g. https://shop.example/products/* for https://shop.example/products/widget)
+         * @returns {string} - The suggested pattern
+         */
+        suggestUrlPattern() {
+            const { origin, pathname } = window.location;
+            const segments = pathname.split('/');
+            if (segments.length > 2 && segments[segments.length - 1] === '') segments.pop();
+            segments[segments.length - 1] = '*';
+            return origin + segments.join('/');
+        },
 
-            // Unobserve the element if using ResizeObserver
-            if (this.resizeObserver) {
-                try {
-                    this.resizeObserver.unobserve(this.selectedElements[index].element);
-                } catch (e) {
-                    // Element might already be gone from DOM
+        /**
+         * Builds a selector for an element that also fits similar pages: tag names and stable classes
+         * (see SimilarSelector.getStableClasses) up to the nearest ancestor with a unique ID, with
+         * positions added from the element upwards only until the element is the first match
+         * @param {Element} element - The element
+         * @returns {string} - The selector
+         */
+        getSelector(element) {
+            const root = element.getRootNode();
+            const nodes = [];
+            let anchor = '';
+            for (let node = element; node && node.nodeType === 1 && node !== node.ownerDocument.documentElement; node = node.parentElement) {
+                if (node.id && !SimilarSelector.generatedClassPattern.test(node.id) &&
+                    root.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+                    anchor = `#${CSS.escape(node.id)}`;
+                    break;
                 }
+                nodes.unshift(node);
             }
 
-            // Remove indicator
-            const indicator = document.querySelector(`.element-highlighter-indicator[data-for-element="${id}"]`);
-            if (indicator) {
-                // Remove scroll handler from all scroll containers
-                if (indicator.scrollHandler) {
-                    this.scrollContainers.forEach(container => {
-                        if (container === window) {
-                            window.removeEventListener('scroll', indicator.scrollHandler);
-                        } else if (container.removeEventListener) {
-                            container.removeEventListener('scroll', indicator.scrollHandler);
-                        }
-                    });
-                }
-                document.body.removeChild(indicator);
+            const positioned = new Set();
+            const build = () => [anchor, ...nodes.map(node => SimilarSelector.getStep(node, { position: positioned.has(node) }))]
+                .filter(Boolean)
+                .join(' > ');
+
+            for (let i = nodes.length - 1; i >= 0 && root.querySelector(build()) !== element; i--) {
+                positioned.add(nodes[i]);
             }
+            return build();
+        },
 
-            // Remove from handlers map
-            this.indicatorScrollHandlers.delete(id);
+        /**
+         * Saves the current selection as a recipe, asking for its name, URL pattern and format
+         * Each element is stored with a selector for similar pages and its locator, which finds it
+         * by its content when the selector matches nothing
+         * @returns {Promise<void>}
+         */
+        async saveCurrentSelection() {
+            if (SelectionManager.selectedElements.length === 0) {
+                UIManager.showNotification('Select the elements to capture before saving a recipe');
+                return;
+            }
 
-            // Remove from array
-            this.selectedElements.splice(index, 1);
+            const targets = SelectionManager.selectedElements.map(item => {
+                const isInDocument = ShadowDOM.isInDocument(item.element);
+                return {
+                    selector: isInDocument ? this.getSelector(item.element) : item.locator.cssPath,
+                    locator: isInDocument ? Locator.create(item.element) : item.locator
+                };
+            });
 
-            // Update remaining indicators (badge numbers)
-            const indicators = document.querySelectorAll('.element-highlighter-indicator');
-            indicators.forEach((ind, i) => {
-                const badge = ind.querySelector('div');
-                if (badge) {
-                    badge.textContent = i + 1;
-                }
+            let name = window.prompt('Name for this recipe:', document.title);
+            if (name === null) return;
+            name = name.trim() || document.title;
+
+            let urlPattern = window.prompt('Run the recipe on pages matching this URL (* matches anything):', this.suggestUrlPattern());
+            if (urlPattern === null) return;
+            urlPattern = urlPattern.trim() || window.location.href;
+
+            const formatOption = await Highlighter.promptFormat(SelectionManager.getExportElements());
+            if (!formatOption) return;
+
+            const autoRun = window.confirm(
+                'Download automatically whenever a matching page loads?\n\n' +
+                'OK = run automatically, Cancel = run from the userscript menu only'
+            );
+
+            // A recipe with the same name is replaced
+            const recipes = this.getAll().filter(recipe => recipe.name !== name);
+            recipes.push({
+                id: `recipe-${Date.now()}`,
+                name: name,
+                urlPattern: urlPattern,
+                targets: targets,
+                formatOption: formatOption,
+                autoRun: autoRun
             });
+            this.saveAll(recipes);
 
-            // Update the selection panel
-            UIManager.updateSelectionPanel(this.selectedElements);
+            UIManager.showNotification(`Recipe "${name}" saved with ${targets.length} element${targets.length === 1 ? '' : 's'}`);
         },
 
         /**
-         * Clears all selected elements
+         * Finds the elements of a recipe's targets: the first match of each selector, or else the
+         * element its locator leads to
+         * @param {Array} targets - Objects with selector and locator
+         * @returns {Object} - The found elements and the selectors of the targets that were not found
          */
-        clearSelection() {
-            // Remove all indicators
-            const indicators = document.querySelectorAll('.element-highlighter-indicator');
-            indicators.forEach(indicator => {
-                // Remove scroll handler from all scroll containers
-                if (indicator.scrollHandler) {
-                    this.scrollContainers.forEach(container => {
-                        if (container === window) {
-                            window.removeEventListener('scroll', indicator.scrollHandler);
-                        } else if (container.removeEventListener) {
-                            container.removeEventListener('scroll', indicator.scrollHandler);
-                        }
-                    });
-                }
-                document.body.removeChild(indicator);
-            });
+        findElements(targets) {
+            const elements = [];
+            const missing = [];
 
-            // Disconnect ResizeObserver to stop observing all elements
-            if (this.resizeObserver) {
+            targets.forEach(({ selector, locator }) => {
+                let match = null;
                 try {
-                    this.resizeObserver.disconnect();
+                    // Selectors of elements in frames and shadow roots are relative to their document or shadow root
+                    const root = locator ? Locator.resolveRoot(locator.shadowHosts, locator.frames) : document;
+                    match = root ? root.querySelector(selector) : null;
                 } catch (e) {
-                    // Observer might already be disconnected
+                    console.warn('Invalid recipe selector:', selector, e);
                 }
-            }
+                match = match || Locator.resolve(locator);
 
-            // Reinitialize ResizeObserver for future selections
-            this.initResizeObserver();
+                if (!match) {
+                    missing.push(selector);
+                } else if (!elements.includes(match)) {
+                    elements.push(match);
+                }
+            });
 
-            // Clear array
-            this.selectedElements = [];
+            return { elements, missing };
+        },
 
-            // Clear the handlers map
-            this.indicatorScrollHandlers.clear();
+        /**
+         * Waits until all targets are found, for pages that render content after loading
+         * @param {Array} targets - Objects with selector and locator
+         * @param {number} timeout - Maximum time to wait (ms)
+         * @returns {Promise<Object>} - Resolves with the result of findElements()
+         */
+        waitForElements(targets, timeout) {
+            return new Promise(resolve => {
+                const result = this.findElements(targets);
+                if (result.missing.length === 0 || timeout <= 0) {
+                    resolve(result);
+                    return;
+                }
 
-            // Hide highlight overlay if visible
-            this.highlightOverlay.style.display = 'none';
-            this.highlightedElement = null;
+                let timer = null;
+                const observer = new MutationObserver(() => {
+                    const current = this.findElements(targets);
+                    if (current.missing.length === 0) {
+                        observer.disconnect();
+                        clearTimeout(timer);
+                        resolve(current);
+                    }
+                });
+                observer.observe(document.body, { childList: true, subtree: true });
 
-            // Update the selection panel
-            UIManager.updateSelectionPanel(this.selectedElements);
+                timer = setTimeout(() => {
+                    observer.disconnect();
+                    resolve(this.findElements(targets));
+                }, timeout);
+            });
         },
 
         /**
-         * Highlights a selected element from the panel
-         * @param {number} index - Index of the element to highlight
+         * Finds a recipe's elements and downloads them
+         * @param {Object} recipe - The recipe to run
+         * @param {boolean} automatic - Whether the run was started by a page load
+         * @returns {Promise<boolean>} - Resolves with whether the download was successful
          */
-        highlightSelectedElement(index) {
-            if (index < 0 || index >= this.selectedElements.length) return;
+        async run(recipe, automatic = false) {
+            if (Highlighter.isDownloading) {
+                UIManager.showNotification('A download is already in progress');
+                return false;
+            }
 
-            // If element has been removed from the DOM, remove from selection
-            if (!document.body.contains(this.selectedElements[index].element)) {
-                this.removeElementFromSelection(index);
-                return;
+            const { elements, missing } = await this.waitForElements(recipe.targets, automatic ? this.autoRunTimeout : 0);
+
+            if (elements.length === 0) {
+                UIManager.showNotification(`Recipe "${recipe.name}": no matching elements on this page`);
+                return false;
             }
 
-            const element = this.selectedElements[index].element;
-            const rect = element.getBoundingClientRect();
+            if (missing.length > 0) {
+                console.warn(`Recipe "${recipe.name}" elements not found:`, missing);
+                UIManager.showNotification(`Recipe "${recipe.name}": ${missing.length} of ${recipe.targets.length} elements not found`);
+            }
 
-            // Update highlight overlay with fixed positioning
-            this.highlightOverlay.style.position = 'fixed';
-            this.highlightOverlay.style.top = rect.top + 'px';
-            this.highlightOverlay.style.left = rect.left + 'px';
-            this.highlightOverlay.style.width = rect.width + 'px';
-            this.highlightOverlay.style.height = rect.height + 'px';
-            this.highlightOverlay.style.display = 'block';
-            this.highlightOverlay.style.willChange = 'transform, top, left, width, height'; // Optimization hint
+            // The recipe's elements are shown as the selection while they download; the user's own
+            // selection is saved first and comes back afterwards
+            SelectionManager.suspend();
+            Highlighter.isDownloading = true;
+            try {
+                elements.forEach(element => SelectionManager.addElementToSelection(element, { batch: true }));
+                UIManager.updateSelectionPanel(SelectionManager.selectedElements);
+
+                const selected = SelectionManager.getExportElements();
+                const downloadSuccess = await Downloader.downloadMultipleElements(
+                    selected,
+                    Highlighter.getDefaultFileName(selected),
+                    recipe.formatOption
+                );
 
-            // Scroll element into view if needed
-            element.scrollIntoView({
-                behavior: 'smooth',
-                block: 'center'
-            });
+                if (downloadSuccess) {
+                    UIManager.showNotification(`Recipe "${recipe.name}" downloaded`);
+                }
+                return downloadSuccess;
+            } finally {
+                Highlighter.isDownloading = false;
+                SelectionManager.resume();
+            }
+        },
 
-            // Save reference to highlighted element
-            this.highlightedElement = element;
+        /**
+         * Runs a recipe matching the current page, asking which one if several match
+         */
+        async runFromMenu() {
+            const matching = this.getMatching();
+            if (matching.length === 0) {
+                UIManager.showNotification('No saved recipe matches this page');
+                return;
+            }
 
-            // Create throttled update function
-            const throttleMs = 16; // ~60fps
-            let lastUpdateTime = 0;
-            let pendingUpdate = false;
+            let recipe = matching[0];
+            if (matching.length > 1) {
+                const choice = window.prompt(
+                    "Choose a recipe (enter a number):\n\n" +
+                    matching.map((item, index) => `${index + 1}. ${item.name}`).join('\n'),
+                    '1'
+                );
+                if (choice === null) return;
 
-            const updatePosition = () => {
-                const now = Date.now();
-                
-                // Skip if we updated very recently
-                if (now - lastUpdateTime < throttleMs) {
-                    if (!pendingUpdate) {
-                        pendingUpdate = true;
-                        setTimeout(() => {
-                            updatePosition();
-                            pendingUpdate = false;
-                        }, throttleMs);
-                    }
+                recipe = matching[parseInt(choice, 10) - 1];
+                if (!recipe) {
+                    UIManager.showNotification(`Unknown recipe: ${choice}`);
                     return;
                 }
-                
-                lastUpdateTime = now;
-
-                if (!this.highlightedElement) return;
+            }
 
-                // Use requestAnimationFrame for smoother updates
-                requestAnimationFrame(() => {
-                    if (document.body.contains(this.highlightedElement)) {
-                        const newRect = this.highlightedElement.getBoundingClientRect();
-                        this.highlightOverlay.style.top = newRect.top + 'px';
-                        this.highlightOverlay.style.left = newRect.left + 'px';
-                        this.highlightOverlay.style.width = newRect.width + 'px';
-                        this.highlightOverlay.style.height = newRect.height + 'px';
-                    }
-                });
-            };
+            await this.run(recipe);
+        },
 
-            // Remove previous scroll handler if exists
-            if (this.highlightScrollHandler) {
-                this.scrollContainers.forEach(container => {
-                    if (container === window) {
-                        window.removeEventListener('scroll', this.highlightScrollHandler);
-                    } else if (container.removeEventListener) {
-                        container.removeEventListener('scroll', this.highlightScrollHandler);
-                    }
-                });
-            }
+        /**
+         * Runs the auto-run recipes matching the current page, once per page
+         */
+        async runAutomatic() {
+            const pageKey = SelectionManager.getPageKey();
+            if (this.autoRunPageKey === pageKey) return;
+            this.autoRunPageKey = pageKey;
 
-            // Add new scroll handler to all scroll containers
-            this.scrollContainers.forEach(container => {
-                if (container === window) {
-                    window.addEventListener('scroll', updatePosition, { passive: true });
-                } else if (container.addEventListener) {
-                    container.addEventListener('scroll', updatePosition, { passive: true });
+            const recipes = this.getMatching().filter(recipe => recipe.autoRun);
+            for (const recipe of recipes) {
+                try {
+                    await this.run(recipe, true);
+                } catch (e) {
+                    console.error(`Recipe "${recipe.name}" failed:`, e);
                 }
-            });
-            
-            this.highlightScrollHandler = updatePosition;
+            }
         }
     };
 
@@ -1417,13 +7240,12 @@
         isActive: false,
         currentElement: null,
         isDownloading: false,
-        _scrollThrottleTimeout: null,
         
         /**
          * Scroll wheel selection state
          */
         scrollWheelCounter: 0,     // Tracks number of scroll wheel movements
-        scrollThreshold: 2,        // Number of wheel movements to change selection (reduced from 3 to 2)
+        scrollThreshold: 2,        // Number of wheel movements to change selection (see Settings)
         currentHierarchy: [],      // Keeps track of current element and its ancestors/descendants
         hierarchyIndex: 0,         // Current position in the hierarchy
         indicatorTimeout: null,    // Timeout for hiding hierarchy indicator
@@ -1432,71 +7254,97 @@
         /**
          * Prevents text selection on the entire page
          * @param {boolean} prevent - Whether to prevent or allow text selection
+         * @param {Array} documents - The documents to change (the page and its same-origin frames by default)
          */
-        preventTextSelection(prevent) {
-            if (prevent) {
-                document.body.style.userSelect = 'none';
-                document.body.style.webkitUserSelect = 'none';
-                document.body.style.msUserSelect = 'none';
-                document.body.style.mozUserSelect = 'none';
-            } else {
-                document.body.style.userSelect = '';
-                document.body.style.webkitUserSelect = '';
-                document.body.style.msUserSelect = '';
-                document.body.style.mozUserSelect = '';
-            }
+        preventTextSelection(prevent, documents = Frames.getDocuments()) {
+            documents.forEach(doc => {
+                const body = doc.body;
+                if (prevent) {
+                    body.style.userSelect = 'none';
+                    body.style.webkitUserSelect = 'none';
+                    body.style.msUserSelect = 'none';
+                    body.style.mozUserSelect = 'none';
+                } else {
+                    body.style.userSelect = '';
+                    body.style.webkitUserSelect = '';
+                    body.style.msUserSelect = '';
+                    body.style.mozUserSelect = '';
+                }
+            });
+        },
+
+        /**
+         * Sets the page cursor
+         * @param {string} cursor - The CSS cursor
+         * @param {Array} documents - The documents to change (the page and its same-origin frames by default)
+         */
+        setCursor(cursor, documents = Frames.getDocuments()) {
+            documents.forEach(doc => {
+                doc.body.style.cursor = cursor;
+            });
         },
 
         /**
          * Initializes the highlighter
          */
         init() {
+            // Frames of a same-origin page are handled by the page's own instance
+            if (Frames.isManagedByParent()) return;
+
+            Settings.load();
+            this.scrollThreshold = Settings.get('scrollThreshold');
             UIManager.createOverlay();
             UIManager.createSelectionPanel();
             SelectionManager.init();
             this.setupEventListeners();
             this.setupMouseDownHandler();
+            Keymap.observePageShortcuts();
             GM_registerMenuCommand('Toggle Element Highlighter', () => this.toggleHighlighter());
+            GM_registerMenuCommand('Element Highlighter Settings', () => UIManager.showSettingsDialog());
+            GM_registerMenuCommand('Save Selection as Recipe', () => Recipes.saveCurrentSelection());
+            GM_registerMenuCommand('Run Recipe for This Page', () => Recipes.runFromMenu());
+            Recipes.runAutomatic();
+        },
+
+        /**
+         * Re-reads settings after they were changed in the settings dialog
+         */
+        applySettings() {
+            this.scrollThreshold = Settings.get('scrollThreshold');
+            UIManager.applySettings();
+            SelectionManager.applySettings();
+        },
+
+        /**
+         * Checks whether an event target belongs to the highlighter's own UI
+         * @param {EventTarget} target - The event target
+         * @returns {boolean} - Whether the target is part of the panel, an indicator or a dialog
+         */
+        isOwnUI(target) {
+            return !!(target && target.closest && (
+                target.closest('#elementHighlighterPanel') ||
+                target.closest('.element-highlighter-indicator') ||
+                target.closest('.element-highlighter-ui')
+            ));
         },
 
         /**
          * Sets up event listeners
          */
         setupEventListeners() {
-            document.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-            document.addEventListener('click', (e) => this.handleClick(e));
-            document.addEventListener('keydown', (e) => this.handleKeyPress(e), true);
-            window.addEventListener('keydown', (e) => this.handleKeyPress(e), true);
-            document.addEventListener('wheel', (e) => this.handleMouseWheel(e), { passive: false });
-
-            // Add specific Shift and Ctrl key prevention
-            document.addEventListener('keydown', (e) => {
-                if (this.isActive && (e.key === 'Shift' || e.key === 'Control' || e.key === 'Meta')) {
-                    e.preventDefault();
-                    e.stopPropagation();
-                }
-            }, true);
+            this.attachDocumentListeners(document);
 
-            // Prevent context menu when highlighter is active
-            document.addEventListener('contextmenu', (e) => {
+            // Same-origin frames get the same listeners, so their content can be highlighted and selected
+            Frames.watch(doc => {
+                this.attachDocumentListeners(doc);
+                this.setupMouseDownHandler(doc);
                 if (this.isActive) {
-                    e.preventDefault();
-                    return false;
-                }
-            }, true);
-
-            // Add a scroll event listener to update all indicator positions
-            window.addEventListener('scroll', () => {
-                if (this.isActive && SelectionManager.selectedElements.length > 0) {
-                    // Use throttling to improve performance
-                    if (!this._scrollThrottleTimeout) {
-                        this._scrollThrottleTimeout = setTimeout(() => {
-                            SelectionManager.updateAllIndicatorPositions();
-                            this._scrollThrottleTimeout = null;
-                        }, 16); // ~60fps
-                    }
+                    this.setCursor('crosshair', [doc]);
+                    this.preventTextSelection(true, [doc]);
                 }
-            }, { passive: true });
+                // Saved selections inside the frame can be found now
+                SelectionManager.retryMissingSelections();
+            });
 
             // Setup selection panel button listeners
             UIManager.downloadButton.addEventListener('click', () => {
@@ -1507,20 +7355,76 @@
                 }
             });
 
+            UIManager.copyButton.addEventListener('click', () => {
+                if (SelectionManager.selectedElements.length > 0) {
+                    this.copyToClipboard();
+                } else {
+                    UIManager.showNotification('No elements selected to copy');
+                }
+            });
+
             UIManager.clearButton.addEventListener('click', () => {
                 SelectionManager.clearSelection();
                 UIManager.showNotification('Selection cleared');
             });
         },
 
+        /**
+         * Attaches the page event listeners to a document
+         * @param {Document} doc - The page document or a same-origin frame document
+         */
+        attachDocumentListeners(doc) {
+            const view = doc.defaultView;
+            doc.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+            doc.addEventListener('click', (e) => this.handleClick(e));
+            doc.addEventListener('keydown', (e) => this.handleKeyPress(e), true);
+            view.addEventListener('keydown', (e) => this.handleKeyPress(e), true);
+            doc.addEventListener('wheel', (e) => this.handleMouseWheel(e), { passive: false });
+
+            // Add specific Shift and Ctrl key prevention
+            doc.addEventListener('keydown', (e) => {
+                if (this.isActive && (e.key === 'Shift' || e.key === 'Control' || e.key === 'Meta')) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                }
+            }, true);
+
+            // Prevent context menu when highlighter is active
+            doc.addEventListener('contextmenu', (e) => {
+                if (this.isActive) {
+                    e.preventDefault();
+                    return false;
+                }
+            }, true);
+
+            // Scroll events do not bubble, but one capture listener sees the page and every scroll container in it
+            doc.addEventListener('scroll', (e) => SelectionManager.handleScroll(e), { capture: true, passive: true });
+            view.addEventListener('resize', () => SelectionManager.scheduleLayout(), { passive: true });
+        },
+
         /**
          * Handle mousedown events to prevent text selection at the source
+         * @param {Document} doc - The page document or a same-origin frame document
          */
-        setupMouseDownHandler() {
-            document.addEventListener('mousedown', (e) => {
+        setupMouseDownHandler(doc = document) {
+            doc.addEventListener('mousedown', (e) => {
                 if (this.isActive) {
+                    // The panel handles its own dragging, and its fields must stay focusable
+                    if (e.target.closest('#elementHighlighterPanel')) {
+                        if (!Keymap.isEditableTarget(e.target)) {
+                            e.preventDefault();
+                        }
+                        return;
+                    }
+
+                    // Alt+drag draws an area whose elements are added to the selection
+                    if (AreaSelector.handleMouseDown(e)) {
+                        e.preventDefault();
+                        e.stopPropagation();
+                        return;
+                    }
+
                     if (e.shiftKey || e.ctrlKey || e.metaKey ||
-                        e.target.closest('#elementHighlighterPanel') ||
                         e.target.closest('.element-highlighter-indicator')) {
                         e.preventDefault();
                         e.stopPropagation();
@@ -1534,8 +7438,10 @@
          */
         deactivateHighlighter() {
             this.isActive = false;
+            AreaSelector.cancel();
+            SimilarSelector.cancel();
             UIManager.overlay.style.display = 'none';
-            document.body.style.cursor = 'default';
+            this.setCursor('default');
             this.preventTextSelection(false); // Re-enable text selection
             
             // Reset hierarchy state
@@ -1558,15 +7464,28 @@
         activateHighlighter() {
             this.isActive = true;
             UIManager.overlay.style.display = 'block';
-            document.body.style.cursor = 'crosshair';
+            this.setCursor('crosshair');
             this.preventTextSelection(true); // Prevent text selection
             
             // Show initial notification
             UIManager.showNotification('Element highlighter activated (use Shift+Click to select multiple elements)');
+
+            // Warn once per activation about shortcuts that may clash with the page
+            const shortcutWarnings = Keymap.getConflictWarnings();
+            if (shortcutWarnings.length > 0) {
+                setTimeout(() => {
+                    UIManager.showNotification(`Shortcut conflict: ${shortcutWarnings[0]}` +
+                        (shortcutWarnings.length > 1 ? ` (+${shortcutWarnings.length - 1} more, see settings)` : ''),
+                        Settings.get('hintDuration'));
+                }, Settings.get('notificationDuration') + Settings.get('hintDuration'));
+            }
             
             // Add scroll wheel instructions with a slight delay
             setTimeout(() => {
-                UIManager.showNotification('Use the mouse wheel to navigate elements (2 scrolls up = parent, 2 scrolls down = child)', 5000);
+                const keys = Keymap.getBindings();
+                UIManager.showNotification(`Use the mouse wheel to navigate elements (${this.scrollThreshold} scrolls up = parent, ${this.scrollThreshold} scrolls down = child), ` +
+                    `or the keyboard: ${keys.parent}/${keys.child} = parent/child, ${keys.previousSibling}/${keys.nextSibling} = siblings, ` +
+                    `${keys.select} = download, ${keys.addToSelection} = add to selection`, Settings.get('hintDuration'));
             }, 2000);
             
             // Show scroll bar indicator
@@ -1628,8 +7547,9 @@
                 <strong>Important:</strong> 
                 <p>Mouse wheel is now used for element selection!</p>
                 <p>Please use the scrollbar to scroll the page.</p>
-                <p>Every 2 wheel movements up/down changes the selected element.</p>
+                <p>Every ${this.scrollThreshold} wheel movements up/down changes the selected element.</p>
                 <p>CTRL+Click will deselect an element.</p>
+                <p>Alt+drag adds every element in an area to the selection.</p>
             `;
             
             // Add close button
@@ -1697,9 +7617,12 @@
             const hierarchy = [element];
             let current = element;
             
-            // Add all parents up to the document body
-            while (current.parentElement && current !== document.body) {
-                current = current.parentElement;
+            // Add all parents up to the document body, leaving shadow roots through their hosts
+            // and frames through their frame elements
+            while (current !== document.body) {
+                const parent = ShadowDOM.getParent(current) || Frames.getFrameElement(current);
+                if (!parent) break;
+                current = parent;
                 hierarchy.push(current);
             }
             
@@ -1713,11 +7636,14 @@
          */
         getNavigableChildren(element) {
             // Get direct children, filter out text nodes and insignificant elements
-            const children = Array.from(element.children).filter(child => {
+            // Same-origin frames are entered through their body
+            const frameDocument = Frames.getFrameDocument(element);
+            const candidates = frameDocument ? [frameDocument.body] : ShadowDOM.getChildren(element);
+            const children = candidates.filter(child => {
                 // Skip tiny or invisible elements
                 const rect = child.getBoundingClientRect();
                 return (rect.width > 5 && rect.height > 5 &&
-                        window.getComputedStyle(child).display !== 'none');
+                        child.ownerDocument.defaultView.getComputedStyle(child).display !== 'none');
             });
             
             return children;
@@ -1766,12 +7692,13 @@
          * Adds a visual pulse effect to the highlight overlay
          */
         pulseHighlight() {
+            const highlightColor = Settings.get('highlightColor');
             UIManager.overlay.style.transition = 'all 0.2s ease-in-out';
-            UIManager.overlay.style.backgroundColor = 'rgba(0, 123, 255, 0.4)';
+            UIManager.overlay.style.backgroundColor = UIManager.colorWithAlpha(highlightColor, 0.4);
             UIManager.overlay.style.borderWidth = '3px';
             
             setTimeout(() => {
-                UIManager.overlay.style.backgroundColor = 'rgba(0, 123, 255, 0.2)';
+                UIManager.overlay.style.backgroundColor = UIManager.colorWithAlpha(highlightColor, 0.2);
                 UIManager.overlay.style.borderWidth = '2px';
             }, 200);
         },
@@ -1781,7 +7708,13 @@
          * @param {MouseEvent} e - The mouse event
          */
         handleMouseMove(e) {
-            if (!this.isActive || this.isDownloading) return;
+            if (!this.isActive || this.isDownloading || AreaSelector.isDragging()) return;
+
+            // Keep the current element while using the highlighter's own dialogs
+            if (e.target.closest && e.target.closest('.element-highlighter-ui')) return;
+
+            // e.target stops at shadow hosts; highlight what is actually under the pointer
+            const target = ShadowDOM.getEventTarget(e);
 
             // Prevent default behavior if Shift is pressed
             if (e.shiftKey) {
@@ -1790,19 +7723,14 @@
             }
             
             // Reset hierarchy when hovering over a new element
-            if (e.target !== this.currentElement) {
+            if (target !== this.currentElement) {
                 this.currentHierarchy = [];
                 this.hierarchyIndex = 0;
                 this.scrollWheelCounter = 0;
             }
 
-            this.currentElement = e.target;
-            const rect = this.currentElement.getBoundingClientRect();
-
-            UIManager.overlay.style.top = window.scrollY + rect.top + 'px';
-            UIManager.overlay.style.left = window.scrollX + rect.left + 'px';
-            UIManager.overlay.style.width = rect.width + 'px';
-            UIManager.overlay.style.height = rect.height + 'px';
+            this.currentElement = target;
+            SelectionManager.scheduleLayout();
         },
 
         /**
@@ -1811,6 +7739,9 @@
          */
         handleMouseWheel(e) {
             if (!this.isActive || this.isDownloading) return;
+
+            // Let dialogs scroll normally
+            if (e.target.closest && e.target.closest('.element-highlighter-ui')) return;
             
             // Prevent default scrolling behavior when hovering over an element
             if (this.currentElement) {
@@ -1828,67 +7759,7 @@
                     // Determine direction (positive = up to parent, negative = down to child)
                     const direction = this.scrollWheelCounter > 0 ? 1 : -1;
                     
-                    // If this is our first hierarchy navigation, build the hierarchy
-                    if (!this.currentHierarchy.length) {
-                        this.currentHierarchy = this.buildElementHierarchy(this.currentElement);
-                        this.hierarchyIndex = 0; // Start at the current element
-                    }
-                    
-                    // Navigate hierarchy based on direction
-                    if (direction > 0) {
-                        // Move up to parent (if not at top already)
-                        if (this.hierarchyIndex < this.currentHierarchy.length - 1) {
-                            this.hierarchyIndex++;
-                            this.currentElement = this.currentHierarchy[this.hierarchyIndex];
-                        }
-                    } else {
-                        // Try to navigate down to a child
-                        if (this.hierarchyIndex > 0) {
-                            // Return to previous level
-                            this.hierarchyIndex--;
-                            this.currentElement = this.currentHierarchy[this.hierarchyIndex];
-                        } else {
-                            // Handle case for navigating into children
-                            const children = this.getNavigableChildren(this.currentElement);
-                            
-                            if (children.length > 0) {
-                                // Choose most prominent/centered child
-                                const centerElement = this.findCenterElement(children);
-                                
-                                // Create new hierarchy with this element as starting point
-                                this.currentElement = centerElement;
-                                this.currentHierarchy = this.buildElementHierarchy(this.currentElement);
-                                this.hierarchyIndex = 0;
-                            }
-                        }
-                    }
-                    
-                    // Update visual overlay
-                    const rect = this.currentElement.getBoundingClientRect();
-                    UIManager.overlay.style.top = window.scrollY + rect.top + 'px';
-                    UIManager.overlay.style.left = window.scrollX + rect.left + 'px';
-                    UIManager.overlay.style.width = rect.width + 'px';
-                    UIManager.overlay.style.height = rect.height + 'px';
-                    
-                    // Add pulsing animation to indicate selection change
-                    this.pulseHighlight();
-                    
-                    // Update hierarchy indicator if it exists
-                    if (UIManager.hierarchyIndicator) {
-                        const levelName = this.currentElement.tagName.toLowerCase();
-                        const levelId = this.currentElement.id ? `#${this.currentElement.id}` : '';
-                        const levelClass = this.currentElement.className ? 
-                            `.${this.currentElement.className.split(' ')[0]}` : '';
-                            
-                        UIManager.hierarchyIndicator.textContent = `${levelName}${levelId}${levelClass}`;
-                        UIManager.hierarchyIndicator.style.display = 'block';
-                        
-                        // Hide indicator after 5 seconds (extended from 2 seconds)
-                        clearTimeout(this.indicatorTimeout);
-                        this.indicatorTimeout = setTimeout(() => {
-                            UIManager.hierarchyIndicator.style.display = 'none';
-                        }, 5000);
-                    }
+                    this.navigateHierarchy(direction);
                     
                     // Reset counter
                     this.scrollWheelCounter = 0;
@@ -1896,14 +7767,162 @@
             }
         },
         
+        /**
+         * Picks a starting element for keyboard navigation when nothing is highlighted yet
+         * @returns {boolean} - Whether there is a current element to navigate from
+         */
+        ensureCurrentElement() {
+            if (this.currentElement && ShadowDOM.isInDocument(this.currentElement)) return true;
+
+            // Prefer the focused element, then whatever is in the middle of the viewport
+            const focused = document.activeElement;
+            let start = focused && focused !== document.body && !this.isOwnUI(focused) ? focused : null;
+            if (!start) {
+                start = document.elementFromPoint(window.innerWidth / 2, window.innerHeight / 2);
+            }
+            if (!start || this.isOwnUI(start)) {
+                start = document.body;
+            }
+            // Documents without a body (e.g. plain XML or SVG files) have nowhere to start
+            if (!start) return false;
+
+            this.currentElement = start;
+            this.currentHierarchy = [];
+            this.hierarchyIndex = 0;
+            this.scrollWheelCounter = 0;
+
+            // Show where navigation starts before the first move
+            UIManager.overlay.style.display = 'block';
+            return true;
+        },
+
+        /**
+         * Moves the highlight to the previous or next visible sibling
+         * @param {number} direction - 1 for the next sibling, -1 for the previous one
+         */
+        navigateSibling(direction) {
+            const current = this.currentElement;
+            const parent = current && current !== document.body ? ShadowDOM.getParent(current) : null;
+            if (!parent) return;
+
+            const siblings = this.getNavigableChildren(parent).filter(sibling => sibling !== current);
+
+            // Pick the closest navigable sibling in rendered order (works even if current is tiny);
+            // slotted and shadow children live in different trees, so compare list positions
+            const allChildren = ShadowDOM.getChildren(parent);
+            const position = allChildren.indexOf(current);
+            const candidates = siblings.filter(sibling => (
+                direction > 0 ? allChildren.indexOf(sibling) > position : allChildren.indexOf(sibling) < position
+            ));
+            const target = direction > 0 ? candidates[0] : candidates[candidates.length - 1];
+
+            if (!target) {
+                UIManager.showNotification(direction > 0 ? 'No next sibling' : 'No previous sibling');
+                return;
+            }
+
+            // Siblings start a fresh hierarchy
+            this.currentElement = target;
+            this.currentHierarchy = this.buildElementHierarchy(target);
+            this.hierarchyIndex = 0;
+            this.showNavigatedElement(true);
+        },
+
+        /**
+         * Moves the highlight one level up or down the element hierarchy
+         * @param {number} direction - 1 to move to the parent, -1 to move to a child
+         * @param {boolean} scrollIntoView - Whether to scroll the new element into view
+         */
+        navigateHierarchy(direction, scrollIntoView = false) {
+            if (!this.currentElement) return;
+
+            // If this is our first hierarchy navigation, build the hierarchy
+            if (!this.currentHierarchy.length) {
+                this.currentHierarchy = this.buildElementHierarchy(this.currentElement);
+                this.hierarchyIndex = 0; // Start at the current element
+            }
+
+            // Navigate hierarchy based on direction
+            if (direction > 0) {
+                // Move up to parent (if not at top already)
+                if (this.hierarchyIndex < this.currentHierarchy.length - 1) {
+                    this.hierarchyIndex++;
+                    this.currentElement = this.currentHierarchy[this.hierarchyIndex];
+                }
+            } else {
+                // Try to navigate down to a child
+                if (this.hierarchyIndex > 0) {
+                    // Return to previous level
+                    this.hierarchyIndex--;
+                    this.currentElement = this.currentHierarchy[this.hierarchyIndex];
+                } else {
+                    // Handle case for navigating into children
+                    const children = this.getNavigableChildren(this.currentElement);
+
+                    if (children.length > 0) {
+                        // Choose most prominent/centered child
+                        const centerElement = this.findCenterElement(children);
+
+                        // Create new hierarchy with this element as starting point
+                        this.currentElement = centerElement;
+                        this.currentHierarchy = this.buildElementHierarchy(this.currentElement);
+                        this.hierarchyIndex = 0;
+                    }
+                }
+            }
+
+            this.showNavigatedElement(scrollIntoView);
+        },
+
+        /**
+         * Moves the overlay to the current element after keyboard or wheel navigation
+         * @param {boolean} scrollIntoView - Whether to scroll the element into view first
+         */
+        showNavigatedElement(scrollIntoView = false) {
+            // Keyboard navigation can reach elements outside the viewport
+            if (scrollIntoView) {
+                this.currentElement.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+            }
+
+            // Update visual overlay; it is fixed-position, so viewport coordinates are used as they are
+            SelectionManager.positionBox(UIManager.overlay, Frames.getRect(this.currentElement));
+
+            // Add pulsing animation to indicate selection change
+            this.pulseHighlight();
+
+            // Update hierarchy indicator if it exists
+            if (UIManager.hierarchyIndicator) {
+                const levelName = this.currentElement.tagName.toLowerCase();
+                const levelId = this.currentElement.id ? `#${this.currentElement.id}` : '';
+                const levelClass = this.currentElement.className ? 
+                    `.${this.currentElement.className.split(' ')[0]}` : '';
+
+                UIManager.hierarchyIndicator.textContent = `${levelName}${levelId}${levelClass}`;
+                UIManager.hierarchyIndicator.style.display = 'block';
+
+                // Hide indicator after the configured hint time
+                clearTimeout(this.indicatorTimeout);
+                this.indicatorTimeout = setTimeout(() => {
+                    UIManager.hierarchyIndicator.style.display = 'none';
+                }, Settings.get('hintDuration'));
+            }
+        },
+
         /**
          * Handles clicks to select elements
          * @param {MouseEvent} e - The mouse event
+         * @returns {Promise<void>}
          */
-        handleClick(e) {
+        async handleClick(e) {
             // Ignore clicks on UI elements
-            if (e.target.closest('#elementHighlighterPanel') ||
-                e.target.closest('.element-highlighter-indicator')) {
+            if (this.isOwnUI(e.target)) {
+                return;
+            }
+
+            // The click that ends an Alt+drag area selection, or a click beside the previewed similar elements
+            if (AreaSelector.consumeClick() || SimilarSelector.isPreviewing()) {
+                e.preventDefault();
+                e.stopPropagation();
                 return;
             }
 
@@ -1934,10 +7953,10 @@
                 // If still not found, check if a parent of the current element is selected
                 if (index === -1) {
                     // Walk up the DOM tree to find a parent that might be selected
-                    let parent = this.currentElement.parentElement;
+                    let parent = ShadowDOM.getParent(this.currentElement);
                     while (parent && index === -1) {
                         index = SelectionManager.findElementInSelection(parent);
-                        parent = parent.parentElement;
+                        parent = ShadowDOM.getParent(parent);
                     }
                 }
                 
@@ -1957,84 +7976,234 @@
             }
             // Check if Shift key is pressed for multi-select
             else if (e.shiftKey) {
-                const added = SelectionManager.addElementToSelection(this.currentElement);
-                if (added) {
-                    UIManager.showNotification('Element added to selection');
-                }
+                this.addCurrentElementToSelection();
             } else {
-                // Single element selection and download
-                this.isDownloading = true;
-                
-                // Get download options
-                const formatOption = window.confirm(
-                    "Choose download format:\n\n" +
-                    "• Click OK for Basic Formatting (preserves CSS, better for human review)\n" +
-                    "• Click Cancel for Data Only (strips CSS, optimized for AI processing)"
-                ) ? "basic" : "data-only";
+                await this.downloadCurrentElement();
+            }
+        },
 
-                const defaultFileName = document.title.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-                let userFileName = window.prompt('Enter file name:', defaultFileName);
+        /**
+         * Adds the currently highlighted element to the selection
+         */
+        addCurrentElementToSelection() {
+            const added = SelectionManager.addElementToSelection(this.currentElement);
+            if (added) {
+                UIManager.showNotification('Element added to selection');
+            }
+        },
 
-                if (userFileName === null) {
-                    this.isDownloading = false;
-                    return;
-                }
+        /**
+         * Downloads the currently highlighted element on its own
+         * @returns {Promise<void>}
+         */
+        async downloadCurrentElement() {
+            // Single element selection and download
+            this.isDownloading = true;
 
-                userFileName = userFileName.trim();
-                if (userFileName === '') userFileName = defaultFileName;
+            try {
+                // Get download options
+                const options = await this.promptDownloadOptions([this.currentElement]);
+                if (!options) return;
 
-                const downloadSuccess = Downloader.downloadElement(this.currentElement, userFileName, formatOption);
+                const downloadSuccess = await Downloader.downloadElement(this.currentElement, options.fileName, options.formatOption);
 
                 if (downloadSuccess) {
                     this.deactivateHighlighter();
                 }
-
+            } finally {
                 this.isDownloading = false;
             }
         },
 
+        /**
+         * Available download formats, in the order they are offered to the user
+         */
+        downloadFormats: [
+            { value: 'basic', label: 'Basic Formatting', description: 'Preserves CSS, better for human review' },
+            { value: 'archive', label: 'Archive', description: 'Basic formatting with images and fonts embedded, works offline' },
+            { value: 'bundle', label: 'Bundle (ZIP)', description: 'Basic formatting with images, fonts and styles as separate files' },
+            { value: 'data-only', label: 'Data Only', description: 'Strips CSS, optimized for AI processing' },
+            { value: 'markdown', label: 'Markdown', description: 'GitHub-flavored, for LLM prompts and wikis' },
+            { value: 'json', label: 'JSON', description: 'Structured data with locators, text, links and HTML, for pipelines' },
+            { value: 'csv', label: 'CSV', description: 'Tables only, one file per table' },
+            { value: 'xlsx', label: 'XLSX', description: 'Tables only, one sheet per table' },
+            { value: 'png', label: 'PNG Image', description: 'Screenshot of the element as it looks on the page' }
+        ],
+
+        /**
+         * Builds the default file name from the configured file name template
+         * @param {Array} elements - The elements that will be downloaded
+         * @returns {string} - The suggested file name (without extension)
+         */
+        getDefaultFileName(elements = []) {
+            return FileNameTemplate.build(elements);
+        },
+
+        /**
+         * Asks the user for the download format in the export dialog
+         * @param {Array} elements - The elements that will be exported
+         * @returns {Promise<string|null>} - Resolves with the chosen format value, or null if cancelled
+         */
+        async promptFormat(elements) {
+            const choice = await UIManager.showExportDialog({
+                title: 'Choose the recipe format',
+                elements: elements,
+                confirmLabel: 'Choose',
+                // Recipes only store the format, so options chosen here would be lost
+                showOptions: false
+            });
+            return choice ? choice.formatOption : null;
+        },
+
+        /**
+         * Asks the user for the download format, file name and options in the export dialog
+         * The choices are remembered as the defaults for the next export
+         * @param {Array} elements - The elements that will be exported
+         * @returns {Promise<Object|null>} - Resolves with formatOption and fileName, or null if cancelled
+         */
+        async promptDownloadOptions(elements) {
+            const choice = await UIManager.showExportDialog({
+                title: elements.length === 1 ? 'Download element' : `Download ${elements.length} elements`,
+                elements: elements,
+                fileName: this.getDefaultFileName(elements),
+                confirmLabel: 'Download'
+            });
+            if (!choice) return null;
+
+            Settings.set('defaultFormat', choice.formatOption);
+            Settings.set('includeSourceHeader', choice.includeSourceHeader);
+            Settings.set('stripScripts', choice.stripScripts);
+            Settings.set('pngPixelRatio', choice.pngPixelRatio);
+            Settings.set('pngLayout', choice.pngLayout);
+
+            return {
+                formatOption: choice.formatOption,
+                fileName: choice.fileName || this.getDefaultFileName(elements)
+            };
+        },
+
         /**
          * Handles keyboard presses
          * @param {KeyboardEvent} e - The keyboard event
          */
         handleKeyPress(e) {
-            // Check for Escape key regardless of isActive state
-            if (e.key === 'Escape') {
-                if (this.isActive) {
-                    this.isDownloading = false;
-                    this.deactivateHighlighter();
-                    e.preventDefault(); // Prevent default Escape behavior
-                    e.stopPropagation(); // Stop event bubbling
-                }
+            // Typing in the highlighter's dialogs must not trigger shortcuts
+            if (e.target && e.target.closest && e.target.closest('.element-highlighter-ui')) return;
+
+            const action = Keymap.findAction(e);
+            if (!action) return;
+
+            // Unmodified keys typed into page fields belong to the page while inactive
+            if (!this.isActive && Keymap.isEditableTarget(e.target) && !Keymap.hasCommandModifier(Keymap.getBinding(action))) return;
+
+            // The toggle works regardless of isActive state
+            if (action === 'toggle') {
+                this.toggleHighlighter();
+                e.preventDefault();
+                e.stopPropagation();
+                return;
+            }
+
+            if (!this.isActive) return;
+
+            // While similar elements are previewed, the keys choose and accept them (Escape only closes the preview)
+            if (SimilarSelector.isPreviewing() && SimilarSelector.handleAction(action)) {
+                e.preventDefault();
+                e.stopPropagation();
+                return;
+            }
+
+            if (action === 'exit') {
+                this.isDownloading = false;
+                this.deactivateHighlighter();
+                e.preventDefault(); // Prevent default Escape behavior
+                e.stopPropagation(); // Stop event bubbling
+                return;
             }
 
             // Check for keyboard shortcuts when highlighter is active
-            if (this.isActive && !this.isDownloading) {
-                // 'C' key to clear selection
-                if (e.key === 'c' || e.key === 'C') {
+            if (this.isDownloading) return;
+
+            switch (action) {
+                case 'clear':
                     SelectionManager.clearSelection();
                     UIManager.showNotification('Selection cleared');
-                    e.preventDefault();
-                    e.stopPropagation();
-                }
-
-                // 'D' key to download selected elements
-                if (e.key === 'd' || e.key === 'D') {
+                    break;
+                case 'download':
                     if (SelectionManager.selectedElements.length > 0) {
                         this.downloadSelectedElements();
                     } else {
                         UIManager.showNotification('No elements selected for download');
                     }
-                    e.preventDefault();
-                    e.stopPropagation();
-                }
+                    break;
+                case 'copy':
+                    this.copyToClipboard();
+                    break;
+                case 'parent':
+                case 'child':
+                    if (this.ensureCurrentElement()) {
+                        this.navigateHierarchy(action === 'parent' ? 1 : -1, true);
+                    }
+                    break;
+                case 'previousSibling':
+                case 'nextSibling':
+                    if (this.ensureCurrentElement()) {
+                        this.navigateSibling(action === 'nextSibling' ? 1 : -1);
+                    }
+                    break;
+                case 'select':
+                    if (this.currentElement) {
+                        this.downloadCurrentElement();
+                    }
+                    break;
+                case 'addToSelection':
+                    if (this.currentElement) {
+                        this.addCurrentElementToSelection();
+                    }
+                    break;
+                case 'selectSimilar':
+                    if (this.currentElement && ShadowDOM.isInDocument(this.currentElement)) {
+                        SimilarSelector.start(this.currentElement);
+                    } else {
+                        UIManager.showNotification('Highlight an example element first');
+                    }
+                    break;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            e.stopPropagation();
+        },
+
+        /**
+         * Copies the selected elements, or the highlighted element if nothing is selected, to the clipboard
+         * @returns {Promise<void>}
+         */
+        async copyToClipboard() {
+            const useSelection = SelectionManager.selectedElements.length > 0;
+            const elements = useSelection ?
+                SelectionManager.getExportElements() :
+                (this.currentElement ? [this.currentElement] : []);
+
+            if (elements.length === 0) {
+                UIManager.showNotification('Nothing to copy: select or highlight an element first');
+                return;
+            }
+
+            this.isDownloading = true;
+            try {
+                await Downloader.copyElements(elements, useSelection ? SelectionManager.getAnnotations() : []);
+            } finally {
+                this.isDownloading = false;
             }
         },
 
         /**
          * Downloads all selected elements
+         * @returns {Promise<void>}
          */
-        downloadSelectedElements() {
+        async downloadSelectedElements() {
             if (SelectionManager.selectedElements.length === 0) {
                 UIManager.showNotification('No elements selected for download');
                 return;
@@ -2042,38 +8211,31 @@
 
             this.isDownloading = true;
 
-            // Get download options
-            const formatOption = window.confirm(
-                "Choose download format:\n\n" +
-                "• Click OK for Basic Formatting (preserves CSS, better for human review)\n" +
-                "• Click Cancel for Data Only (strips CSS, optimized for AI processing)"
-            ) ? "basic" : "data-only";
-            
-            const defaultFileName = document.title.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-            let userFileName = window.prompt('Enter file name for the download:', defaultFileName);
-
-            if (userFileName === null) {
-                this.isDownloading = false;
-                return;
-            }
-
-            userFileName = userFileName.trim();
-            if (userFileName === '') userFileName = defaultFileName;
-
-            // Extract elements from selection
-            const elements = SelectionManager.selectedElements.map(item => item.element);
+            try {
+                // Extract elements from selection (snapshots stand in for elements the page removed)
+                const elements = SelectionManager.getExportElements();
 
-            const downloadSuccess = Downloader.downloadMultipleElements(elements, userFileName, formatOption);
+                // Get download options
+                const options = await this.promptDownloadOptions(elements);
+                if (!options) return;
+
+                const downloadSuccess = await Downloader.downloadMultipleElements(
+                    elements,
+                    options.fileName,
+                    options.formatOption,
+                    SelectionManager.getAnnotations()
+                );
 
-            if (downloadSuccess) {
-                UIManager.showNotification('Selected elements downloaded successfully');
+                if (downloadSuccess) {
+                    UIManager.showNotification('Selected elements downloaded successfully');
 
-                // Clear the selection and deactivate highlighter to clean up
-                SelectionManager.clearSelection();
-                this.deactivateHighlighter();
+                    // Clear the selection and deactivate highlighter to clean up
+                    SelectionManager.clearSelection();
+                    this.deactivateHighlighter();
+                }
+            } finally {
+                this.isDownloading = false;
             }
-
-            this.isDownloading = false;
         }
     };
 
@@ -2083,40 +8245,227 @@
      */
     const Downloader = {
         /**
-         * Downloads an element as an HTML file
+         * Checks whether a format keeps the page styling
+         * @param {string} formatOption - The formatting option
+         * @returns {boolean} - True for 'basic' and 'archive'
+         */
+        isStyledFormat(formatOption) {
+            return formatOption === 'basic' || formatOption === 'archive';
+        },
+
+        /**
+         * Runs an element through the processing pipeline for the given format
+         * @param {Element} element - The element to process
+         * @param {string} formatOption - The formatting option ('basic', 'archive', 'bundle', 'data-only' or 'markdown')
+         * @returns {Promise<Object>} - Resolves with the processed clone and its basic CSS
+         */
+        async prepareElement(element, formatOption = 'basic') {
+            // Create a clone to avoid modifying the original, with shadow content written out,
+            // embedded frames replaced by links and canvas, video and form state captured
+            const clone = ElementProcessor.snapshotState(
+                element,
+                Frames.replaceFrames(element, ShadowDOM.cloneFlattened(element))
+            );
+
+            // Process all relative links in the clone (framed elements resolve against their frame)
+            ElementProcessor.processLinks(clone, element.ownerDocument.baseURI);
+
+            // Process images (including SVG handling), against the frame's address as well
+            const withImages = ElementProcessor.processImages(clone, element.ownerDocument.baseURI);
+
+            if (formatOption === 'basic') {
+                // Process styles (for basic formatting)
+                const result = ElementProcessor.processStyles(withImages, element);
+                if (Settings.get('stripScripts')) {
+                    this.stripScripts(result.element);
+                }
+                return result;
+            }
+
+            if (formatOption === 'archive' || formatOption === 'bundle') {
+                // Basic formatting meant for offline use; scripts could only reach the network.
+                // Bundles move their assets into files afterwards, archives embed them here
+                const result = ElementProcessor.processStyles(withImages, element);
+                if (formatOption === 'archive') {
+                    await AssetManager.embedAssets(result.element, element);
+                }
+                this.stripScripts(result.element);
+                return result;
+            }
+
+            if (formatOption === 'markdown') {
+                // The serializer ignores styling itself and needs classes for code languages
+                return {
+                    element: withImages,
+                    css: ''
+                };
+            }
+
+            // For data-only, strip styles and scripts
+            return {
+                element: this.stripFormattingAndScripts(withImages),
+                css: ''
+            };
+        },
+
+        /**
+         * Removes scripts, inline event handlers and javascript: URLs from a processed clone
+         * @param {Element} element - The clone to clean (modified in place)
+         * @returns {Element} - The same element
+         */
+        stripScripts(element) {
+            element.querySelectorAll('script').forEach(script => script.remove());
+
+            [element, ...element.querySelectorAll('*')].forEach(el => {
+                Array.from(el.attributes).forEach(attribute => {
+                    const isHandler = /^on/i.test(attribute.name);
+                    const isScriptUrl = /^(href|src|action|formaction|xlink:href)$/i.test(attribute.name) &&
+                        /^\s*javascript:/i.test(attribute.value);
+                    if (isHandler || isScriptUrl) {
+                        el.removeAttribute(attribute.name);
+                    }
+                });
+            });
+
+            return element;
+        },
+
+        /**
+         * Builds the metadata comment written at the top of exports
+         * @param {string} capturedLine - The "Captured Element(s): ..." line
+         * @param {string} processing - Description of the processing applied
+         * @param {string} format - Description of the format
+         * @param {string} indent - Indentation of the lines after the first
+         * @returns {string} - The comment, or an empty string if source headers are turned off
+         */
+        buildSourceComment(capturedLine, processing, format, indent = '') {
+            if (!Settings.get('includeSourceHeader')) return '';
+
+            return [
+                '<!--',
+                `Source URL: ${window.location.href}`,
+                capturedLine,
+                `Capture Date: ${new Date().toISOString()}`,
+                `Processing: ${processing}`,
+                `Format: ${format}`,
+                '-->'
+            ].join(`\n${indent}`);
+        },
+
+        /**
+         * Describes the processing of the Basic and Archive formats for the source comment
+         * @param {boolean} isArchive - Whether the export is an archive
+         * @returns {string} - The processing description
+         */
+        getStyledProcessingNote(isArchive) {
+            if (isArchive) return 'Images, fonts and SVG references embedded as data URIs, scripts removed';
+            return 'Images, styles, and links converted to absolute URLs' +
+                (Settings.get('stripScripts') ? ', scripts removed' : '');
+        },
+
+        /**
+         * Gets the file extension a format is saved with
+         * @param {string} formatOption - The formatting option
+         * @param {number} tableCount - Number of tables exported (CSV files of several tables are zipped)
+         * @param {number} imageCount - Number of separate images exported (several PNG images are zipped)
+         * @returns {string} - The extension without dot
+         */
+        getFileExtension(formatOption, tableCount = 1, imageCount = 1) {
+            switch (formatOption) {
+                case 'markdown':
+                    return 'md';
+                case 'json':
+                    return 'json';
+                case 'csv':
+                    return tableCount > 1 ? 'zip' : 'csv';
+                case 'xlsx':
+                    return 'xlsx';
+                case 'png':
+                    return imageCount > 1 ? 'zip' : 'png';
+                case 'bundle':
+                    return 'zip';
+                default:
+                    return 'html';
+            }
+        },
+
+        /**
+         * Saves generated content as a file through a temporary download link
+         * @param {string|Uint8Array} content - The file content
+         * @param {string} fileName - The name of the file
+         * @param {string} extension - The file extension (without dot)
+         * @param {string} mimeType - The MIME type of the content
+         */
+        saveFile(content, fileName, extension, mimeType) {
+            const blob = new Blob([content], { type: mimeType });
+            const url = URL.createObjectURL(blob);
+
+            const downloadLink = document.createElement('a');
+            downloadLink.href = url;
+            downloadLink.download = fileName.endsWith(`.${extension}`) ? fileName : `${fileName}.${extension}`;
+
+            document.body.appendChild(downloadLink);
+            downloadLink.click();
+            document.body.removeChild(downloadLink);
+            URL.revokeObjectURL(url);
+
+            FileNameTemplate.advanceCounter();
+        },
+
+        /**
+         * Downloads an element as an HTML or Markdown file
          * @param {Element} element - The element to download
          * @param {string} fileName - The name of the file
-         * @param {string} formatOption - The formatting option ('basic' or 'data-only')
-         * @returns {boolean} - Whether the download was successful
+         * @param {string} formatOption - The formatting option ('basic', 'archive', 'data-only', 'markdown', 'json', 'csv' or 'xlsx')
+         * @returns {Promise<boolean>} - Resolves with whether the download was successful
          */
-        downloadElement(element, fileName, formatOption = 'basic') {
+        async downloadElement(element, fileName, formatOption = 'basic') {
+            ElementProcessor.beginExport([element]);
             try {
-                // Create a clone to avoid modifying the original
-                const clone = element.cloneNode(true);
+                if (this.isTableFormat(formatOption)) {
+                    return this.downloadTables([element], fileName, formatOption);
+                }
 
-                // Process all relative links in the clone
-                ElementProcessor.processLinks(clone, window.location.href);
+                if (formatOption === 'png') {
+                    return await this.downloadAsPng([element], fileName);
+                }
 
-                // Process images (including SVG handling)
-                const withImages = ElementProcessor.processImages(clone);
-                
-                let processed, basicCSS;
-                
-                if (formatOption === 'basic') {
-                    // Process styles (for basic formatting)
-                    const result = ElementProcessor.processStyles(withImages);
-                    processed = result.element;
-                    basicCSS = result.css;
-                } else {
-                    // For data-only, strip styles and scripts
-                    processed = this.stripFormattingAndScripts(withImages);
-                    basicCSS = '';
+                if (formatOption === 'bundle') {
+                    return await this.downloadAsBundle([element], fileName);
+                }
+
+                if (formatOption === 'archive') {
+                    UIManager.showNotification('Embedding images and fonts for offline use...');
+                }
+
+                if (formatOption === 'json') {
+                    await this.downloadAsJson([element], fileName);
+                    UIManager.showNotification('Element downloaded as JSON');
+                    return true;
+                }
+
+                const { element: processed, css: basicCSS } = await this.prepareElement(element, formatOption);
+
+                if (formatOption === 'markdown') {
+                    const sourceComment = this.buildSourceComment(
+                        `Captured Element: ${element.tagName.toLowerCase()}`,
+                        'Links and images converted to absolute URLs, CSS and scripts removed',
+                        'Markdown (GitHub-flavored)'
+                    );
+                    const markdown = (sourceComment ? `${sourceComment}\n\n` : '') +
+                        `${MarkdownSerializer.serialize(processed)}\n`;
+                    this.saveFile(markdown, fileName, 'md', 'text/markdown;charset=utf-8');
+                    UIManager.showNotification('Element downloaded as Markdown');
+                    return true;
                 }
 
                 // Create page content based on format option
                 let content;
                 
-                if (formatOption === 'basic') {
+                if (this.isStyledFormat(formatOption)) {
+                    const isArchive = formatOption === 'archive';
+                    const fontCSS = isArchive ? await AssetManager.embedFonts([processed]) : '';
+
                     // Basic formatting with CSS
                     content = `<!DOCTYPE html>
 <html>
@@ -2124,15 +8473,15 @@
     <meta charset="UTF-8">
     <title>${document.title}</title>
     <style>
+        ${fontCSS}
         ${basicCSS}
     </style>
-    <!--
-    Source URL: ${window.location.href}
-    Captured Element: ${element.tagName.toLowerCase()}
-    Capture Date: ${new Date().toISOString()}
-    Processing: Images, styles, and links converted to absolute URLs
-    Format: Basic formatting (CSS preserved)
-    -->
+    ${this.buildSourceComment(
+        `Captured Element: ${element.tagName.toLowerCase()}`,
+        this.getStyledProcessingNote(isArchive),
+        isArchive ? 'Archive (basic formatting, self-contained)' : 'Basic formatting (CSS preserved)',
+        '    '
+    )}
 </head>
 <body>
     ${processed.outerHTML}
@@ -2145,13 +8494,12 @@
 <head>
     <meta charset="UTF-8">
     <title>${document.title}</title>
-    <!--
-    Source URL: ${window.location.href}
-    Captured Element: ${element.tagName.toLowerCase()}
-    Capture Date: ${new Date().toISOString()}
-    Processing: Images and links converted to absolute URLs, CSS removed, scripts removed
-    Format: Data-only (CSS stripped)
-    -->
+    ${this.buildSourceComment(
+        `Captured Element: ${element.tagName.toLowerCase()}`,
+        'Images and links converted to absolute URLs, CSS removed, scripts removed',
+        'Data-only (CSS stripped)',
+        '    '
+    )}
 </head>
 <body>
     ${processed.outerHTML}
@@ -2159,21 +8507,14 @@
 </html>`;
                 }
 
-                const blob = new Blob([content], { type: 'text/html;charset=utf-8' });
-                const url = URL.createObjectURL(blob);
-
-                const downloadLink = document.createElement('a');
-                downloadLink.href = url;
-                downloadLink.download = fileName.endsWith('.html') ? fileName : `${fileName}.html`;
+                this.saveFile(content, fileName, 'html', 'text/html;charset=utf-8');
 
-                document.body.appendChild(downloadLink);
-                downloadLink.click();
-                document.body.removeChild(downloadLink);
-                URL.revokeObjectURL(url);
-
-                const formatMessage = formatOption === 'basic' ? 
-                    'Element downloaded with preserved styles and absolute links' :
-                    'Element downloaded in data-only format (CSS stripped) for AI processing';
+                const formatMessages = {
+                    basic: 'Element downloaded with preserved styles and absolute links',
+                    archive: 'Element downloaded as a self-contained archive',
+                    'data-only': 'Element downloaded in data-only format (CSS stripped) for AI processing'
+                };
+                const formatMessage = formatMessages[formatOption];
                 
                 UIManager.showNotification(formatMessage);
                 return true;
@@ -2181,6 +8522,10 @@
                 console.error('Download failed:', error);
                 UIManager.showNotification('Failed to download element');
                 return false;
+            } finally {
+                // Fetched assets and resolved counters are only reused within one export
+                AssetManager.clearCache();
+                ElementProcessor.endExport();
             }
         },
         
@@ -2326,43 +8671,591 @@
         },
 
         /**
-         * Downloads multiple elements as a single HTML file
+         * Builds the "#id .class" label used in section headers
+         * @param {Element} element - The element to describe
+         * @returns {string} - The label, or an empty string if the element has neither
+         */
+        describeElement(element) {
+            let idClassText = '';
+            if (element.id) {
+                idClassText += `#${element.id}`;
+            }
+            const className = element.getAttribute('class');
+            if (className && className.trim()) {
+                const firstClass = className.trim().split(/\s+/)[0];
+                idClassText += idClassText ? ` .${firstClass}` : `.${firstClass}`;
+            }
+            return idClassText;
+        },
+
+        /**
+         * Builds the section heading of an element in multi-element exports
+         * @param {Element} element - The element
+         * @param {number} index - Position of the element in the export
+         * @param {Object} annotation - Optional { title, note } from the selection panel
+         * @returns {string} - The heading, e.g. "Element 2: div #main .content" or "Element 2: Pricing"
+         */
+        getSectionHeading(element, index, annotation = {}) {
+            if (annotation.title) return `Element ${index + 1}: ${annotation.title}`;
+            const idClass = this.describeElement(element);
+            return `Element ${index + 1}: ${element.tagName.toLowerCase()}${idClass ? ` ${idClass}` : ''}`;
+        },
+
+        /**
+         * Builds the clipboard content for elements: styled HTML plus Markdown as the plain-text rendering
+         * @param {Array} elements - Array of elements to copy
+         * @param {Array} annotations - Optional { title, note } objects, one per element
+         * @returns {Promise<Object>} - Resolves with the html and text flavors
+         */
+        async buildClipboardContent(elements, annotations = []) {
+            const htmlParts = [];
+            const textParts = [];
+            const escapeHtml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+            for (const [index, element] of elements.entries()) {
+                const annotation = annotations[index] || {};
+                const { element: styled } = await this.prepareElement(element, 'basic');
+                const { element: plain } = await this.prepareElement(element, 'markdown');
+
+                // Sections only get headings when there is more than one or the user named them
+                if (elements.length > 1 || annotation.title) {
+                    const heading = this.getSectionHeading(element, index, annotation);
+                    htmlParts.push(`<h3>${escapeHtml(heading)}</h3>`);
+                    textParts.push(`## ${MarkdownSerializer.escapeText(heading)}`);
+                }
+                if (annotation.note) {
+                    htmlParts.push(`<p><em>${escapeHtml(annotation.note).replace(/\n/g, '<br>')}</em></p>`);
+                    textParts.push(annotation.note);
+                }
+
+                htmlParts.push(styled.outerHTML);
+                textParts.push(MarkdownSerializer.serialize(plain));
+            }
+
+            if (Settings.get('includeSourceHeader')) {
+                htmlParts.push(`<p>Source: <a href="${escapeHtml(window.location.href)}">${escapeHtml(document.title || window.location.href)}</a></p>`);
+                textParts.push(`Source: <${window.location.href}>`);
+            }
+
+            return {
+                html: htmlParts.join('\n'),
+                text: textParts.join('\n\n') + '\n'
+            };
+        },
+
+        /**
+         * Writes HTML and plain text to the clipboard
+         * Tries the async Clipboard API, then a copy command, then GM_setClipboard (HTML only)
+         * @param {string} html - The text/html flavor
+         * @param {string} text - The text/plain flavor
+         * @returns {Promise<boolean>} - Resolves with whether the clipboard was written
+         */
+        async writeClipboard(html, text) {
+            // Needs a focused page and a recent user gesture
+            if (navigator.clipboard && typeof ClipboardItem !== 'undefined') {
+                try {
+                    await navigator.clipboard.write([new ClipboardItem({
+                        'text/html': new Blob([html], { type: 'text/html' }),
+                        'text/plain': new Blob([text], { type: 'text/plain' })
+                    })]);
+                    return true;
+                } catch (e) {
+                    console.warn('Clipboard API write failed, trying the copy command:', e);
+                }
+            }
+
+            // A copy event handler can set both flavors as well
+            let copied = false;
+            const onCopy = e => {
+                e.clipboardData.setData('text/html', html);
+                e.clipboardData.setData('text/plain', text);
+                e.preventDefault();
+                copied = true;
+            };
+            document.addEventListener('copy', onCopy, true);
+            try {
+                document.execCommand('copy');
+            } catch (e) {
+                console.warn('Copy command failed:', e);
+            } finally {
+                document.removeEventListener('copy', onCopy, true);
+            }
+            if (copied) return true;
+
+            // The userscript clipboard holds one flavor only; plain text pastes everywhere
+            if (typeof GM_setClipboard === 'function') {
+                GM_setClipboard(text, 'text');
+                return true;
+            }
+            return false;
+        },
+
+        /**
+         * Copies elements to the clipboard instead of downloading them
+         * @param {Array} elements - Array of elements to copy
+         * @param {Array} annotations - Optional { title, note } objects, one per element
+         * @returns {Promise<boolean>} - Resolves with whether the copy was successful
+         */
+        async copyElements(elements, annotations = []) {
+            ElementProcessor.beginExport(elements);
+            try {
+                const { html, text } = await this.buildClipboardContent(elements, annotations);
+                const copied = await this.writeClipboard(html, text);
+
+                UIManager.showNotification(!copied ?
+                    'Could not access the clipboard' :
+                    (elements.length === 1 ? 'Element copied to the clipboard' : `${elements.length} elements copied to the clipboard`));
+                return copied;
+            } catch (error) {
+                console.error('Copy failed:', error);
+                UIManager.showNotification('Failed to copy to the clipboard');
+                return false;
+            } finally {
+                ElementProcessor.endExport();
+            }
+        },
+
+        /**
+         * Downloads multiple elements as a single Markdown file with one section per element
+         * @param {Array} elements - Array of elements to download
+         * @param {string} fileName - The name of the file
+         * @param {Array} annotations - Optional { title, note } objects, one per element
+         * @returns {Promise<void>}
+         */
+        async downloadMultipleAsMarkdown(elements, fileName, annotations = []) {
+            const sections = await Promise.all(elements.map(async (element, index) => {
+                const { element: processed } = await this.prepareElement(element, 'markdown');
+                const annotation = annotations[index] || {};
+                const heading = this.getSectionHeading(element, index, annotation);
+                const note = annotation.note ?
+                    annotation.note.split('\n').map(line => MarkdownSerializer.escapeText(line)).join('  \n') + '\n\n' :
+                    '';
+                return `## ${MarkdownSerializer.escapeText(heading)}\n\n${note}${MarkdownSerializer.serialize(processed)}`;
+            }));
+
+            const sourceComment = this.buildSourceComment(
+                `Captured Elements: ${elements.length}`,
+                'Links and images converted to absolute URLs, CSS and scripts removed',
+                'Markdown (GitHub-flavored)'
+            );
+            const sourceInfo = Settings.get('includeSourceHeader') ?
+                `Source: <${window.location.href}>  \nCaptured: ${new Date().toLocaleString()}  \nElements: ${elements.length}\n\n` :
+                '';
+
+            const markdown = (sourceComment ? `${sourceComment}\n\n` : '') +
+                `# Selected Elements from ${MarkdownSerializer.escapeText(document.title)}\n\n` +
+                `${sourceInfo}${sections.join('\n\n')}\n`;
+
+            this.saveFile(markdown, fileName, 'md', 'text/markdown;charset=utf-8');
+        },
+
+        /**
+         * Checks whether a format exports tables only
+         * @param {string} formatOption - The formatting option
+         * @returns {boolean} - True for 'csv' and 'xlsx'
+         */
+        isTableFormat(formatOption) {
+            return formatOption === 'csv' || formatOption === 'xlsx';
+        },
+
+        /**
+         * Downloads the tables found in elements as CSV or XLSX
+         * Several CSV tables are bundled into a ZIP archive, since browsers block repeated downloads
+         * @param {Array} elements - Elements that are or contain tables
+         * @param {string} fileName - The name of the file
+         * @param {string} formatOption - 'csv' or 'xlsx'
+         * @param {Array} annotations - Optional { title, note } objects; a title names the element's table
+         * @returns {boolean} - Whether any table was downloaded
+         */
+        downloadTables(elements, fileName, formatOption, annotations = []) {
+            const grids = [];
+            elements.forEach((element, index) => {
+                const tables = TableExtractor.findTables(element);
+                const title = (annotations[index] || {}).title;
+                tables.forEach(table => {
+                    const grid = TableExtractor.toGrid(table);
+                    if (title && tables.length === 1) grid.name = title;
+                    if (grid.rows.length > 0) grids.push(grid);
+                });
+            });
+
+            if (grids.length === 0) {
+                UIManager.showNotification('No tables found in the selection');
+                return false;
+            }
+
+            if (formatOption === 'xlsx') {
+                this.saveFile(TableExtractor.toXlsx(grids), fileName, 'xlsx',
+                    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            } else if (grids.length === 1) {
+                // The byte order mark makes Excel read the file as UTF-8
+                this.saveFile('\uFEFF' + TableExtractor.toCsv(grids[0]), fileName, 'csv', 'text/csv;charset=utf-8');
+            } else {
+                const names = TableExtractor.getSheetNames(grids);
+                const archive = ZipWriter.build(grids.map((grid, index) => ({
+                    name: `${names[index]}.csv`,
+                    content: '\uFEFF' + TableExtractor.toCsv(grid)
+                })));
+                this.saveFile(archive, fileName, 'zip', 'application/zip');
+            }
+
+            UIManager.showNotification(grids.length === 1 ?
+                `Table downloaded as ${formatOption.toUpperCase()}` :
+                `${grids.length} tables downloaded as ${formatOption.toUpperCase()}`);
+            return true;
+        },
+
+        /**
+         * Downloads elements as PNG screenshots
+         * Several elements are stitched into one image or zipped as one image each, following the
+         * pngLayout setting
+         * @param {Array} elements - Array of elements to download
+         * @param {string} fileName - The name of the file
+         * @param {Array} annotations - Optional { title, note } objects, one per element
+         * @returns {Promise<boolean>} - Resolves with whether the download was successful
+         */
+        async downloadAsPng(elements, fileName, annotations = []) {
+            // The element's box decides the image size, as it does for the selection indicators;
+            // snapshots of elements that left the page are rendered at the size they last had
+            const rects = elements.map((element, index) => (annotations[index] || {}).rect || Frames.getRect(element));
+            if (rects.some(rect => rect.width < 1 || rect.height < 1)) {
+                UIManager.showNotification('Elements without a visible size cannot be rendered as an image');
+                return false;
+            }
+
+            UIManager.showNotification('Rendering image...');
+            const pixelRatio = ImageRenderer.getPixelRatio(Settings.get('pngPixelRatio'));
+
+            const canvases = [];
+            for (let i = 0; i < elements.length; i++) {
+                // The Archive pipeline embeds images and fonts, which an SVG image cannot load itself
+                const { element: processed, css: basicCSS } = await this.prepareElement(elements[i], 'archive');
+                const fontCSS = await AssetManager.embedFonts([processed]);
+                canvases.push(await ImageRenderer.render(
+                    processed,
+                    `${fontCSS}\n${basicCSS}`,
+                    Math.ceil(rects[i].width),
+                    Math.ceil(rects[i].height),
+                    pixelRatio
+                ));
+            }
+
+            if (canvases.length === 1 || Settings.get('pngLayout') !== 'zip') {
+                const canvas = canvases.length === 1 ? canvases[0] : ImageRenderer.stitch(canvases, pixelRatio);
+                this.saveFile(await ImageRenderer.toPng(canvas), fileName, 'png', 'image/png');
+            } else {
+                const files = [];
+                for (let i = 0; i < canvases.length; i++) {
+                    const label = (annotations[i] || {}).title || elements[i].tagName.toLowerCase();
+                    files.push({
+                        name: `${String(i + 1).padStart(2, '0')}-${FileNameTemplate.slugify(label) || 'element'}.png`,
+                        content: await ImageRenderer.toPng(canvases[i])
+                    });
+                }
+                this.saveFile(ZipWriter.build(files), fileName, 'zip', 'application/zip');
+            }
+
+            UIManager.showNotification(elements.length === 1 ?
+                'Element downloaded as PNG' :
+                `${elements.length} elements downloaded as PNG`);
+            return true;
+        },
+
+        /**
+         * Downloads elements as a ZIP bundle: index.html, an assets folder with the images, fonts and
+         * stylesheet it references by relative paths, and a manifest.json describing the capture
+         * @param {Array} elements - Array of elements to download
+         * @param {string} fileName - The name of the file
+         * @param {Array} annotations - Optional { title, note } objects, one per element
+         * @returns {Promise<boolean>} - Resolves with whether the download was successful
+         */
+        async downloadAsBundle(elements, fileName, annotations = []) {
+            UIManager.showNotification('Collecting images and fonts...');
+
+            const assetDirectory = 'assets';
+            const bundle = AssetManager.createBundle();
+            // Reserved first, so no fetched asset can take the stylesheet's name
+            const stylesheet = { name: 'style.css', url: null, type: 'text/css', content: null };
+            bundle.files.push(stylesheet);
+
+            const container = document.createElement('div');
+            container.className = 'element-highlighter-container';
+            const processedElements = [];
+
+            for (const [index, element] of elements.entries()) {
+                // The processing pipeline already resolved every image and background URL to an absolute one
+                const { element: processed } = await this.prepareElement(element, 'bundle');
+                await AssetManager.bundleAssets(processed, element, bundle, assetDirectory);
+                processedElements.push(processed);
+
+                const section = document.createElement('section');
+                section.className = 'element-highlighter-item';
+                section.id = `element-highlighter-item-${index + 1}`;
+
+                // Sections only get headings when there is more than one or the user named them
+                const annotation = annotations[index] || {};
+                if (elements.length > 1 || annotation.title) {
+                    const header = document.createElement('div');
+                    header.className = 'element-highlighter-header';
+                    header.textContent = this.getSectionHeading(element, index, annotation);
+                    section.appendChild(header);
+                }
+
+                if (annotation.note) {
+                    const note = document.createElement('div');
+                    note.className = 'element-highlighter-note';
+                    note.textContent = annotation.note;
+                    section.appendChild(note);
+                }
+
+                section.appendChild(processed);
+                container.appendChild(section);
+            }
+
+            // Font URLs are relative to the stylesheet, which sits next to the fonts
+            const fontCSS = await AssetManager.bundleFonts(processedElements, bundle);
+            stylesheet.content = new TextEncoder().encode(`${fontCSS}
+* { box-sizing: border-box; }
+body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+.element-highlighter-container { max-width: 1200px; margin: 0 auto; padding: 20px; }
+.element-highlighter-item { margin: 20px 0; break-inside: avoid; page-break-inside: avoid; }
+.element-highlighter-header { margin-bottom: 10px; padding-bottom: 10px; border-bottom: 1px solid #eee; font-weight: bold; }
+.element-highlighter-note { white-space: pre-wrap; font-size: 0.9em; color: #555; margin-bottom: 10px; }
+table { border-collapse: collapse; }
+td, th { padding: 8px; }
+img { max-width: 100%; height: auto; }
+`);
+
+            const capturedLine = elements.length === 1 ?
+                `Captured Element: ${elements[0].tagName.toLowerCase()}` :
+                `Captured Elements: ${elements.length}`;
+
+            const content = `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <title>${document.title}</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <link rel="stylesheet" href="${assetDirectory}/${stylesheet.name}">
+    ${this.buildSourceComment(
+        capturedLine,
+        `Images, fonts and styles saved as separate files in ${assetDirectory}/, scripts removed`,
+        'Bundle (basic formatting, ZIP with assets)',
+        '    '
+    )}
+</head>
+<body>
+    ${container.outerHTML}
+</body>
+</html>`;
+
+            const manifest = {
+                format: 'element-highlighter-bundle',
+                version: 1,
+                page: {
+                    url: window.location.href,
+                    title: document.title,
+                    language: document.documentElement.lang || '',
+                    capturedAt: new Date().toISOString()
+                },
+                entry: 'index.html',
+                elements: elements.map((element, index) => {
+                    const annotation = annotations[index] || {};
+                    return {
+                        index: index + 1,
+                        title: annotation.title || '',
+                        note: annotation.note || '',
+                        // Snapshots of elements that left the page come with the locator they last had
+                        locator: annotation.locator || Locator.create(element),
+                        frameUrl: element.ownerDocument === document ? null : element.ownerDocument.URL,
+                        tagName: element.tagName.toLowerCase(),
+                        anchor: `index.html#element-highlighter-item-${index + 1}`
+                    };
+                }),
+                assets: bundle.files.map(file => ({
+                    path: `${assetDirectory}/${file.name}`,
+                    url: file.url,
+                    type: file.type,
+                    size: file.content.length
+                })),
+                // Assets that could not be fetched keep their original address in index.html
+                missingAssets: bundle.failed
+            };
+
+            const archive = ZipWriter.build([
+                { name: 'index.html', content: content },
+                { name: 'manifest.json', content: JSON.stringify(manifest, null, 2) },
+                ...bundle.files.map(file => ({ name: `${assetDirectory}/${file.name}`, content: file.content }))
+            ]);
+            this.saveFile(archive, fileName, 'zip', 'application/zip');
+
+            UIManager.showNotification(elements.length === 1 ?
+                'Element downloaded as a ZIP bundle' :
+                `${elements.length} elements downloaded as a ZIP bundle`);
+            return true;
+        },
+
+        /**
+         * Collects the machine-readable description of an element for JSON exports
+         * @param {Element} element - The live element, or the snapshot of one that left the page
+         * @param {Element} processed - The element's data-only clone
+         * @param {number} index - Position of the element in the export
+         * @param {Object} annotation - Optional { title, note } from the selection panel; a snapshot's
+         * locator and last page rectangle, if given, are used instead of reading them from the element
+         * @returns {Object} - The element record
+         */
+        createElementRecord(element, processed, index, annotation = {}) {
+            const attributes = {};
+            Array.from(element.attributes).forEach(attribute => {
+                attributes[attribute.name] = attribute.value;
+            });
+
+            // Framed elements resolve URLs against their frame
+            const baseUrl = element.ownerDocument.baseURI;
+
+            // The element itself may be a link or an image, too; shadow content counts as well
+            const descendants = [element, ...ShadowDOM.getDescendants(element)];
+            const withSelf = selector => descendants.filter(el => el.matches(selector));
+
+            const links = withSelf('a[href]')
+                .filter(link => !/^\s*javascript:/i.test(link.getAttribute('href')))
+                .map(link => ({
+                    text: Locator.normalizeText(link.textContent),
+                    href: URLUtils.toAbsoluteUrl(link.getAttribute('href'), baseUrl)
+                }));
+
+            const images = withSelf('img')
+                .filter(img => img.currentSrc || img.getAttribute('src'))
+                .map(img => ({
+                    src: URLUtils.toAbsoluteUrl(img.currentSrc || img.getAttribute('src'), baseUrl),
+                    alt: img.getAttribute('alt') || '',
+                    width: img.naturalWidth || img.width || null,
+                    height: img.naturalHeight || img.height || null
+                }));
+
+            // Page coordinates, so boxes stay comparable regardless of the scroll position
+            let rect = annotation.rect;
+            if (!rect) {
+                const viewportRect = Frames.getRect(element);
+                rect = {
+                    top: viewportRect.top + window.scrollY,
+                    left: viewportRect.left + window.scrollX,
+                    width: viewportRect.width,
+                    height: viewportRect.height
+                };
+            }
+
+            return {
+                index: index + 1,
+                title: annotation.title || '',
+                note: annotation.note || '',
+                locator: annotation.locator || Locator.create(element),
+                frameUrl: element.ownerDocument === document ? null : element.ownerDocument.URL,
+                tagName: element.tagName.toLowerCase(),
+                attributes: attributes,
+                // innerText leaves out hidden content; it is missing outside of rendered documents
+                text: (typeof element.innerText === 'string' ? element.innerText : element.textContent).trim(),
+                links: links,
+                images: images,
+                boundingBox: {
+                    x: Math.round(rect.left),
+                    y: Math.round(rect.top),
+                    width: Math.round(rect.width),
+                    height: Math.round(rect.height)
+                },
+                html: processed.outerHTML
+            };
+        },
+
+        /**
+         * Downloads elements as one JSON document with page metadata
+         * @param {Array} elements - Array of elements to download
+         * @param {string} fileName - The name of the file
+         * @param {Array} annotations - Optional { title, note } objects, one per element
+         * @returns {Promise<void>}
+         */
+        async downloadAsJson(elements, fileName, annotations = []) {
+            const records = [];
+            for (const [index, element] of elements.entries()) {
+                const { element: processed } = await this.prepareElement(element, 'data-only');
+                records.push(this.createElementRecord(element, processed, index, annotations[index]));
+            }
+
+            const data = {
+                format: 'element-highlighter',
+                version: 1,
+                page: {
+                    url: window.location.href,
+                    title: document.title,
+                    language: document.documentElement.lang || '',
+                    capturedAt: new Date().toISOString(),
+                    viewport: {
+                        width: window.innerWidth,
+                        height: window.innerHeight
+                    }
+                },
+                elements: records
+            };
+
+            this.saveFile(JSON.stringify(data, null, 2), fileName, 'json', 'application/json;charset=utf-8');
+        },
+
+        /**
+         * Downloads multiple elements as a single HTML, Markdown or JSON file
          * @param {Array} elements - Array of elements to download
          * @param {string} fileName - The name of the file
-         * @param {string} formatOption - The formatting option ('basic' or 'data-only')
-         * @returns {boolean} - Whether the download was successful
+         * @param {string} formatOption - The formatting option ('basic', 'archive', 'data-only', 'markdown', 'json', 'csv' or 'xlsx')
+         * @param {Array} annotations - Optional { title, note } objects, one per element, used in section headers
+         * @returns {Promise<boolean>} - Resolves with whether the download was successful
          */
-        downloadMultipleElements(elements, fileName, formatOption = 'basic') {
+        async downloadMultipleElements(elements, fileName, formatOption = 'basic', annotations = []) {
+            ElementProcessor.beginExport(elements);
             try {
+                if (this.isTableFormat(formatOption)) {
+                    return this.downloadTables(elements, fileName, formatOption, annotations);
+                }
+
+                if (formatOption === 'png') {
+                    return await this.downloadAsPng(elements, fileName, annotations);
+                }
+
+                if (formatOption === 'bundle') {
+                    return await this.downloadAsBundle(elements, fileName, annotations);
+                }
+
+                if (formatOption === 'markdown') {
+                    await this.downloadMultipleAsMarkdown(elements, fileName, annotations);
+                    UIManager.showNotification(`${elements.length} elements downloaded as Markdown`);
+                    return true;
+                }
+
+                if (formatOption === 'json') {
+                    await this.downloadAsJson(elements, fileName, annotations);
+                    UIManager.showNotification(`${elements.length} elements downloaded as JSON`);
+                    return true;
+                }
+
+                const isStyled = this.isStyledFormat(formatOption);
+                const isArchive = formatOption === 'archive';
+
+                if (isArchive) {
+                    UIManager.showNotification('Embedding images and fonts for offline use...');
+                }
+
                 // Create container for all elements
                 const container = document.createElement('div');
                 container.className = 'element-highlighter-container';
+                const processedElements = [];
 
                 // Process each element
-                elements.forEach((element, index) => {
-                    // Create a clone to avoid modifying the original
-                    const clone = element.cloneNode(true);
-
-                    // Process all relative links in the clone
-                    ElementProcessor.processLinks(clone, window.location.href);
-
-                    // Process images (including SVG handling)
-                    const withImages = ElementProcessor.processImages(clone);
-
-                    let processed;
-                    if (formatOption === 'basic') {
-                        // Process styles (for basic formatting)
-                        const result = ElementProcessor.processStyles(withImages);
-                        processed = result.element;
-                    } else {
-                        // For data-only, strip styles and scripts
-                        processed = this.stripFormattingAndScripts(withImages);
-                    }
+                for (const [index, element] of elements.entries()) {
+                    const { element: processed } = await this.prepareElement(element, formatOption);
+                    processedElements.push(processed);
 
                     // Create a wrapper for this element
                     const wrapper = document.createElement('div');
                     
-                    if (formatOption === 'basic') {
+                    if (isStyled) {
                         wrapper.className = 'element-highlighter-item';
                         wrapper.style.margin = '20px 0';
                         wrapper.style.padding = '20px';
@@ -2376,7 +9269,7 @@
                     // Add element number header
                     const header = document.createElement('div');
                     
-                    if (formatOption === 'basic') {
+                    if (isStyled) {
                         header.className = 'element-highlighter-header';
                         header.style.marginBottom = '10px';
                         header.style.paddingBottom = '10px';
@@ -2384,43 +9277,57 @@
                         header.style.fontWeight = 'bold';
                     }
                     
-                    header.textContent = `Element ${index + 1}: ${element.tagName.toLowerCase()}`;
+                    // A title given in the selection panel replaces the tag/class label
+                    const annotation = annotations[index] || {};
+                    header.textContent = `Element ${index + 1}: ${annotation.title || element.tagName.toLowerCase()}`;
 
                     // If element has ID or class, add that info
-                    if (element.id || element.className) {
+                    const idClassText = annotation.title ? '' : this.describeElement(element);
+                    if (idClassText) {
                         const idClass = document.createElement('span');
                         
-                        if (formatOption === 'basic') {
+                        if (isStyled) {
                             idClass.style.fontWeight = 'normal';
                             idClass.style.fontSize = '0.9em';
                             idClass.style.color = '#666';
                             idClass.style.marginLeft = '5px';
                         }
 
-                        let idClassText = '';
-                        if (element.id) {
-                            idClassText += `#${element.id}`;
-                        }
-                        if (element.className) {
-                            const firstClass = element.className.split(' ')[0];
-                            idClassText += idClassText ? ` .${firstClass}` : `.${firstClass}`;
-                        }
-
                         idClass.textContent = idClassText;
                         header.appendChild(idClass);
                     }
 
+                    if (annotation.note) {
+                        const note = document.createElement('div');
+                        note.className = 'element-highlighter-note';
+
+                        if (isStyled) {
+                            note.style.whiteSpace = 'pre-wrap';
+                            note.style.fontWeight = 'normal';
+                            note.style.fontSize = '0.9em';
+                            note.style.color = '#555';
+                            note.style.marginTop = '5px';
+                        }
+
+                        note.textContent = annotation.note;
+                        header.appendChild(note);
+                    }
+
                     wrapper.appendChild(header);
                     wrapper.appendChild(processed);
                     container.appendChild(wrapper);
-                });
+                }
 
                 // Get CSS based on format option
                 let basicCSS = '';
                 
-                if (formatOption === 'basic') {
+                if (isStyled) {
+                    // Archives carry their web fonts along
+                    const fontCSS = isArchive ? await AssetManager.embedFonts(processedElements) : '';
+
                     // Full formatting with CSS
                     basicCSS = `
+                        ${fontCSS}
                         * { box-sizing: border-box; }
                         body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
                         .element-highlighter-container { max-width: 1200px; margin: 0 auto; padding: 20px; }
@@ -2445,7 +9352,7 @@
                 // Generate HTML content based on format option
                 let content;
                 
-                if (formatOption === 'basic') {
+                if (isStyled) {
                     // Full formatting with CSS
                     content = `<!DOCTYPE html>
 <html>
@@ -2456,24 +9363,23 @@
     <style>
         ${basicCSS}
     </style>
-    <!--
-    Source URL: ${window.location.href}
-    Captured Elements: ${elements.length}
-    Capture Date: ${new Date().toISOString()}
-    Processing: Images, styles, and links converted to absolute URLs
-    Format: Basic formatting (CSS preserved)
-    -->
+    ${this.buildSourceComment(
+        `Captured Elements: ${elements.length}`,
+        this.getStyledProcessingNote(isArchive),
+        isArchive ? 'Archive (basic formatting, self-contained)' : 'Basic formatting (CSS preserved)',
+        '    '
+    )}
 </head>
 <body>
     <div class="element-highlighter-container">
         <h1 style="margin-bottom: 20px; padding-bottom: 10px; border-bottom: 2px solid #eee;">
             Selected Elements from ${document.title}
         </h1>
-        <p style="color: #666; margin-bottom: 30px;">
+        ${Settings.get('includeSourceHeader') ? `<p style="color: #666; margin-bottom: 30px;">
             Source: <a href="${window.location.href}">${window.location.href}</a><br>
             Captured: ${new Date().toLocaleString()}<br>
             Elements: ${elements.length}
-        </p>
+        </p>` : ''}
         ${container.innerHTML}
     </div>
 </body>
@@ -2489,43 +9395,35 @@
     <style>
         ${basicCSS}
     </style>
-    <!--
-    Source URL: ${window.location.href}
-    Captured Elements: ${elements.length}
-    Capture Date: ${new Date().toISOString()}
-    Processing: Images and links converted to absolute URLs, CSS removed, scripts removed
-    Format: Data-only (CSS stripped)
-    -->
+    ${this.buildSourceComment(
+        `Captured Elements: ${elements.length}`,
+        'Images and links converted to absolute URLs, CSS removed, scripts removed',
+        'Data-only (CSS stripped)',
+        '    '
+    )}
 </head>
 <body>
     <div>
         <h1>Selected Elements from ${document.title}</h1>
-        <p>
+        ${Settings.get('includeSourceHeader') ? `<p>
             Source: <a href="${window.location.href}">${window.location.href}</a><br>
             Captured: ${new Date().toLocaleString()}<br>
             Elements: ${elements.length}
-        </p>
+        </p>` : ''}
         ${container.innerHTML}
     </div>
 </body>
 </html>`;
                 }
 
-                const blob = new Blob([content], { type: 'text/html;charset=utf-8' });
-                const url = URL.createObjectURL(blob);
-
-                const downloadLink = document.createElement('a');
-                downloadLink.href = url;
-                downloadLink.download = fileName.endsWith('.html') ? fileName : `${fileName}.html`;
+                this.saveFile(content, fileName, 'html', 'text/html;charset=utf-8');
 
-                document.body.appendChild(downloadLink);
-                downloadLink.click();
-                document.body.removeChild(downloadLink);
-                URL.revokeObjectURL(url);
-
-                const formatMessage = formatOption === 'basic' ? 
-                    `${elements.length} elements downloaded with preserved styles` :
-                    `${elements.length} elements downloaded in data-only format (CSS stripped) for AI processing`;
+                const formatMessages = {
+                    basic: `${elements.length} elements downloaded with preserved styles`,
+                    archive: `${elements.length} elements downloaded as a self-contained archive`,
+                    'data-only': `${elements.length} elements downloaded in data-only format (CSS stripped) for AI processing`
+                };
+                const formatMessage = formatMessages[formatOption];
                 
                 UIManager.showNotification(formatMessage);
                 return true;
@@ -2533,6 +9431,10 @@
                 console.error('Download failed:', error);
                 UIManager.showNotification('Failed to download elements');
                 return false;
+            } finally {
+                // Fetched assets and resolved counters are only reused within one export
+                AssetManager.clearCache();
+                ElementProcessor.endExport();
             }
         }
     };